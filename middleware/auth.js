@@ -1,19 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/sessionService');
+const { hasPermission } = require('../utils/permissions');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
   try {
     let token;
 
-    // Check for token in Authorization header
+    // Check for token in Authorization header. Tokens are not accepted in the
+    // query string; media and images are served through signed URLs instead.
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     }
-    // Also check for token in query parameter (for iframe/file access)
-    else if (req.query.token) {
-      token = req.query.token;
-    }
 
     if (!token) {
       return res.status(401).json({
@@ -25,7 +24,17 @@ const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+
+      // Access tokens are bound to a server-side session so they can be revoked early
+      const session = await findActiveSession(decoded.sid, decoded.id, req);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, session has been revoked'
+        });
+      }
+      req.sessionId = session._id;
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
       
@@ -95,4 +104,18 @@ const authorizeNationalAdminOrSuperadmin = (req, res, next) => {
   });
 };
 
-module.exports = { protect, authorize, authorizeNationalAdminOrSuperadmin };
+// Permission-based authorization (see utils/permissions.js for the catalogue)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing required permission: ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { protect, authorize, authorizeNationalAdminOrSuperadmin, requirePermission };
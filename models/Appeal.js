@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appeal Model
+ *
+ * A teacher's written appeal against their result on a published area
+ * leaderboard (utils/appeals.js). An admin assigns it to a judge who did not
+ * score the submission before; that judge regrades it and the admin records
+ * the decision.
+ * - One appeal per submission per published leaderboard
+ * - Only an upheld appeal changes the score: its regrade is saved as an
+ *   Evaluation and the area leaderboard is rebuilt
+ */
+const scoreSummarySchema = new mongoose.Schema({
+  averageScore: {
+    type: Number,
+    default: 0
+  },
+  totalScore: {
+    type: Number,
+    default: 0
+  },
+  rank: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const appealSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+    index: true
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Round whose evaluations produced the published result
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true
+  },
+  leaderboardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AreaLeaderboard',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['Council', 'Regional', 'National'],
+    required: true
+  },
+  areaId: {
+    type: String,
+    required: true
+  },
+  region: {
+    type: String,
+    default: null
+  },
+  council: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'assigned', 'regraded', 'upheld', 'rejected'],
+    default: 'submitted'
+  },
+  // Leaderboard result at the time of the appeal
+  originalScore: {
+    type: scoreSummarySchema,
+    default: () => ({})
+  },
+  assignedJudgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  regrade: {
+    scores: {
+      type: Map,
+      of: Number,
+      default: undefined
+    },
+    totalScore: {
+      type: Number,
+      default: null
+    },
+    averageScore: {
+      type: Number,
+      default: null
+    },
+    comments: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Gate criteria results of the regrade
+    gates: {
+      type: [{
+        _id: false,
+        key: {
+          type: String,
+          required: true
+        },
+        label: {
+          type: String,
+          default: ''
+        },
+        points: {
+          type: Number,
+          required: true
+        },
+        passMark: {
+          type: Number,
+          required: true
+        },
+        passed: {
+          type: Boolean,
+          required: true
+        }
+      }],
+      default: []
+    },
+    // Rubric version the regrade was validated against
+    rubricVersion: {
+      type: Number,
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  outcome: {
+    decision: {
+      type: String,
+      enum: ['upheld', 'rejected', null],
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: ''
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    previousScore: {
+      type: scoreSummarySchema,
+      default: null
+    },
+    newScore: {
+      type: scoreSummarySchema,
+      default: null
+    },
+    scoreChanged: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Evaluation written from the regrade when the appeal was upheld
+  evaluationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluation',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+appealSchema.index({ submissionId: 1, leaderboardId: 1 }, { unique: true });
+appealSchema.index({ level: 1, region: 1, council: 1, status: 1 });
+appealSchema.index({ assignedJudgeId: 1, status: 1 });
+
+module.exports = mongoose.model('Appeal', appealSchema);
@@ -59,6 +59,16 @@ const areaLeaderboardEntrySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Panel averages before the round's score normalization; equal to
+  // averageScore/totalScore when normalization is 'none'
+  rawAverageScore: {
+    type: Number,
+    default: 0
+  },
+  rawTotalScore: {
+    type: Number,
+    default: 0
+  },
   totalEvaluations: {
     type: Number,
     default: 0
@@ -122,6 +132,12 @@ const areaLeaderboardSchema = new mongoose.Schema({
     type: [areaLeaderboardEntrySchema],
     default: []
   },
+  // Normalization mode the entries were ranked with (utils/scoreNormalization.js)
+  scoreNormalization: {
+    type: String,
+    enum: ['none', 'zscore', 'trimmed_mean'],
+    default: 'none'
+  },
   totalSubmissions: {
     type: Number,
     default: 0
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * CalibrationExemplar Model
+ *
+ * A submission a superadmin has scored as the reference for a round's judge
+ * calibration (utils/judgeCalibration.js). Judges at the round's level score
+ * the exemplars before the round is activated and are compared with the
+ * reference scores.
+ * - Reference scores are validated against the competition's rubric
+ * - Exemplars are always shown to judges anonymized
+ */
+const calibrationExemplarSchema = new mongoose.Schema({
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true,
+    index: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  referenceScores: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  referenceTotalScore: {
+    type: Number,
+    required: true
+  },
+  referenceAverageScore: {
+    type: Number,
+    required: true
+  },
+  // Guidance shown to judges once they have scored the exemplar
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+calibrationExemplarSchema.index({ roundId: 1, submissionId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalibrationExemplar', calibrationExemplarSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * CalibrationScore Model
+ *
+ * A judge's score for one calibration exemplar. Written once: the reference
+ * is revealed to the judge after they score, so the score cannot be changed.
+ * - deviation = totalScore - the exemplar's referenceTotalScore
+ * - Never counted as an evaluation
+ */
+const calibrationScoreSchema = new mongoose.Schema({
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true,
+    index: true
+  },
+  exemplarId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalibrationExemplar',
+    required: true
+  },
+  judgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  scores: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  totalScore: {
+    type: Number,
+    required: true
+  },
+  averageScore: {
+    type: Number,
+    required: true
+  },
+  deviation: {
+    type: Number,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+calibrationScoreSchema.index({ exemplarId: 1, judgeId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalibrationScore', calibrationScoreSchema);
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+// Performance band of a criterion (e.g. Proficient, 6-8 points) telling
+// judges what a score in that range means
+const performanceLevelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  minPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
 const evaluationSubcriterionSchema = new mongoose.Schema({
   key: {
     type: String,
@@ -19,6 +44,10 @@ const evaluationSubcriterionSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0.01
+  },
+  levels: {
+    type: [performanceLevelSchema],
+    default: []
   }
 }, { _id: true });
 
@@ -42,6 +71,23 @@ const evaluationCriterionSchema = new mongoose.Schema({
     default: 10,
     min: 0.01
   },
+  // Multiplier on the criterion's points in the total score
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0.01
+  },
+  // Gate criterion: a submission whose panel averages fewer points here is
+  // disqualified; null = not a gate
+  passMark: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  levels: {
+    type: [performanceLevelSchema],
+    default: []
+  },
   subcriteria: {
     type: [evaluationSubcriterionSchema],
     default: []
@@ -57,6 +103,12 @@ const areaOfFocusSchema = new mongoose.Schema({
   evaluationCriteria: {
     type: [evaluationCriterionSchema],
     default: []
+  },
+  // Current RubricVersion of evaluationCriteria; null until first edited
+  // through the evaluation-criteria route
+  rubricVersion: {
+    type: Number,
+    default: null
   }
 }, { _id: true });
 
@@ -55,6 +55,64 @@ const competitionRoundSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Hide teacher identity and media filenames from judges in this round (utils/blindJudging.js)
+  blindJudging: {
+    type: Boolean,
+    default: false
+  },
+  // Judges who score each submission (null = level default: 1 for Council/Regional,
+  // 3 for National). Scores are averaged across the panel (utils/judgePanel.js)
+  panelSize: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: null
+  },
+  // How judge scores are combined for ranking: raw panel average, per-judge z-score
+  // (corrects lenient/harsh judges) or trimmed panel mean (utils/scoreNormalization.js)
+  scoreNormalization: {
+    type: String,
+    enum: ['none', 'zscore', 'trimmed_mean'],
+    default: 'none'
+  },
+  // Largest allowed gap between a submission's highest and lowest panel total
+  // score; wider panels need a moderating evaluation (null = no moderation)
+  moderationThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Judges score exemplar submissions against reference scores before the
+  // round is activated (utils/judgeCalibration.js)
+  calibration: {
+    // Largest mean gap from the reference total scores that still passes
+    // (null = deviations are reported without pass/fail)
+    maxDeviation: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Keep judges who have not passed calibration out of this round's assignments
+    blockFailedJudges: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Days after an area leaderboard is published to teachers during which they
+  // may appeal their result (null = 14 days, 0 = no appeals; utils/appeals.js)
+  appealWindowDays: {
+    type: Number,
+    min: 0,
+    max: 90,
+    default: null
+  },
+  // Most Council/Regional submissions one judge may hold in this round (null = no limit).
+  // A judge's own maxAssignmentsPerRound applies when lower.
+  maxAssignmentsPerJudge: {
+    type: Number,
+    min: 1,
+    default: null
+  },
   // Reminder settings
   reminderEnabled: {
     type: Boolean,
@@ -47,6 +47,53 @@ const evaluationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Moderating evaluation for a panel whose scores diverged, by a moderator
+  // judge or the area admin; averaged into the score but not a panel seat
+  isModeration: {
+    type: Boolean,
+    default: false
+  },
+  // Appeal this evaluation regraded; an upheld appeal's regrade is saved as a
+  // moderating evaluation so it is averaged in without taking a panel seat,
+  // but it does not moderate a diverging panel
+  appealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appeal',
+    default: null
+  },
+  // Points given on each gate criterion of the rubric and its pass mark
+  gates: {
+    type: [{
+      _id: false,
+      key: {
+        type: String,
+        required: true
+      },
+      label: {
+        type: String,
+        default: ''
+      },
+      points: {
+        type: Number,
+        required: true
+      },
+      passMark: {
+        type: Number,
+        required: true
+      },
+      passed: {
+        type: Boolean,
+        required: true
+      }
+    }],
+    default: []
+  },
+  // RubricVersion the scores were validated against; null for scores given
+  // before the area's rubric was versioned
+  rubricVersion: {
+    type: Number,
+    default: null
+  },
   submittedAt: {
     type: Date,
     default: Date.now
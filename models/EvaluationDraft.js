@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * EvaluationDraft Model
+ *
+ * A judge's unfinished score sheet for one submission in a round, autosaved
+ * from the client so work survives dropped sessions and can be resumed on
+ * another device. Drafts live apart from Evaluation so leaderboards,
+ * completion checks and judge statistics never see them.
+ * - scores may be partial; each saved value is range-checked
+ * - revision increments on every save; a save based on an older revision is
+ *   refused so two devices cannot silently overwrite each other
+ * - Removed when the judge submits the evaluation
+ */
+const evaluationDraftSchema = new mongoose.Schema({
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  judgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scores: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  comments: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  revision: {
+    type: Number,
+    default: 0
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+evaluationDraftSchema.index({ roundId: 1, submissionId: 1, judgeId: 1 }, { unique: true });
+evaluationDraftSchema.index({ judgeId: 1, savedAt: -1 });
+
+module.exports = mongoose.model('EvaluationDraft', evaluationDraftSchema);
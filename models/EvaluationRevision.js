@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * EvaluationRevision Model
+ *
+ * Append-only log of every write to an Evaluation: who changed it, when, the
+ * scores and comments before and after, and why. Written by the evaluation
+ * routes; read by GET /api/evaluations/:id/history.
+ * - previous is null for the revision that created the evaluation
+ * - Revisions cannot be updated or deleted once written
+ */
+const scoreSnapshotSchema = new mongoose.Schema({
+  scores: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  totalScore: {
+    type: Number,
+    default: 0
+  },
+  averageScore: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: String,
+    default: ''
+  },
+  rubricVersion: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const evaluationRevisionSchema = new mongoose.Schema({
+  evaluationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluation',
+    required: true,
+    immutable: true
+  },
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true,
+    immutable: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+    immutable: true
+  },
+  // Judge (or moderating admin) the evaluation belongs to
+  judgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated'],
+    required: true,
+    immutable: true
+  },
+  previous: {
+    type: scoreSnapshotSchema,
+    default: null,
+    immutable: true
+  },
+  next: {
+    type: scoreSnapshotSchema,
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+evaluationRevisionSchema.index({ evaluationId: 1, createdAt: 1 });
+evaluationRevisionSchema.index({ submissionId: 1, createdAt: -1 });
+
+const rejectRevisionChange = function rejectRevisionChange(next) {
+  next(new Error('Evaluation revisions are append-only and cannot be changed or deleted'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => evaluationRevisionSchema.pre(operation, rejectRevisionChange));
+
+module.exports = mongoose.model('EvaluationRevision', evaluationRevisionSchema);
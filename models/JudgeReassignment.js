@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * JudgeReassignment Model
+ *
+ * One record per unevaluated assignment moved off a judge in an active round,
+ * either because the judge became unavailable (utils/judgeReassignment.js) or
+ * recused themselves (recuseJudgeFromSubmission in utils/judgeAssignment.js).
+ * Backs the admin reassignment and recusal reports.
+ * - toJudgeIds is empty with status 'unassigned' when no eligible judge was left
+ * - A recused judge is never assigned the same submission again in that round
+ */
+const judgeReassignmentSchema = new mongoose.Schema({
+  roundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompetitionRound',
+    required: true,
+    index: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+    index: true
+  },
+  level: {
+    type: String,
+    enum: ['Council', 'Regional', 'National'],
+    required: true
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  council: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  fromJudgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  toJudgeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  reason: {
+    type: String,
+    enum: ['judge_suspended', 'judge_inactive', 'judge_deleted', 'judge_recused'],
+    required: true
+  },
+  // The judge's explanation, for recusals
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['reassigned', 'unassigned'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+judgeReassignmentSchema.index({ createdAt: -1 });
+judgeReassignmentSchema.index({ roundId: 1, submissionId: 1, reason: 1 });
+judgeReassignmentSchema.index({ level: 1, region: 1, council: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JudgeReassignment', judgeReassignmentSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+/**
+ * RubricVersion Model
+ *
+ * Every version of the evaluation criteria of one competition area
+ * (year, category, class, subject, area of focus). Written by
+ * PUT /api/competitions/:year/evaluation-criteria/... (utils/rubricVersions.js);
+ * evaluations record the version they were scored against in rubricVersion.
+ * - Versions count up from 1 per area; the area's current version is
+ *   Competition areaOfFocus.rubricVersion
+ * - Version 1 may be a baseline of the criteria in use before versioning
+ * - Versions cannot be updated or deleted once written
+ */
+const rubricChangesSchema = new mongoose.Schema({
+  addedKeys: {
+    type: [String],
+    default: []
+  },
+  removedKeys: {
+    type: [String],
+    default: []
+  },
+  // Score keys whose maximum went down
+  loweredKeys: {
+    type: [String],
+    default: []
+  },
+  // Score keys whose maximum went up
+  raisedKeys: {
+    type: [String],
+    default: []
+  },
+  // Criterion keys whose weight changed
+  reweightedKeys: {
+    type: [String],
+    default: []
+  },
+  // Criterion keys whose pass mark was added, removed or changed
+  gateChangedKeys: {
+    type: [String],
+    default: []
+  },
+  destructive: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const rubricVersionSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  category: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  class: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  areaOfFocus: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  // Normalized criteria (utils/evaluationCriteria.js) as of this version
+  evaluationCriteria: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true,
+    immutable: true
+  },
+  changes: {
+    type: rubricChangesSchema,
+    default: () => ({}),
+    immutable: true
+  },
+  // Destructive change accepted although evaluations were already scored
+  migrated: {
+    type: Boolean,
+    default: false,
+    immutable: true
+  },
+  // Evaluations in the area when this version was saved
+  evaluationCount: {
+    type: Number,
+    default: 0,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+    immutable: true
+  },
+  // null for a baseline recorded from criteria in use before versioning
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+rubricVersionSchema.index(
+  { year: 1, category: 1, class: 1, subject: 1, areaOfFocus: 1, version: 1 },
+  { unique: true }
+);
+
+const rejectVersionChange = function rejectVersionChange(next) {
+  next(new Error('Rubric versions cannot be changed or deleted'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => rubricVersionSchema.pre(operation, rejectVersionChange));
+
+module.exports = mongoose.model('RubricVersion', rubricVersionSchema);
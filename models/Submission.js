@@ -88,6 +88,93 @@ const submissionSchema = new mongoose.Schema({
   videoOriginalBytes: {
     type: Number
   },
+  // SHA-256 of the uploaded files (see models/UploadedFile.js), null for external links
+  lessonPlanContentHash: {
+    type: String,
+    default: null
+  },
+  videoContentHash: {
+    type: String,
+    default: null
+  },
+  // Same lesson plan or video content found in another teacher's submission for the same year
+  duplicateMedia: {
+    status: {
+      type: String,
+      enum: ['flagged', 'dismissed', null],
+      default: null
+    },
+    matches: [{
+      _id: false,
+      submissionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Submission'
+      },
+      teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      teacherName: String,
+      school: String,
+      // Part of this submission that matched
+      part: {
+        type: String,
+        enum: ['lessonPlan', 'video']
+      },
+      // Part of the other submission it matched
+      matchedPart: {
+        type: String,
+        enum: ['lessonPlan', 'video']
+      }
+    }],
+    detectedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Result of the scheduled media check (services/mediaIntegrityService.js)
+  mediaIntegrity: {
+    status: {
+      type: String,
+      enum: ['ok', 'broken', null],
+      default: null
+    },
+    issues: [{
+      _id: false,
+      part: {
+        type: String,
+        enum: ['lessonPlan', 'video']
+      },
+      filename: String,
+      reason: {
+        type: String,
+        enum: ['missing', 'unreadable', 'invalid_type']
+      },
+      detectedAt: Date,
+      reuploadRequestedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
   score: {
     type: Number,
     default: 0
@@ -134,6 +221,18 @@ const submissionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Rubric gate criteria (keys) the panel scored below the pass mark; set
+  // when the submission was disqualified by a gate rather than by a judge
+  failedGates: {
+    type: [String],
+    default: []
+  },
+  // Status the submission had when a rubric gate disqualified it, restored
+  // when it is requalified
+  statusBeforeGates: {
+    type: String,
+    default: null
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -185,6 +284,27 @@ const submissionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Copy content hashes from the uploaded files whenever media changes, then
+// check for the same content in other teachers' submissions
+submissionSchema.pre('save', async function() {
+  const { refreshSubmissionContentHashes } = require('../services/duplicateMediaService');
+  this.$locals.contentHashesChanged = await refreshSubmissionContentHashes(this);
+});
+
+// A replaced file is no longer broken; the next integrity scan checks the new one
+submissionSchema.pre('save', function() {
+  const { clearReplacedMediaIssues } = require('../services/mediaIntegrityService');
+  clearReplacedMediaIssues(this);
+});
+
+submissionSchema.post('save', function(doc) {
+  if (!doc.$locals.contentHashesChanged) return;
+  const { detectDuplicateMedia } = require('../services/duplicateMediaService');
+  detectDuplicateMedia(doc).catch((error) => {
+    console.error('Duplicate media check failed:', error);
+  });
+});
+
 // Indexes for better query performance
 submissionSchema.index({ teacherId: 1 });
 submissionSchema.index({ level: 1, region: 1, council: 1 });
@@ -206,5 +326,10 @@ submissionSchema.index({ year: 1, areaOfFocus: 1, region: 1, council: 1 });
 submissionSchema.index({ year: 1, status: 1 });
 submissionSchema.index({ year: 1, areaOfFocus: 1, status: 1 });
 submissionSchema.index({ year: 1, region: 1, council: 1, status: 1 });
+// Duplicate media detection
+submissionSchema.index({ year: 1, lessonPlanContentHash: 1 });
+submissionSchema.index({ year: 1, videoContentHash: 1 });
+submissionSchema.index({ 'duplicateMedia.status': 1 });
+submissionSchema.index({ 'mediaIntegrity.status': 1 });
 
 module.exports = mongoose.model('Submission', submissionSchema);
@@ -4,8 +4,9 @@ const mongoose = require('mongoose');
  * SubmissionAssignment Model
  * 
  * Tracks judge-submission assignments for all levels.
- * Council/Regional keep one current judge per submission per round.
- * National allows multiple judges to evaluate the same submission.
+ * Each submission gets up to the round's panel size of judges (one by default
+ * for Council/Regional, three for National; see utils/judgePanel.js),
+ * plus a moderator when the panel's scores diverge.
  */
 const submissionAssignmentSchema = new mongoose.Schema({
   roundId: {
@@ -46,10 +47,22 @@ const submissionAssignmentSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Extra judge brought in to moderate a panel whose scores diverged
+  // (utils/panelModeration.js); does not take a panel seat
+  isModeration: {
+    type: Boolean,
+    default: false
+  },
   // Track if judge has been notified
   judgeNotified: {
     type: Boolean,
     default: false
+  },
+  // Assignment context, e.g. conflictExclusions: judges passed over for a
+  // conflict of interest (see utils/conflictOfInterest.js)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   }
 }, {
   timestamps: true
@@ -59,13 +72,6 @@ const submissionAssignmentSchema = new mongoose.Schema({
 submissionAssignmentSchema.index({ roundId: 1, judgeId: 1, level: 1 });
 submissionAssignmentSchema.index({ roundId: 1, submissionId: 1 });
 submissionAssignmentSchema.index({ roundId: 1, submissionId: 1, judgeId: 1 }, { unique: true });
-submissionAssignmentSchema.index(
-  { roundId: 1, submissionId: 1, level: 1 },
-  {
-    unique: true,
-    partialFilterExpression: { level: { $in: ['Council', 'Regional'] } }
-  }
-);
 submissionAssignmentSchema.index({ roundId: 1, level: 1, region: 1, council: 1 });
 
 module.exports = mongoose.model('SubmissionAssignment', submissionAssignmentSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadSession Model
+ *
+ * Resumable (chunked) video upload in progress
+ * - Chunks are stored in order as objects under `tmp/<sessionId>/` in the
+ *   configured storage driver, so any instance can accept the next chunk
+ * - receivedBytes is the offset the next chunk must start at
+ * - Finalizing concatenates the chunks into `videos/<filename>`
+ * - Sessions not finished before expiresAt are garbage-collected
+ *   together with their chunks (services/chunkedUploadService.js)
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    default: 'video/mp4'
+  },
+  totalBytes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'aborted'],
+    default: 'active'
+  },
+  // Name of the assembled file under videos/ once completed
+  storedFilename: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Extended on every accepted chunk
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+uploadSessionSchema.methods.getTotalChunks = function() {
+  return Math.ceil(this.totalBytes / this.chunkSize);
+};
+
+// Expected byte length of a chunk (the last chunk may be shorter)
+uploadSessionSchema.methods.getChunkLength = function(index) {
+  const start = index * this.chunkSize;
+  return Math.max(0, Math.min(this.chunkSize, this.totalBytes - start));
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
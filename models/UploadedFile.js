@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadedFile Model
+ *
+ * One record per lesson plan or video accepted by routes/uploads.js
+ * - contentHash is the SHA-256 of the file bytes, computed while uploading
+ * - Submissions copy the hash when they reference the file, which is how
+ *   the same content submitted by different teachers is detected
+ *   (services/duplicateMediaService.js)
+ */
+const uploadedFileSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['lessonPlan', 'video'],
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UploadedFile', uploadedFileSchema);
@@ -95,6 +95,46 @@ const userSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // Most submissions this judge may hold per round (null = no limit, see utils/judgeWorkload.js)
+  maxAssignmentsPerRound: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Judge conflict-of-interest declarations (see utils/conflictOfInterest.js).
+  // Each names a teacher or a school the judge must not score; the judge's own
+  // school is always excluded.
+  conflictsOfInterest: [{
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    school: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    relationship: {
+      type: String,
+      enum: ['family', 'colleague', 'mentor', 'former_student', 'other'],
+      default: 'other'
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    declaredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    declaredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Admin specific fields
   department: {
     type: String,
@@ -113,11 +153,49 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  // Superadmin specific fields
+  // Permissions granted on top of role defaults (see utils/permissions.js)
   permissions: {
     type: [String],
     default: []
   },
+  // Role-default permissions explicitly revoked from this user
+  revokedPermissions: {
+    type: [String],
+    default: []
+  },
+  // Two-factor authentication (TOTP). Mandatory for admin and superadmin.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Encrypted TOTP secret (see services/totpService.js)
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Secret awaiting confirmation during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // SHA-256 hashes of unused backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Last accepted TOTP time step, to prevent code replay
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -188,13 +266,22 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorBackupCodes;
+  delete obj.twoFactorLastUsedStep;
   return obj;
 };
 
+// Admin and superadmin accounts can approve promotions, so a password alone is not enough
+userSchema.methods.requiresTwoFactor = function() {
+  return this.twoFactorEnabled || ['admin', 'superadmin'].includes(this.role);
+};
+
 // Indexes for better query performance
 // Enforce uniqueness only for active users so deleted records can be re-created.
 userSchema.index(
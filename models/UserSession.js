@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * UserSession Model
+ *
+ * Server-side record of a login session backed by a rotating refresh token
+ * - Stores only the SHA-256 hash of the current refresh token
+ * - Keeps the previous hash to detect refresh token reuse (theft)
+ * - Access tokens carry the session id (`sid`) so a revoked session is
+ *   rejected immediately instead of when the JWT expires
+ * - Records device, user agent, IP and last-seen time for session listing
+ * - Auto-deletes sessions once their refresh window has passed
+ */
+const userSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: null
+  },
+  // Device details captured at login and refreshed as the session is used
+  device: {
+    type: String,
+    trim: true,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Auto-delete expired sessions
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'token_reuse', 'account_disabled', 'admin_revoked', null],
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userSessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check if session can still be used
+userSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+// Static method to generate a secure refresh token secret
+userSessionSchema.statics.generateTokenSecret = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Static method to hash a refresh token secret
+userSessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to revoke every active session for a user
+userSessionSchema.statics.revokeAllForUser = function(userId, reason, revokedBy = null, exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    revokedBy
+  });
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
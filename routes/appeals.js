@@ -0,0 +1,354 @@
+const express = require('express');
+const Appeal = require('../models/Appeal');
+const Submission = require('../models/Submission');
+const { protect, authorize } = require('../middleware/auth');
+const { invalidateCacheOnChange } = require('../middleware/cache');
+const { canAdminAccessSubmission, buildSubmissionQueryForAdmin } = require('../utils/adminScope');
+const { isBlindForUser, redactSubmissionForBlindJudging } = require('../utils/blindJudging');
+const {
+  getAppealEligibility,
+  fileAppeal,
+  assignAppealJudge,
+  submitAppealRegrade,
+  decideAppeal
+} = require('../utils/appeals');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('../utils/logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logAdminAction: () => Promise.resolve()
+  };
+}
+
+const router = express.Router();
+
+router.use(protect);
+
+const canUserAccessAppeal = (user, appeal) => {
+  if (user.role === 'superadmin') return true;
+  if (user.role === 'admin') return canAdminAccessSubmission(user, appeal);
+  if (user.role === 'teacher') return String(appeal.teacherId?._id || appeal.teacherId) === String(user._id);
+  if (user.role === 'judge') return String(appeal.assignedJudgeId?._id || appeal.assignedJudgeId) === String(user._id);
+  return false;
+};
+
+// Teachers never see who regraded their submission or the regrade; judges never see the teacher
+const serializeAppealForUser = (appeal, user) => {
+  const plain = typeof appeal.toObject === 'function' ? appeal.toObject() : { ...appeal };
+  if (user.role === 'teacher') {
+    delete plain.assignedJudgeId;
+    delete plain.assignedBy;
+    delete plain.regrade;
+    delete plain.evaluationId;
+    if (plain.outcome) delete plain.outcome.decidedBy;
+  }
+  if (user.role === 'judge') {
+    delete plain.teacherId;
+  }
+  return plain;
+};
+
+const loadAccessibleAppeal = async (req, res) => {
+  const appeal = await Appeal.findById(req.params.id);
+  if (!appeal) {
+    res.status(404).json({
+      success: false,
+      message: 'Appeal not found'
+    });
+    return null;
+  }
+  if (!canUserAccessAppeal(req.user, appeal)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this appeal'
+    });
+    return null;
+  }
+  return appeal;
+};
+
+// @route   GET /api/appeals/eligibility/:submissionId
+// @desc    Whether the teacher can still appeal the submission's published result
+// @access  Private (Teacher - own submission)
+router.get('/eligibility/:submissionId', authorize('teacher'), async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ _id: req.params.submissionId, teacherId: req.user._id });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const eligibility = await getAppealEligibility(submission);
+    res.json({
+      success: true,
+      eligible: eligibility.eligible,
+      message: eligibility.message || null,
+      deadline: eligibility.deadline || null
+    });
+  } catch (error) {
+    console.error('Get appeal eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appeals
+// @desc    Appeal a published result (submissionId, reason)
+// @access  Private (Teacher - own submission)
+router.post('/', authorize('teacher'), async (req, res) => {
+  try {
+    const { submissionId } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!submissionId || reason.length < 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the submission and a written reason of at least 20 characters'
+      });
+    }
+
+    const submission = await Submission.findOne({ _id: submissionId, teacherId: req.user._id });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const result = await fileAppeal(submission, { teacherId: req.user._id, reason });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      appeal: serializeAppealForUser(result.appeal, req.user)
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This result has already been appealed'
+      });
+    }
+    console.error('File appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/appeals
+// @desc    List appeals: teachers see their own, judges those assigned to them, admins their area
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status, year, level } = req.query;
+    let query = {};
+    if (req.user.role === 'teacher') {
+      query.teacherId = req.user._id;
+    } else if (req.user.role === 'judge') {
+      query.assignedJudgeId = req.user._id;
+    } else if (req.user.role === 'admin') {
+      query = buildSubmissionQueryForAdmin(req.user);
+    } else if (req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access appeals'
+      });
+    }
+    if (status) query.status = status;
+    if (year) query.year = parseInt(year, 10);
+    if (level && !query.level) query.level = level;
+
+    const appeals = await Appeal.find(query)
+      .populate('submissionId', 'teacherName school subject areaOfFocus category class level region council')
+      .sort({ createdAt: -1 });
+
+    const serialized = [];
+    for (const appeal of appeals) {
+      const plain = serializeAppealForUser(appeal, req.user);
+      if (await isBlindForUser(req.user, appeal.roundId)) {
+        plain.submissionId = redactSubmissionForBlindJudging(plain.submissionId);
+      }
+      serialized.push(plain);
+    }
+
+    res.json({
+      success: true,
+      count: serialized.length,
+      appeals: serialized
+    });
+  } catch (error) {
+    console.error('List appeals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/appeals/:id
+// @desc    Get one appeal
+// @access  Private (Owning teacher, assigned judge, admins within scope, superadmin)
+router.get('/:id', async (req, res) => {
+  try {
+    const appeal = await loadAccessibleAppeal(req, res);
+    if (!appeal) return;
+
+    await appeal.populate('submissionId');
+    const plain = serializeAppealForUser(appeal, req.user);
+    if (await isBlindForUser(req.user, appeal.roundId)) {
+      plain.submissionId = redactSubmissionForBlindJudging(plain.submissionId);
+    }
+
+    res.json({
+      success: true,
+      appeal: plain
+    });
+  } catch (error) {
+    console.error('Get appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appeals/:id/assign
+// @desc    Assign (or reassign) the appeal to a judge who has not seen the submission
+// @access  Private (Admin within scope/Superadmin)
+router.post('/:id/assign', authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appeal = await loadAccessibleAppeal(req, res);
+    if (!appeal) return;
+
+    const result = await assignAppealJudge(appeal, { assignedBy: req.user._id });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    logger.logAdminAction(
+      'Assigned appeal to judge',
+      req.user._id,
+      req,
+      {
+        appealId: String(appeal._id),
+        submissionId: String(appeal.submissionId),
+        judgeId: String(result.appeal.assignedJudgeId)
+      },
+      'info',
+      'update'
+    ).catch(() => {});
+
+    res.json({
+      success: true,
+      appeal: result.appeal
+    });
+  } catch (error) {
+    console.error('Assign appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appeals/:id/regrade
+// @desc    Submit the regrade for an appeal (scores, comments)
+// @access  Private (Assigned judge)
+router.post('/:id/regrade', authorize('judge'), async (req, res) => {
+  try {
+    const { scores, comments } = req.body;
+    if (!scores || typeof scores !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide scores'
+      });
+    }
+
+    const appeal = await loadAccessibleAppeal(req, res);
+    if (!appeal) return;
+
+    const result = await submitAppealRegrade(appeal, { judgeId: req.user._id, scores, comments });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      appeal: result.appeal
+    });
+  } catch (error) {
+    console.error('Regrade appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appeals/:id/decision
+// @desc    Uphold or reject a regraded appeal (decision, notes); upheld rebuilds the area leaderboard
+// @access  Private (Admin within scope/Superadmin)
+router.post('/:id/decision', authorize('admin', 'superadmin'), invalidateCacheOnChange('cache:/api/leaderboard*'), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() : '';
+
+    const appeal = await loadAccessibleAppeal(req, res);
+    if (!appeal) return;
+
+    const result = await decideAppeal(appeal, { decision, notes, decidedBy: req.user._id });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    logger.logAdminAction(
+      `Appeal ${decision}`,
+      req.user._id,
+      req,
+      {
+        appealId: String(appeal._id),
+        submissionId: String(appeal.submissionId),
+        scoreChanged: result.appeal.outcome.scoreChanged
+      },
+      'info',
+      'update'
+    ).catch(() => {});
+
+    res.json({
+      success: true,
+      appeal: result.appeal
+    });
+  } catch (error) {
+    console.error('Decide appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const PasswordReset = require('../models/PasswordReset');
@@ -8,6 +8,19 @@ const OTPService = require('../services/otpService');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
 const { failedLoginLockout, recordFailedAttempt, clearFailedAttempts } = require('../services/failedLoginTracker');
+const TOTPService = require('../services/totpService');
+const { getEffectivePermissions } = require('../utils/permissions');
+const { addConflictDeclaration, listConflictDeclarations } = require('../utils/conflictOfInterest');
+const {
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  serializeSession,
+  revokeSession,
+  revokeAllUserSessions
+} = require('../services/sessionService');
 
 // Safely import logger - if it fails, app should still work
 let logger = null;
@@ -30,12 +43,71 @@ try {
 
 const router = express.Router();
 
-const JWT_EXPIRES_IN = String(process.env.JWT_EXPIRES_IN || '1h').trim() || '1h';
+// User details returned after a successful login
+const buildLoginUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  gender: user.gender,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
+  permissions: getEffectivePermissions(user),
+  ...(user.role === 'teacher' && {
+    school: user.school,
+    region: user.region,
+    council: user.council,
+    chequeNumber: user.chequeNumber,
+    subject: user.subject
+  }),
+  ...(user.role === 'judge' && {
+    assignedLevel: user.assignedLevel,
+    assignedRegion: user.assignedRegion,
+    assignedCouncil: user.assignedCouncil,
+    specialization: user.specialization,
+    experience: user.experience
+  }),
+  ...(user.role === 'admin' && {
+    adminLevel: user.adminLevel,
+    adminRegion: user.adminRegion,
+    adminCouncil: user.adminCouncil
+  })
+});
+
+// Respond with a two-factor challenge instead of tokens.
+// Users who must use 2FA but have not enrolled get a fresh secret to set up.
+const sendTwoFactorChallenge = async (req, res, user) => {
+  const challengeToken = generateTwoFactorChallenge(user._id);
+
+  if (!user.twoFactorEnabled) {
+    const enrollment = await TOTPService.startEnrollment(user._id);
+    if (!enrollment.success) {
+      return res.status(500).json({
+        success: false,
+        message: enrollment.error || 'Failed to start two-factor setup'
+      });
+    }
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN
+    return res.status(200).json({
+      success: false,
+      requiresTwoFactor: true,
+      setupRequired: true,
+      message: 'Two-factor authentication is required for your account. Scan the code with your authenticator app and enter the 6-digit code.',
+      challengeToken,
+      setup: {
+        secret: enrollment.secret,
+        otpauthUrl: enrollment.otpauthUrl
+      }
+    });
+  }
+
+  return res.status(200).json({
+    success: false,
+    requiresTwoFactor: true,
+    setupRequired: false,
+    message: 'Enter the 6-digit code from your authenticator app or a backup code.',
+    challengeToken
   });
 };
 
@@ -174,8 +246,22 @@ router.post('/login', failedLoginLockout, async (req, res) => {
       }
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Admin/superadmin (and users who opted in) must complete a second factor
+    if (user.requiresTwoFactor()) {
+      if (logger) {
+        logger.logSecurity(
+          'Password verified - two-factor challenge issued',
+          user._id,
+          req,
+          { email: email.toLowerCase(), setupRequired: !user.twoFactorEnabled },
+          'info'
+        ).catch(() => {}); // Silently fail
+      }
+      return sendTwoFactorChallenge(req, res, user);
+    }
+
+    // Start a server-side session (short-lived access token + rotating refresh token)
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(user._id, req);
     await clearFailedAttempts(req.ip);
 
     // Log successful login (non-blocking)
@@ -193,34 +279,10 @@ router.post('/login', failedLoginLockout, async (req, res) => {
     res.json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        gender: user.gender,
-        role: user.role,
-        ...(user.role === 'teacher' && {
-          school: user.school,
-          region: user.region,
-          council: user.council,
-          chequeNumber: user.chequeNumber,
-          subject: user.subject
-        }),
-        ...(user.role === 'judge' && {
-          assignedLevel: user.assignedLevel,
-          assignedRegion: user.assignedRegion,
-          assignedCouncil: user.assignedCouncil,
-          specialization: user.specialization,
-          experience: user.experience
-        }),
-        ...(user.role === 'admin' && {
-          adminLevel: user.adminLevel,
-          adminRegion: user.adminRegion,
-          adminCouncil: user.adminCouncil
-        })
-      }
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
+      user: buildLoginUser(user)
     });
     }
   } catch (error) {
@@ -234,6 +296,208 @@ router.post('/login', failedLoginLockout, async (req, res) => {
   }
 });
 
+// Rate limiter for refresh token exchange
+// Note: trustProxy is configured on the Express app (server.js), rate limiter uses it automatically
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 refreshes per window
+  message: {
+    success: false,
+    message: 'Too many token refresh requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public (requires valid refresh token)
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (!result.success) {
+      if (result.reuseDetected && logger) {
+        logger.logSecurity(
+          'Refresh token reuse detected - session revoked',
+          result.session.userId,
+          req,
+          { sessionId: result.session._id.toString() },
+          'critical'
+        ).catch(() => {});
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: result.error || 'Invalid refresh token'
+      });
+    }
+
+    // A suspended or deleted account must not be able to mint new access tokens
+    const user = await User.findById(result.session.userId).select('status isDeleted');
+    if (!user || user.isDeleted || user.status !== 'active') {
+      await revokeSession(result.session._id, 'account_disabled');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is not active'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresIn, refreshTokenExpiresAt } = result.tokens;
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn,
+      refreshTokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout', req.user._id);
+
+    // Log logout (non-blocking)
+    if (logger) {
+      logger.logUserActivity(
+        'User logged out',
+        req.user._id,
+        req,
+        { sessionId: req.sessionId.toString() }
+      ).catch(() => {}); // Silently fail
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out all devices (revokes every session, including the current one)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllUserSessions(req.user._id, 'logout_all', { revokedBy: req.user._id });
+
+    // Log security event (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        'User logged out of all devices',
+        req.user._id,
+        req,
+        { revokedCount },
+        'info'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => serializeSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions (e.g. a lost device)
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.params.id, 'logout', req.user._id, req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Log security event (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        'User signed out a session remotely',
+        req.user._id,
+        req,
+        { sessionId: req.params.id },
+        'info'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Rate limiter for OTP endpoints
 // Note: trustProxy is configured on the Express app (server.js), rate limiter uses it automatically
 const otpLimiter = rateLimit({
@@ -413,8 +677,8 @@ router.post('/verify-otp', otpVerifyLimiter, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(verifyResult.user.id);
+    // Start a server-side session
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(verifyResult.user.id, req);
 
     // Log successful verification (non-blocking)
     if (logger) {
@@ -441,6 +705,9 @@ router.post('/verify-otp', otpVerifyLimiter, async (req, res) => {
       success: true,
       message: 'Email verified successfully. Welcome to TSCS!',
       token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
       user: verifyResult.user
     });
   } catch (error) {
@@ -495,19 +762,6 @@ router.post('/verify-otp-and-login', otpVerifyLimiter, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
-
-    // Log successful verification and login (non-blocking)
-    if (logger) {
-      logger.logUserActivity(
-        'Email verified and logged in',
-        user._id,
-        req,
-        { email: email.toLowerCase(), role: user.role }
-      ).catch(() => {}); // Silently fail
-    }
-
     // Send onboarding completion notification (email + SMS via notification service)
     notificationService.emit('SYSTEM_NOTIFICATION', {
       userId: user._id,
@@ -519,12 +773,33 @@ router.post('/verify-otp-and-login', otpVerifyLimiter, async (req, res) => {
       console.error('Failed to emit registration complete notification:', notifyError);
     });
 
+    // Admin accounts still need their second factor before a session is issued
+    if (user.requiresTwoFactor()) {
+      return sendTwoFactorChallenge(req, res, user);
+    }
+
+    // Start a server-side session
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(user._id, req);
+
+    // Log successful verification and login (non-blocking)
+    if (logger) {
+      logger.logUserActivity(
+        'Email verified and logged in',
+        user._id,
+        req,
+        { email: email.toLowerCase(), role: user.role }
+      ).catch(() => {}); // Silently fail
+    }
+
     // Return login response with full user data
     if (!res.headersSent) {
       res.json({
         success: true,
         message: 'Email verified successfully. Welcome!',
         token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
         user: {
           id: user._id,
           username: user.username,
@@ -605,6 +880,325 @@ router.post('/resend-otp', otpLimiter, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a TOTP or backup code (also confirms first-time setup)
+// @access  Public (requires challenge token from /login)
+router.post('/2fa/verify', otpVerifyLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and authentication code are required'
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account is not active. Please contact an administrator.'
+      });
+    }
+
+    let backupCodes = null;
+    let usedBackupCode = false;
+
+    if (!user.twoFactorEnabled) {
+      // First login after 2FA became mandatory: the code confirms the new authenticator
+      const enrollResult = await TOTPService.confirmEnrollment(user._id, code);
+      if (!enrollResult.success) {
+        await recordFailedAttempt(req.ip);
+        return res.status(400).json({
+          success: false,
+          message: enrollResult.error || 'Invalid authentication code'
+        });
+      }
+      backupCodes = enrollResult.backupCodes;
+      user.twoFactorEnabled = true;
+    } else {
+      const verifyResult = await TOTPService.verifySecondFactor(user._id, { code, backupCode });
+      if (!verifyResult.success) {
+        await recordFailedAttempt(req.ip);
+        if (logger) {
+          logger.logSecurity(
+            'Failed two-factor verification',
+            user._id,
+            req,
+            { email: user.email, method: backupCode ? 'backup_code' : 'totp' },
+            'warning'
+          ).catch(() => {});
+        }
+        return res.status(401).json({
+          success: false,
+          message: verifyResult.error || 'Invalid authentication code'
+        });
+      }
+      usedBackupCode = verifyResult.usedBackupCode;
+    }
+
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(user._id, req);
+    await clearFailedAttempts(req.ip);
+
+    // Log successful login (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        backupCodes ? 'Two-factor authentication enabled at login' : 'User logged in with two-factor authentication',
+        user._id,
+        req,
+        { role: user.role, usedBackupCode },
+        'info'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
+      user: buildLoginUser(user),
+      ...(backupCodes && { backupCodes })
+    });
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa/status', protect, async (req, res) => {
+  try {
+    const status = await TOTPService.getStatus(req.user._id);
+
+    res.json({
+      success: true,
+      twoFactor: status
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start authenticator-app enrollment (returns secret and otpauth URL)
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const result = await TOTPService.startEnrollment(req.user._id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a 6-digit code.',
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and enable two-factor authentication
+// @access  Private
+router.post('/2fa/enable', protect, otpVerifyLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    const result = await TOTPService.confirmEnrollment(req.user._id, code);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log security event (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        'Two-factor authentication enabled',
+        req.user._id,
+        req,
+        {},
+        'info'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes: result.backupCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication (not allowed for admin/superadmin)
+// @access  Private
+router.post('/2fa/disable', protect, otpVerifyLimiter, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (['admin', 'superadmin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for admin accounts'
+      });
+    }
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = user && await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const verifyResult = await TOTPService.verifySecondFactor(req.user._id, { code, backupCode });
+    if (!verifyResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: verifyResult.error
+      });
+    }
+
+    const result = await TOTPService.disable(req.user._id);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log security event (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        'Two-factor authentication disabled',
+        req.user._id,
+        req,
+        {},
+        'warning'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace backup codes (requires a current authenticator code)
+// @access  Private
+router.post('/2fa/backup-codes', protect, otpVerifyLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    const verifyResult = await TOTPService.verifySecondFactor(req.user._id, { code });
+    if (!verifyResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: verifyResult.error
+      });
+    }
+
+    const result = await TOTPService.regenerateBackupCodes(req.user._id);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Log security event (non-blocking)
+    if (logger) {
+      logger.logSecurity(
+        'Two-factor backup codes regenerated',
+        req.user._id,
+        req,
+        {},
+        'info'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Rate limiter for password reset requests
 // Note: trustProxy is configured on the Express app (server.js), rate limiter uses it automatically
 const passwordResetLimiter = rateLimit({
@@ -803,6 +1397,9 @@ router.post('/reset-password', async (req, res) => {
     // Mark token as used
     await resetRecord.markUsed();
 
+    // A reset password invalidates every existing session
+    await revokeAllUserSessions(user._id, 'password_changed');
+
     // Log security event (non-blocking)
     if (logger) {
       logger.logSecurity(
@@ -847,7 +1444,8 @@ router.get('/me', protect, async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user,
+      permissions: getEffectivePermissions(user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -933,6 +1531,84 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/conflicts
+// @desc    Get the current judge's conflict-of-interest declarations
+// @access  Private (Judge)
+router.get('/conflicts', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'judge') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only judges declare conflicts of interest'
+      });
+    }
+
+    const conflicts = await listConflictDeclarations(req.user._id);
+
+    res.json({
+      success: true,
+      ...conflicts
+    });
+  } catch (error) {
+    console.error('Get conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/conflicts
+// @desc    Declare a relationship with a teacher or school the judge must not score.
+//          Removing a declaration goes through an admin.
+// @access  Private (Judge)
+router.post('/conflicts', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'judge') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only judges declare conflicts of interest'
+      });
+    }
+
+    const judge = await User.findById(req.user._id).select('-password');
+    const result = await addConflictDeclaration(judge, req.body, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    if (logger) {
+      logger.logUserActivity(
+        'Judge declared conflict of interest',
+        req.user._id,
+        req,
+        {
+          declarationId: result.declaration._id.toString(),
+          teacherId: result.declaration.teacherId?.toString() || null,
+          school: result.declaration.school || null,
+          relationship: result.declaration.relationship
+        },
+        'create'
+      ).catch(() => {});
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Conflict of interest declared',
+      declaration: result.declaration
+    });
+  } catch (error) {
+    console.error('Declare conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/auth/change-password
 // @desc    Change password for authenticated user
 // @access  Private
@@ -1021,6 +1697,12 @@ router.put('/change-password', protect, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out other devices; the current session stays logged in
+    await revokeAllUserSessions(user._id, 'password_changed', {
+      revokedBy: user._id,
+      exceptSessionId: req.sessionId
+    });
+
     // Log successful password change (non-blocking)
     if (logger) {
       logger.logSecurity(
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const CompetitionRound = require('../models/CompetitionRound');
 const Submission = require('../models/Submission');
 const Evaluation = require('../models/Evaluation');
@@ -7,7 +8,7 @@ const SubmissionAssignment = require('../models/SubmissionAssignment');
 const AreaLeaderboard = require('../models/AreaLeaderboard');
 const RoundChunk = require('../models/RoundChunk');
 const RoundSnapshot = require('../models/RoundSnapshot');
-const { protect, authorize, authorizeNationalAdminOrSuperadmin } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const { cacheMiddleware, invalidateCacheOnChange } = require('../middleware/cache');
 const { emitRoundStateChange, emitLeaderboardModeChange } = require('../utils/socketManager');
 const {
@@ -22,6 +23,16 @@ const {
   autoReassignUnassignedSubmissionsForRound
 } = require('../utils/roundJudgementService');
 const { manuallyAssignSubmission } = require('../utils/judgeAssignment');
+const { JUDGE_CAPACITY_FIELDS, getJudgeWorkloads, resolveJudgeCapacity } = require('../utils/judgeWorkload');
+const { resolvePanelSize, groupPanelJudgeIdsBySubmission } = require('../utils/judgePanel');
+const { getJudgeReliabilityReport } = require('../utils/judgeReliability');
+const { resolveModerationThreshold, listSubmissionsNeedingModeration } = require('../utils/panelModeration');
+const {
+  getCalibrationReport,
+  saveCalibrationExemplar,
+  removeCalibrationExemplar
+} = require('../utils/judgeCalibration');
+const { canAdminAccessSubmission } = require('../utils/adminScope');
 const {
   getCanonicalAreaOfFocusLabel
 } = require('../utils/areaOfFocus');
@@ -272,19 +283,14 @@ router.get('/active', cacheMiddleware(60), async (req, res) => {
   }
 });
 
-// All other routes require superadmin or national admin (only national admin can manage rounds)
+// All other routes require the rounds.manage permission (superadmin and national admin by default)
 const isJudgeProgressReadRoute = (req) => (
-  req.method === 'GET' && /^\/[^/]+\/(judge-progress|unassigned-dashboard)$/.test(req.path)
+  req.method === 'GET' && /^\/[^/]+\/(judge-progress|unassigned-dashboard|moderation)$/.test(req.path)
 );
 
 router.use((req, res, next) => {
   if (isJudgeProgressReadRoute(req)) return next();
-  return authorize('superadmin', 'admin')(req, res, next);
-});
-
-router.use((req, res, next) => {
-  if (isJudgeProgressReadRoute(req)) return next();
-  return authorizeNationalAdminOrSuperadmin(req, res, next);
+  return requirePermission('rounds.manage')(req, res, next);
 });
 
 // @route   GET /api/competition-rounds
@@ -614,6 +620,13 @@ router.post('/', async (req, res) => {
       council,
       autoAdvance,
       waitForAllJudges,
+      blindJudging,
+      panelSize,
+      scoreNormalization,
+      moderationThreshold,
+      appealWindowDays,
+      calibration,
+      maxAssignmentsPerJudge,
       reminderEnabled,
       reminderFrequency,
       chunking,
@@ -690,6 +703,22 @@ router.post('/', async (req, res) => {
       council: null,
       autoAdvance: autoAdvance !== undefined ? autoAdvance : true,
       waitForAllJudges: waitForAllJudges !== undefined ? waitForAllJudges : true,
+      blindJudging: blindJudging === true,
+      panelSize: panelSize ? parseInt(panelSize, 10) : null,
+      scoreNormalization: scoreNormalization || 'none',
+      moderationThreshold: moderationThreshold !== undefined && moderationThreshold !== null && moderationThreshold !== ''
+        ? Number(moderationThreshold)
+        : null,
+      appealWindowDays: appealWindowDays !== undefined && appealWindowDays !== null && appealWindowDays !== ''
+        ? parseInt(appealWindowDays, 10)
+        : null,
+      calibration: {
+        maxDeviation: calibration?.maxDeviation !== undefined && calibration?.maxDeviation !== null && calibration?.maxDeviation !== ''
+          ? Number(calibration.maxDeviation)
+          : null,
+        blockFailedJudges: calibration?.blockFailedJudges === true
+      },
+      maxAssignmentsPerJudge: maxAssignmentsPerJudge ? parseInt(maxAssignmentsPerJudge, 10) : null,
       reminderEnabled: reminderEnabled !== undefined ? reminderEnabled : true,
       reminderFrequency: reminderFrequency || 'daily',
       chunking: hasChunkPayload
@@ -748,7 +777,8 @@ router.post('/', async (req, res) => {
 // @route   PUT /api/competition-rounds/:id
 // @desc    Update competition round
 // @access  Private (Superadmin)
-router.put('/:id', async (req, res) => {
+// Cached judge reads are dropped so a blindJudging change applies immediately
+router.put('/:id', invalidateCacheOnChange(['cache:/api/submissions*', 'cache:/api/evaluations*']), async (req, res) => {
   try {
     const round = await CompetitionRound.findById(req.params.id);
 
@@ -830,6 +860,15 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    // A larger panel on an active round gets its new seats filled right away
+    let panelFill = null;
+    if (
+      updatedRound.status === 'active'
+      && resolvePanelSize(updatedRound) > resolvePanelSize(round)
+    ) {
+      panelFill = await autoReassignUnassignedSubmissionsForRound(updatedRound._id);
+    }
+
     // Log round update
     if (logger) {
       logger.logAdminAction(
@@ -838,7 +877,8 @@ router.put('/:id', async (req, res) => {
         req,
         {
           roundId: req.params.id,
-          updatedFields: Object.keys(updateData)
+          updatedFields: Object.keys(updateData),
+          ...(panelFill ? { panelSize: resolvePanelSize(updatedRound), panelAssignments: panelFill.assigned || 0 } : {})
         },
         undefined,
         'update'
@@ -847,7 +887,8 @@ router.put('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      round: updatedRound
+      round: updatedRound,
+      ...(panelFill ? { panelFill } : {})
     });
   } catch (error) {
     console.error('Update competition round error:', error);
@@ -860,8 +901,8 @@ router.put('/:id', async (req, res) => {
 
 // @route   POST /api/competition-rounds/:id/activate
 // @desc    Activate a competition round and capture all submissions currently assigned to judges
-// @access  Private (Superadmin)
-router.post('/:id/activate', async (req, res) => {
+// @access  Private (rounds.activate)
+router.post('/:id/activate', requirePermission('rounds.activate'), async (req, res) => {
   try {
     const activationResult = await activateRoundWithSnapshot(req.params.id, req.user._id);
     if (!activationResult.success) {
@@ -871,7 +912,7 @@ router.post('/:id/activate', async (req, res) => {
       });
     }
 
-    const { round, snapshotSize, activeAreas, assignments, chunkSchedule } = activationResult;
+    const { round, snapshotSize, activeAreas, assignments, calibration, chunkSchedule } = activationResult;
 
     // Log activation
     if (logger) {
@@ -888,6 +929,7 @@ router.post('/:id/activate', async (req, res) => {
           snapshotSize,
           activeAreas: activeAreas.length,
           assignments,
+          calibration,
           chunkSchedule: chunkSchedule || null
         },
         'success',
@@ -911,6 +953,7 @@ router.post('/:id/activate', async (req, res) => {
       snapshotSize,
       activeAreas,
       assignments,
+      calibration,
       chunkSchedule: chunkSchedule || null,
       message: 'Round activated. Snapshot captured for currently active chunks; scheduled chunks will activate automatically on time.'
     });
@@ -1024,13 +1067,15 @@ router.post('/:id/close', invalidateCacheOnChange('cache:/api/leaderboard*'), as
 });
 
 // @route   GET /api/competition-rounds/:id/areas/:areaId/readiness
-// @desc    Check if an area is ready for finalization (all assigned judges completed)
+// @desc    Check if an area is ready for finalization (all assigned judges completed),
+//          with the area's judge reliability report as evidence for approval
 // @access  Private (Superadmin/National admin)
 router.get('/:id/areas/:areaId/readiness', cacheMiddleware(20), async (req, res) => {
   try {
+    const areaId = decodeURIComponent(req.params.areaId);
     const result = await getAreaReadiness({
       roundId: req.params.id,
-      areaId: decodeURIComponent(req.params.areaId)
+      areaId
     });
 
     if (!result.success) {
@@ -1040,10 +1085,14 @@ router.get('/:id/areas/:areaId/readiness', cacheMiddleware(20), async (req, res)
       });
     }
 
+    const round = await CompetitionRound.findById(req.params.id);
+    const reliability = await getJudgeReliabilityReport(round, { areaId });
+
     return res.json({
       success: true,
       readiness: result.readiness,
-      leaderboard: result.leaderboard
+      leaderboard: result.leaderboard,
+      reliability
     });
   } catch (error) {
     console.error('Area readiness error:', error);
@@ -1056,16 +1105,9 @@ router.get('/:id/areas/:areaId/readiness', cacheMiddleware(20), async (req, res)
 
 // @route   POST /api/competition-rounds/:id/areas/:areaId/approve
 // @desc    Approve area results and promote according to quota
-// @access  Private (Superadmin/National admin)
-router.post('/:id/areas/:areaId/approve', invalidateCacheOnChange('cache:/api/leaderboard*'), async (req, res) => {
+// @access  Private (leaderboard.approve)
+router.post('/:id/areas/:areaId/approve', requirePermission('leaderboard.approve'), invalidateCacheOnChange('cache:/api/leaderboard*'), async (req, res) => {
   try {
-    if (req.user.role !== 'superadmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only superadmin can approve area promotions'
-      });
-    }
-
     const result = await approveAreaLeaderboardAndPromote({
       roundId: req.params.id,
       areaId: decodeURIComponent(req.params.areaId),
@@ -1925,7 +1967,10 @@ router.get('/:id/judge-progress', async (req, res) => {
 
     const latestAssignmentBySubmissionId = new Map();
     const assignmentDocsForProgress = [];
-    if (isNationalRound) {
+    const panelSize = resolvePanelSize(round);
+    // National rounds and multi-judge Council/Regional rounds track whole panels
+    const tracksPanels = isNationalRound || panelSize > 1;
+    if (tracksPanels) {
       const seenPairs = new Set();
       const panelJudgeIdsBySubmission = new Map();
       const assignmentsByPanelOrder = [...assignmentsRaw].sort((a, b) => {
@@ -1950,7 +1995,7 @@ router.get('/:id/judge-progress', async (req, res) => {
         }
         const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId);
         if (!panelJudgeIds.includes(judgeId)) {
-          if (panelJudgeIds.length >= 3) continue;
+          if (panelJudgeIds.length >= panelSize) continue;
           panelJudgeIds.push(judgeId);
         }
         assignmentDocsForProgress.push(assignment);
@@ -2012,7 +2057,6 @@ router.get('/:id/judge-progress', async (req, res) => {
     const areaTotalAssignmentsMap = new Map();
     const areaCompletedAssignmentsMap = new Map();
 
-    const requiredNationalEvaluators = 3;
 
     for (const assignment of assignmentDocsForProgress) {
       const submission = submissionById.get(String(assignment.submissionId));
@@ -2041,8 +2085,8 @@ router.get('/:id/judge-progress', async (req, res) => {
       const assignedJudgeIds = assignedJudgeIdsBySubmission.get(submissionId) || new Set();
       const assignedCount = assignedJudgeIds.size;
 
-      if (isNationalRound) {
-        const isFullyAssigned = assignedCount >= requiredNationalEvaluators;
+      if (tracksPanels) {
+        const isFullyAssigned = assignedCount >= panelSize;
         if (isFullyAssigned) {
           if (!areaAssignedSubmissionSetMap.has(areaKey)) {
             areaAssignedSubmissionSetMap.set(areaKey, new Set());
@@ -2268,7 +2312,7 @@ router.get('/:id/judge-progress', async (req, res) => {
 
     const totalSubmissions = allSubmissions.length;
     const totalJudges = judges.length;
-    const totalEvaluations = isNationalRound
+    const totalEvaluations = tracksPanels
       ? [...evaluatedSubmissionJudgePairSet].filter((pair) => {
           const [submissionId, judgeId] = pair.split('::');
           const assignedJudgeIds = assignedJudgeIdsBySubmission.get(submissionId);
@@ -2327,7 +2371,8 @@ router.get('/:id/judge-progress', async (req, res) => {
         endTime: getActualEndTime(),
         timingType: round.timingType,
         startTime: round.startTime,
-        countdownDuration: round.countdownDuration
+        countdownDuration: round.countdownDuration,
+        panelSize
       },
       statistics: {
         totalSubmissions,
@@ -2365,6 +2410,272 @@ router.get('/:id/judge-progress', async (req, res) => {
   }
 });
 
+// @route   GET /api/competition-rounds/:id/judge-reliability
+// @desc    Per-judge score statistics, bias against the panel, outlier flags and
+//          per-criterion agreement (Krippendorff's alpha). Optional areaId/areaOfFocus filters.
+// @access  Private (Superadmin/National Admin)
+router.get('/:id/judge-reliability', async (req, res) => {
+  try {
+    const isSuperadmin = req.user?.role === 'superadmin';
+    const isNationalAdmin = req.user?.role === 'admin' && req.user?.adminLevel === 'National';
+    if (!isSuperadmin && !isNationalAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view judge reliability'
+      });
+    }
+
+    const round = await CompetitionRound.findById(req.params.id);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition round not found'
+      });
+    }
+
+    const reliability = await getJudgeReliabilityReport(round, {
+      areaId: req.query.areaId ? String(req.query.areaId).trim() : null,
+      areaOfFocus: req.query.areaOfFocus ? String(req.query.areaOfFocus).trim() : null
+    });
+
+    res.json({
+      success: true,
+      round: {
+        _id: round._id,
+        year: round.year,
+        level: round.level,
+        status: round.status,
+        panelSize: resolvePanelSize(round)
+      },
+      reliability
+    });
+  } catch (error) {
+    console.error('Get judge reliability error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/competition-rounds/:id/calibration
+// @desc    Calibration exemplars with reference scores and each judge's deviation and pass/fail status
+// @access  Private (Superadmin/National Admin)
+router.get('/:id/calibration', async (req, res) => {
+  try {
+    const isSuperadmin = req.user?.role === 'superadmin';
+    const isNationalAdmin = req.user?.role === 'admin' && req.user?.adminLevel === 'National';
+    if (!isSuperadmin && !isNationalAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view judge calibration'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid round ID'
+      });
+    }
+
+    const round = await CompetitionRound.findById(req.params.id);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition round not found'
+      });
+    }
+
+    const calibration = await getCalibrationReport(round);
+    res.json({
+      success: true,
+      round: {
+        _id: round._id,
+        year: round.year,
+        level: round.level,
+        status: round.status
+      },
+      calibration
+    });
+  } catch (error) {
+    console.error('Get judge calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/competition-rounds/:id/calibration/exemplars
+// @desc    Mark a submission as a calibration exemplar with reference scores (submissionId, scores, notes)
+// @access  Private (Superadmin)
+router.post('/:id/calibration/exemplars', authorize('superadmin'), async (req, res) => {
+  try {
+    const { submissionId, scores } = req.body;
+    const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() : '';
+    if (!submissionId || !scores || typeof scores !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'submissionId and reference scores are required'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid round or submission ID'
+      });
+    }
+
+    const [round, submission] = await Promise.all([
+      CompetitionRound.findById(req.params.id),
+      Submission.findById(submissionId)
+    ]);
+    if (!round || !submission) {
+      return res.status(404).json({
+        success: false,
+        message: !round ? 'Competition round not found' : 'Submission not found'
+      });
+    }
+
+    const result = await saveCalibrationExemplar(round, submission, { scores, notes, createdBy: req.user._id });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    if (logger) {
+      logger.logAdminAction(
+        result.created ? 'Superadmin added calibration exemplar' : 'Superadmin updated calibration exemplar',
+        req.user._id,
+        req,
+        {
+          roundId: String(round._id),
+          submissionId: String(submission._id),
+          referenceTotalScore: result.exemplar.referenceTotalScore
+        },
+        'info',
+        result.created ? 'create' : 'update'
+      ).catch(() => {});
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      exemplar: result.exemplar
+    });
+  } catch (error) {
+    console.error('Save calibration exemplar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/competition-rounds/:id/calibration/exemplars/:exemplarId
+// @desc    Remove a calibration exemplar and the judges' scores for it
+// @access  Private (Superadmin)
+router.delete('/:id/calibration/exemplars/:exemplarId', authorize('superadmin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.exemplarId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid round or exemplar ID'
+      });
+    }
+
+    const round = await CompetitionRound.findById(req.params.id);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition round not found'
+      });
+    }
+
+    const result = await removeCalibrationExemplar(round, req.params.exemplarId);
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    if (logger) {
+      logger.logAdminAction(
+        'Superadmin removed calibration exemplar',
+        req.user._id,
+        req,
+        {
+          roundId: String(round._id),
+          exemplarId: req.params.exemplarId,
+          removedScores: result.removedScores
+        },
+        'warning',
+        'delete'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      removedScores: result.removedScores
+    });
+  } catch (error) {
+    console.error('Remove calibration exemplar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/competition-rounds/:id/moderation
+// @desc    Submissions whose panel scores diverged beyond the round's moderation threshold
+// @access  Private (Superadmin/Admin, scoped to the admin's area)
+router.get('/:id/moderation', authorize('superadmin', 'admin'), async (req, res) => {
+  try {
+    const round = await CompetitionRound.findById(req.params.id);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition round not found'
+      });
+    }
+
+    const flagged = await listSubmissionsNeedingModeration(round);
+    const submissions = await Submission.find({ _id: { $in: flagged.map((item) => item.submissionId) } })
+      .select('_id teacherName school level region council areaOfFocus subject');
+    const submissionsById = new Map(submissions.map((submission) => [String(submission._id), submission]));
+
+    const items = flagged
+      .filter((item) => {
+        const submission = submissionsById.get(item.submissionId);
+        return submission && canAdminAccessSubmission(req.user, submission);
+      })
+      .map((item) => ({ ...item, submission: submissionsById.get(item.submissionId) }));
+
+    res.json({
+      success: true,
+      round: {
+        _id: round._id,
+        year: round.year,
+        level: round.level,
+        status: round.status,
+        moderationThreshold: resolveModerationThreshold(round)
+      },
+      pending: items.filter((item) => !item.moderated).length,
+      submissions: items
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/competition-rounds/:id/unassigned-dashboard
 // @desc    Get unassigned dashboard distribution, children, and drilldown rows
 // @access  Private (Superadmin/National Admin/Stakeholder)
@@ -2546,7 +2857,9 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
     const evaluatedSubmissionIdSet = new Set(evaluatedSubmissionIds.map((id) => String(id)));
 
     let unassignedSubmissions = [];
-    if (isNationalRound) {
+    const panelSize = resolvePanelSize(round);
+    // Submissions short of a full panel count as unassigned in National and multi-judge rounds
+    if (isNationalRound || panelSize > 1) {
       const assignmentDocs = allSubmissionIds.length > 0
         ? await SubmissionAssignment.find({
             roundId: round._id,
@@ -2557,24 +2870,12 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
             .sort({ assignedAt: 1, createdAt: 1, _id: 1 })
             .lean()
         : [];
-      const panelJudgeIdsBySubmission = new Map();
-      for (const assignment of assignmentDocs) {
-        const submissionId = String(assignment.submissionId);
-        const judgeId = assignment.judgeId ? String(assignment.judgeId) : null;
-        if (!judgeId) continue;
-        if (!panelJudgeIdsBySubmission.has(submissionId)) {
-          panelJudgeIdsBySubmission.set(submissionId, []);
-        }
-        const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId);
-        if (panelJudgeIds.includes(judgeId)) continue;
-        if (panelJudgeIds.length >= 3) continue;
-        panelJudgeIds.push(judgeId);
-      }
+      const panelJudgeIdsBySubmission = groupPanelJudgeIdsBySubmission(assignmentDocs, panelSize);
       unassignedSubmissions = allSubmissions.filter((submission) => {
         const submissionId = String(submission._id);
         if (evaluatedSubmissionIdSet.has(submissionId)) return false;
-        const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId) || [];
-        return panelJudgeIds.length < 3;
+        const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId) || new Set();
+        return panelJudgeIds.size < panelSize;
       });
     } else {
       const historicalAssignedSubmissionIds = allSubmissionIds.length > 0
@@ -2663,6 +2964,61 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
       ...childUnassignedMap.keys()
     ])];
 
+    // Judge capacity per child area (Council/Regional only; National panels have no capacity limit)
+    const judgeCapacityByArea = new Map();
+    let capacitySummary = null;
+    if (!isNationalRound) {
+      const judgeQuery = {
+        role: 'judge',
+        status: 'active',
+        isDeleted: { $ne: true },
+        assignedLevel: round.level
+      };
+      if (scopeRegionRegex) judgeQuery.assignedRegion = scopeRegionRegex;
+      if (isCouncilRound && scopeCouncilRegex) judgeQuery.assignedCouncil = scopeCouncilRegex;
+      const areaJudges = await User.find(judgeQuery).select(`_id assignedRegion assignedCouncil ${JUDGE_CAPACITY_FIELDS}`).lean();
+      const workloads = await getJudgeWorkloads(round._id, areaJudges.map((judge) => judge._id));
+
+      for (const judge of areaJudges) {
+        const key = buildAreaKey({ region: judge.assignedRegion, council: judge.assignedCouncil }, childGrouping);
+        if (!key) continue;
+        const areaKey = key.toLowerCase();
+        const capacity = resolveJudgeCapacity(judge, round);
+        const current = judgeCapacityByArea.get(areaKey) || { judgeCount: 0, judgesAtCapacity: 0 };
+        current.judgeCount += 1;
+        if (capacity !== null && workloads.get(String(judge._id)).assigned >= capacity) {
+          current.judgesAtCapacity += 1;
+        }
+        judgeCapacityByArea.set(areaKey, current);
+      }
+
+      const areaCapacities = [...judgeCapacityByArea.values()];
+      capacitySummary = {
+        maxAssignmentsPerJudge: round.maxAssignmentsPerJudge || null,
+        judges: areaJudges.length,
+        judgesAtCapacity: areaCapacities.reduce((sum, area) => sum + area.judgesAtCapacity, 0),
+        capacityExhaustedAreas: childKeys.filter((key) => {
+          const area = judgeCapacityByArea.get(String(key).toLowerCase());
+          return (childUnassignedMap.get(key) || 0) > 0 && area && area.judgesAtCapacity === area.judgeCount;
+        }).length
+      };
+    }
+    const getAreaCapacity = (key) => {
+      if (isNationalRound) return {};
+      const area = judgeCapacityByArea.get(String(key || '').toLowerCase()) || { judgeCount: 0, judgesAtCapacity: 0 };
+      return {
+        judgeCount: area.judgeCount,
+        judgesAtCapacity: area.judgesAtCapacity,
+        capacityExhausted: area.judgeCount > 0 && area.judgesAtCapacity === area.judgeCount
+      };
+    };
+    const getUnassignedReason = (submission) => {
+      if (isNationalRound) return null;
+      const area = getAreaCapacity(buildAreaKey(submission, childGrouping));
+      if (area.judgeCount === 0) return 'no_judges';
+      return area.capacityExhausted ? 'capacity_exhausted' : null;
+    };
+
     const councilAdminMap = new Map();
     if (childGrouping === 'councils' && childKeys.length > 0) {
       const adminScopeClauses = childKeys.map((key) => {
@@ -2737,7 +3093,8 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
             totalSubmissions: totalCount,
             assignedEvaluationCount,
             unassignedSubmissions: unassignedCount,
-            adminName
+            adminName,
+            ...getAreaCapacity(key)
           };
         }
 
@@ -2751,7 +3108,8 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
           totalSubmissions: totalCount,
           assignedEvaluationCount,
           unassignedSubmissions: unassignedCount,
-          adminName
+          adminName,
+          ...getAreaCapacity(key)
         };
       })
       .sort((a, b) => b.unassignedSubmissions - a.unassignedSubmissions);
@@ -2775,6 +3133,7 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
       roundId: round._id,
       sourceRoundId: submission.roundId || null,
       assignmentStatus: 'unassigned',
+      unassignedReason: getUnassignedReason(submission),
       assignedJudgeName: null,
       assignedJudgeEmail: null,
       areaAdminName: round.level === 'Council'
@@ -2792,7 +3151,8 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
         id: round._id.toString(),
         year: round.year,
         level: round.level,
-        status: round.status
+        status: round.status,
+        panelSize
       },
       locationContext: {
         groupBy,
@@ -2804,7 +3164,8 @@ router.get('/:id/unassigned-dashboard', async (req, res) => {
       summary: {
         totalSubmissions: allSubmissions.length,
         assignedEvaluationCount: Math.max(allSubmissions.length - unassignedSubmissions.length, 0),
-        totalUnassignedSubmissions: unassignedSubmissions.length
+        totalUnassignedSubmissions: unassignedSubmissions.length,
+        capacity: capacitySummary
       },
       areaOfFocusOptions,
       areaOfFocusDistribution,
@@ -2865,16 +3226,20 @@ router.post('/:id/unassigned-dashboard/auto-reassign', invalidateCacheOnChange([
           scopedSubmissions: result.scopedSubmissions,
           eligibleForAssignment: result.eligibleForAssignment,
           assigned: result.assigned,
-          remainingUnassigned: result.remainingUnassigned
+          remainingUnassigned: result.remainingUnassigned,
+          capacityExhausted: result.capacityExhausted
         },
-        'success',
+        result.capacityExhausted > 0 ? 'warning' : 'success',
         'update'
       ).catch(() => {});
     }
 
     return res.json({
       success: true,
-      message: `Auto reassign completed. ${result.assigned} assignment(s) created.`,
+      message: `Auto reassign completed. ${result.assigned} assignment(s) created.`
+        + (result.capacityExhausted > 0
+          ? ` ${result.capacityExhausted} submission(s) left unassigned because judges are at capacity.`
+          : ''),
       ...result
     });
   } catch (error) {
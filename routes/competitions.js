@@ -2,6 +2,8 @@ const express = require('express');
 const Competition = require('../models/Competition');
 const { protect, authorize } = require('../middleware/auth');
 const { getCanonicalAreaOfFocusLabel } = require('../utils/areaOfFocus');
+const { getAreaOfFocusFromCompetition } = require('../utils/evaluationCriteria');
+const { listOutdatedEvaluations, listRubricVersions, updateAreaRubric } = require('../utils/rubricVersions');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -189,7 +191,8 @@ router.get('/:year/evaluation-criteria/:category/:class/:subject/:area', async (
 
     res.json({
       success: true,
-      evaluationCriteria: areaObj.evaluationCriteria || []
+      evaluationCriteria: areaObj.evaluationCriteria || [],
+      rubricVersion: areaObj.rubricVersion || null
     });
   } catch (error) {
     console.error('Get evaluation criteria error:', error);
@@ -201,7 +204,8 @@ router.get('/:year/evaluation-criteria/:category/:class/:subject/:area', async (
 });
 
 // @route   PUT /api/competitions/:year/evaluation-criteria/:category/:class/:subject/:area
-// @desc    Update evaluation criteria for a specific area
+// @desc    Update evaluation criteria for a specific area as a new rubric version
+//          (evaluationCriteria; migrate and reason for destructive changes once scored)
 // @access  Private (Superadmin only)
 router.put('/:year/evaluation-criteria/:category/:class/:subject/:area', authorize('superadmin'), async (req, res) => {
   try {
@@ -249,33 +253,59 @@ router.put('/:year/evaluation-criteria/:category/:class/:subject/:area', authori
       });
     }
 
-    const { validateAndNormalizeEvaluationCriteria } = require('../utils/evaluationCriteria');
-    const check = validateAndNormalizeEvaluationCriteria(evaluationCriteria || []);
-    if (!check.ok) {
-      return res.status(400).json({
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const result = await updateAreaRubric(
+      competition,
+      areaObj,
+      { year, category, classLevel, subject, areaOfFocus: area },
+      { evaluationCriteria, migrate: req.body.migrate === true, reason, changedBy: req.user._id }
+    );
+    if (!result.success) {
+      return res.status(result.status || 400).json({
         success: false,
-        message: check.message
+        message: result.message
       });
     }
-    areaObj.evaluationCriteria = check.normalized;
-
-    await competition.save();
 
     // Log evaluation criteria update
-    await logger.logAdminAction(
-      'Superadmin updated evaluation criteria',
-      req.user._id,
-      req,
-      { year, category, class: classLevel, subject, area },
-      'info',
-      'update'
-    );
+    if (result.version) {
+      await logger.logAdminAction(
+        result.version.migrated ? 'Superadmin migrated evaluation criteria' : 'Superadmin updated evaluation criteria',
+        req.user._id,
+        req,
+        {
+          year,
+          category,
+          class: classLevel,
+          subject,
+          area,
+          rubricVersion: result.version.version,
+          changes: result.changes,
+          evaluationCount: result.version.evaluationCount,
+          migratedEvaluations: result.migrated,
+          outdatedEvaluations: result.outdatedEvaluations.length
+        },
+        result.version.migrated ? 'warning' : 'info',
+        'update'
+      );
+    }
 
     res.json({
       success: true,
-      evaluationCriteria: areaObj.evaluationCriteria
+      evaluationCriteria: areaObj.evaluationCriteria,
+      rubricVersion: areaObj.rubricVersion || null,
+      changed: Boolean(result.version),
+      migratedEvaluations: result.migrated,
+      // Still scored against an older version: re-score them to bring them onto this one
+      outdatedEvaluations: result.outdatedEvaluations
     });
   } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rubric was changed by someone else. Reload it and try again'
+      });
+    }
     console.error('Update evaluation criteria error:', error);
     res.status(500).json({
       success: false,
@@ -284,6 +314,44 @@ router.put('/:year/evaluation-criteria/:category/:class/:subject/:area', authori
   }
 });
 
+// @route   GET /api/competitions/:year/evaluation-criteria/:category/:class/:subject/:area/versions
+// @desc    Get every version of the evaluation criteria for a specific area, newest first
+// @access  Private (Superadmin only)
+router.get('/:year/evaluation-criteria/:category/:class/:subject/:area/versions', authorize('superadmin'), async (req, res) => {
+  try {
+    const { year, category, class: classLevel, subject, area } = req.params;
+
+    const competition = await Competition.findOne({ year: parseInt(year) });
+    const areaObj = getAreaOfFocusFromCompetition(competition, category, classLevel, subject, area);
+    if (!areaObj) {
+      return res.status(404).json({
+        success: false,
+        message: 'Area of focus not found'
+      });
+    }
+
+    const areaQuery = { year, category, classLevel, subject, areaOfFocus: area };
+    const [versions, outdatedEvaluations] = await Promise.all([
+      listRubricVersions(areaQuery),
+      listOutdatedEvaluations(areaQuery, areaObj.rubricVersion || null)
+    ]);
+
+    res.json({
+      success: true,
+      currentVersion: areaObj.rubricVersion || null,
+      count: versions.length,
+      versions,
+      outdatedEvaluations
+    });
+  } catch (error) {
+    console.error('Get rubric versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/competitions/:year/areas-of-focus
 // @desc    Get all unique areas of focus for a competition year (from the Competition model)
 // @access  Private
@@ -1,24 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Evaluation = require('../models/Evaluation');
+const EvaluationDraft = require('../models/EvaluationDraft');
+const EvaluationRevision = require('../models/EvaluationRevision');
+const CalibrationExemplar = require('../models/CalibrationExemplar');
 const Submission = require('../models/Submission');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
 const { protect, authorize } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
-const { resolveJudgeEvaluationAuthorization, isJudgeAssigned } = require('../utils/judgeAssignment');
+const {
+  resolveJudgeEvaluationAuthorization,
+  isJudgeAssigned,
+  recuseJudgeFromSubmission
+} = require('../utils/judgeAssignment');
 const { invalidateCacheOnChange, cacheMiddleware } = require('../middleware/cache');
 const notificationService = require('../services/notificationService');
 const {
   getRoundBySubmissionForEvaluation,
   refreshSubmissionAndAreaLeaderboard,
   getAreaIdFromSubmission,
+  getLockedAreaLeaderboardForSubmission,
   markRoundEndedIfComplete
 } = require('../utils/roundJudgementService');
 const { canAdminAccessSubmission } = require('../utils/adminScope');
-const Competition = require('../models/Competition');
 const {
-  getEvaluationCriteriaFromCompetition,
-  normalizeStoredCriteria,
-  validateScoresAgainstCriteria
-} = require('../utils/evaluationCriteria');
+  flagSubmissionForModeration,
+  getSubmissionModerationState
+} = require('../utils/panelModeration');
+const { applySubmissionGates } = require('../utils/rubricGates');
+const {
+  isBlindForUser,
+  redactSubmissionForBlindJudging,
+  redactEvaluationsForJudge
+} = require('../utils/blindJudging');
+const { validateSubmissionScores } = require('../utils/evaluationCriteria');
+const { getJudgeCalibrationWork, submitCalibrationScore } = require('../utils/judgeCalibration');
 
 const router = express.Router();
 
@@ -60,6 +76,328 @@ async function findExistingEvaluationForRound(submissionId, judgeId, roundId) {
   });
 }
 
+/**
+ * Submission and round for a judge's draft. Drafts can only be kept while
+ * the round is active and the judge is assigned to the submission in it.
+ * @returns {Promise<{ submission?: Object, round?: Object, status?: number, message?: string }>}
+ */
+async function resolveDraftContext(submissionId, judgeId) {
+  if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+    return { status: 400, message: 'Invalid submission ID' };
+  }
+
+  const submission = await Submission.findById(submissionId);
+  if (!submission) {
+    return { status: 404, message: 'Submission not found' };
+  }
+
+  const { round } = await resolveEvaluationRoundForJudge(submission);
+  if (!round || round.status !== 'active') {
+    return { status: 403, message: 'Drafts can only be saved while the submission\'s round is active' };
+  }
+
+  const authorization = await resolveJudgeEvaluationAuthorization(
+    submission._id,
+    judgeId,
+    round._id,
+    { allowVisibleAssignmentFallback: false }
+  );
+  if (!authorization.success) {
+    return { status: 500, message: authorization.error || 'Failed to verify judge assignment authorization' };
+  }
+  if (!authorization.authorized) {
+    return { status: 403, message: 'You are not assigned to evaluate this submission for the active round.' };
+  }
+
+  return { submission, round };
+}
+
+const toScoreSnapshot = (evaluation) => ({
+  scores: evaluation.scores instanceof Map ? Object.fromEntries(evaluation.scores) : (evaluation.scores || {}),
+  totalScore: evaluation.totalScore || 0,
+  averageScore: evaluation.averageScore || 0,
+  comments: evaluation.comments || '',
+  rubricVersion: evaluation.rubricVersion ?? null
+});
+
+/**
+ * Append a revision for an evaluation write. previousEvaluation is the
+ * document as it was before the write, or null when it was just created.
+ */
+async function recordEvaluationRevision({ evaluation, previousEvaluation, changedBy, reason }) {
+  return EvaluationRevision.create({
+    evaluationId: evaluation._id,
+    roundId: evaluation.roundId?._id || evaluation.roundId,
+    submissionId: evaluation.submissionId?._id || evaluation.submissionId,
+    judgeId: evaluation.judgeId?._id || evaluation.judgeId,
+    changedBy,
+    action: previousEvaluation ? 'updated' : 'created',
+    previous: previousEvaluation ? toScoreSnapshot(previousEvaluation) : null,
+    next: toScoreSnapshot(evaluation),
+    reason: reason || ''
+  });
+}
+
+const buildLockedLeaderboardMessage = (leaderboard) => (
+  `The ${leaderboard.areaId} leaderboard is ${leaderboard.state}. Evaluations in this area cannot be changed until a superadmin reopens it.`
+);
+
+const serializeDraft = (draft) => ({
+  _id: draft._id,
+  roundId: draft.roundId,
+  submissionId: draft.submissionId,
+  scores: draft.scores instanceof Map ? Object.fromEntries(draft.scores) : (draft.scores || {}),
+  comments: draft.comments || '',
+  revision: draft.revision || 0,
+  savedAt: draft.savedAt
+});
+
+// @route   GET /api/evaluations/calibration
+// @desc    Calibration exemplars the judge can score before their level's next round is activated
+// @access  Private (Judge)
+router.get('/calibration', authorize('judge'), async (req, res) => {
+  try {
+    const work = await getJudgeCalibrationWork(req.user);
+
+    res.json({
+      success: true,
+      calibration: work.map((item) => ({
+        ...item,
+        // Exemplars are always judged anonymously
+        exemplars: item.exemplars.map((exemplar) => ({
+          ...exemplar,
+          submission: redactSubmissionForBlindJudging(exemplar.submission)
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get judge calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/evaluations/calibration/:exemplarId
+// @desc    Score a calibration exemplar (scores); the reference is revealed in the response
+// @access  Private (Judge)
+router.post('/calibration/:exemplarId', authorize('judge'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exemplarId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exemplar ID'
+      });
+    }
+
+    const { scores } = req.body;
+    if (!scores || typeof scores !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide scores'
+      });
+    }
+
+    const exemplar = await CalibrationExemplar.findById(req.params.exemplarId);
+    if (!exemplar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calibration exemplar not found'
+      });
+    }
+
+    const result = await submitCalibrationScore(exemplar, req.user, { scores });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      score: result.calibrationScore,
+      reference: {
+        scores: exemplar.referenceScores,
+        totalScore: exemplar.referenceTotalScore,
+        notes: exemplar.notes
+      },
+      result: result.result
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already scored this exemplar'
+      });
+    }
+    console.error('Submit calibration score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/evaluations/drafts
+// @desc    List the judge's saved drafts, newest first
+// @access  Private (Judge)
+router.get('/drafts', authorize('judge'), async (req, res) => {
+  try {
+    const drafts = await EvaluationDraft.find({ judgeId: req.user._id })
+      .sort({ savedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: drafts.length,
+      drafts: drafts.map(serializeDraft)
+    });
+  } catch (error) {
+    console.error('List evaluation drafts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/evaluations/drafts/:submissionId
+// @desc    Get the judge's draft for a submission in its active round
+// @access  Private (Judge)
+router.get('/drafts/:submissionId', authorize('judge'), async (req, res) => {
+  try {
+    const context = await resolveDraftContext(req.params.submissionId, req.user._id);
+    if (!context.round) {
+      return res.status(context.status).json({
+        success: false,
+        message: context.message
+      });
+    }
+
+    const draft = await EvaluationDraft.findOne({
+      roundId: context.round._id,
+      submissionId: context.submission._id,
+      judgeId: req.user._id
+    }).lean();
+
+    res.json({
+      success: true,
+      draft: draft ? serializeDraft(draft) : null
+    });
+  } catch (error) {
+    console.error('Get evaluation draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/evaluations/drafts/:submissionId
+// @desc    Autosave a partial score sheet. Send the revision the client last saw;
+//          a stale revision is refused with the current draft
+// @access  Private (Judge)
+router.put('/drafts/:submissionId', authorize('judge'), async (req, res) => {
+  try {
+    const { scores = {}, comments, revision } = req.body;
+
+    const context = await resolveDraftContext(req.params.submissionId, req.user._id);
+    if (!context.round) {
+      return res.status(context.status).json({
+        success: false,
+        message: context.message
+      });
+    }
+    const { submission, round } = context;
+
+    const verdict = await validateSubmissionScores(submission, scores, { partial: true });
+    if (!verdict.ok) {
+      return res.status(400).json({
+        success: false,
+        message: verdict.message
+      });
+    }
+
+    const draftKey = { roundId: round._id, submissionId: submission._id, judgeId: req.user._id };
+    const update = {
+      $set: {
+        scores: verdict.scores,
+        ...(typeof comments === 'string' ? { comments } : {}),
+        savedAt: new Date()
+      },
+      $inc: { revision: 1 }
+    };
+
+    let draft;
+    if (revision === undefined || revision === null) {
+      draft = await EvaluationDraft.findOneAndUpdate(draftKey, update, { new: true, upsert: true, runValidators: true });
+    } else {
+      draft = await EvaluationDraft.findOneAndUpdate(
+        { ...draftKey, revision: Number(revision) },
+        update,
+        { new: true, runValidators: true }
+      );
+      if (!draft && Number(revision) === 0 && !(await EvaluationDraft.exists(draftKey))) {
+        draft = await EvaluationDraft.findOneAndUpdate(draftKey, update, { new: true, upsert: true, runValidators: true });
+      }
+    }
+
+    if (!draft) {
+      const current = await EvaluationDraft.findOne(draftKey).lean();
+      return res.status(409).json({
+        success: false,
+        message: 'This draft was saved from another device. Reload it before saving again.',
+        draft: current ? serializeDraft(current) : null
+      });
+    }
+
+    res.json({
+      success: true,
+      draft: serializeDraft(draft),
+      missing: verdict.missing,
+      complete: verdict.complete
+    });
+  } catch (error) {
+    console.error('Save evaluation draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/evaluations/drafts/:submissionId
+// @desc    Discard the judge's draft for a submission
+// @access  Private (Judge)
+router.delete('/drafts/:submissionId', authorize('judge'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid submission ID'
+      });
+    }
+
+    const result = await EvaluationDraft.deleteMany({
+      submissionId: req.params.submissionId,
+      judgeId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      deleted: result.deletedCount || 0
+    });
+  } catch (error) {
+    console.error('Delete evaluation draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/evaluations
 // @desc    Get evaluations with optional filters
 // @access  Private
@@ -114,7 +452,7 @@ router.get('/', cacheMiddleware(15), async (req, res) => {
     res.json({
       success: true,
       count: evaluations.length,
-      evaluations
+      evaluations: await redactEvaluationsForJudge(evaluations, req.user)
     });
   } catch (error) {
     console.error('Get evaluations error:', error);
@@ -125,6 +463,56 @@ router.get('/', cacheMiddleware(15), async (req, res) => {
   }
 });
 
+// @route   GET /api/evaluations/:id/history
+// @desc    Revision log of an evaluation, oldest first
+// @access  Private (owning judge, admins within scope, superadmin)
+router.get('/:id/history', async (req, res) => {
+  try {
+    const evaluation = await Evaluation.findById(req.params.id)
+      .select('submissionId judgeId roundId')
+      .populate('submissionId', 'level region council');
+
+    if (!evaluation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evaluation not found'
+      });
+    }
+
+    if (req.user.role === 'judge' && String(evaluation.judgeId) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this evaluation'
+      });
+    }
+
+    if (req.user.role === 'admin' && evaluation.submissionId
+      && !canAdminAccessSubmission(req.user, evaluation.submissionId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this evaluation'
+      });
+    }
+
+    const revisions = await EvaluationRevision.find({ evaluationId: evaluation._id })
+      .populate('changedBy', 'name username role')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.json({
+      success: true,
+      evaluationId: evaluation._id,
+      count: revisions.length,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get evaluation history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/evaluations/:id
 // @desc    Get single evaluation
 // @access  Private
@@ -180,9 +568,10 @@ router.get('/:id', async (req, res) => {
       'read'
     );
 
+    const [visibleEvaluation] = await redactEvaluationsForJudge([evaluation], req.user);
     res.json({
       success: true,
-      evaluation
+      evaluation: visibleEvaluation
     });
   } catch (error) {
     console.error('Get evaluation error:', error);
@@ -194,13 +583,15 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/evaluations
-// @desc    Create/update evaluation (judge only)
+// @desc    Create/update evaluation (judge only). With fromDraft: true the judge's
+//          saved draft is submitted; it must be complete. The draft is removed once submitted.
 // @access  Private (Judge)
 router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leaderboard*', 'cache:/api/submissions*']), async (req, res) => {
   try {
-    const { submissionId, scores, comments } = req.body;
+    const { submissionId, fromDraft } = req.body;
+    let { scores, comments } = req.body;
 
-    if (!submissionId || !scores || typeof scores !== 'object') {
+    if (!submissionId || (!fromDraft && (!scores || typeof scores !== 'object'))) {
       return res.status(400).json({
         success: false,
         message: 'Please provide submissionId and scores'
@@ -289,28 +680,41 @@ router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leader
       });
     }
 
-    const competition = await Competition.findOne({ year: submission.year });
-    const rawCriteria = getEvaluationCriteriaFromCompetition(
-      competition,
-      submission.category,
-      submission.class,
-      submission.subject,
-      submission.areaOfFocus
-    );
-    if (!rawCriteria || rawCriteria.length === 0) {
+    const lockedLeaderboard = await getLockedAreaLeaderboardForSubmission(round, submission);
+    if (lockedLeaderboard) {
+      return res.status(403).json({
+        success: false,
+        message: buildLockedLeaderboardMessage(lockedLeaderboard)
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (existingEvaluation && !reason) {
       return res.status(400).json({
         success: false,
-        message: 'No evaluation criteria configured for this competition area'
+        message: 'Please provide a reason for changing this evaluation'
       });
     }
 
-    const rawArr = Array.isArray(rawCriteria)
-      ? rawCriteria.map((x) => (x && typeof x.toObject === 'function' ? x.toObject() : { ...x }))
-      : [];
-    const criteriaNorm = normalizeStoredCriteria(rawArr);
+    const draftKey = { roundId: round._id, submissionId: submission._id, judgeId: req.user._id };
+    if (fromDraft) {
+      const draft = await EvaluationDraft.findOne(draftKey).lean();
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'No saved draft found for this submission'
+        });
+      }
+      scores = draft.scores || {};
+      comments = typeof comments === 'string' ? comments : draft.comments;
+    }
 
-    const scoresPlain = { ...scores };
-    const verdict = validateScoresAgainstCriteria(scoresPlain, criteriaNorm);
+    // An evaluation being changed is held to the rubric version it was scored against
+    const verdict = await validateSubmissionScores(
+      submission,
+      scores,
+      existingEvaluation ? { rubricVersion: existingEvaluation.rubricVersion } : {}
+    );
     if (!verdict.ok) {
       return res.status(400).json({
         success: false,
@@ -320,6 +724,12 @@ router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leader
 
     const totalScore = verdict.totalScore;
     const averageScore = verdict.averageScore;
+    const isModeration = Boolean(await SubmissionAssignment.exists({
+      roundId: round._id,
+      submissionId,
+      judgeId: req.user._id,
+      isModeration: true
+    }));
     const evaluationFilter = existingEvaluation
       ? { _id: existingEvaluation._id }
       : {
@@ -340,6 +750,9 @@ router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leader
         totalScore,
         averageScore,
         comments: comments || '',
+        isModeration,
+        gates: verdict.gates,
+        rubricVersion: verdict.rubricVersion,
         submittedAt: new Date()
       },
       { new: true, upsert: !existingEvaluation, runValidators: true }
@@ -347,6 +760,18 @@ router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leader
       .populate('submissionId', 'teacherName category subject level region council')
       .populate('roundId', 'year level status');
 
+    await recordEvaluationRevision({
+      evaluation,
+      previousEvaluation: existingEvaluation,
+      changedBy: req.user._id,
+      reason
+    });
+    await EvaluationDraft.deleteOne(draftKey);
+
+    const moderation = isModeration
+      ? null
+      : await flagSubmissionForModeration(submission, round);
+    const gateOutcome = await applySubmissionGates(submission._id, round);
     await refreshSubmissionAndAreaLeaderboard({ submissionId, roundId: round._id });
     await markRoundEndedIfComplete(round._id);
 
@@ -363,20 +788,28 @@ router.post('/', authorize('judge'), invalidateCacheOnChange(['cache:/api/leader
         areaId,
         averageScore,
         totalScore,
+        isModeration,
+        moderationStatus: moderation?.status || null,
+        failedGates: verdict.failedGates,
+        gateStatus: gateOutcome.status,
+        fromDraft: Boolean(fromDraft),
         criteriaCount: Object.keys(scores).length
       },
       existingEvaluation ? 'update' : 'create'
     );
 
+    const [visibleEvaluation] = await redactEvaluationsForJudge([evaluation], req.user);
     res.status(existingEvaluation ? 200 : 201).json({
       success: true,
-      evaluation,
+      evaluation: visibleEvaluation,
       round: {
         id: round._id,
         year: round.year,
         level: round.level,
         status: round.status
-      }
+      },
+      ...(moderation && moderation.required ? { moderation } : {}),
+      ...(['disqualified', 'requalified'].includes(gateOutcome.status) ? { gates: gateOutcome } : {})
     });
   } catch (error) {
     console.error('Create evaluation error:', error);
@@ -530,7 +963,9 @@ router.post('/:submissionId/disqualify', authorize('judge'), async (req, res) =>
     res.json({
       success: true,
       message: 'Submission has been flagged for disqualification',
-      submission
+      submission: await isBlindForUser(req.user, round._id)
+        ? redactSubmissionForBlindJudging(submission)
+        : submission
     });
   } catch (error) {
     console.error('Disqualify submission error:', error);
@@ -541,4 +976,232 @@ router.post('/:submissionId/disqualify', authorize('judge'), async (req, res) =>
   }
 });
 
+// @route   POST /api/evaluations/:submissionId/moderate
+// @desc    Add the area admin's moderating evaluation to a submission whose panel scores diverged
+// @access  Private (Admin/Superadmin)
+router.post('/:submissionId/moderate', authorize('admin', 'superadmin'), invalidateCacheOnChange(['cache:/api/leaderboard*', 'cache:/api/submissions*']), async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const { scores, comments } = req.body;
+
+    if (!scores || typeof scores !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide scores'
+      });
+    }
+
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (req.user.role === 'admin' && !canAdminAccessSubmission(req.user, submission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate this submission'
+      });
+    }
+
+    const { round } = await resolveEvaluationRoundForJudge(submission);
+    if (!round || round.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Moderation is only possible while the submission\'s round is active'
+      });
+    }
+
+    const lockedLeaderboard = await getLockedAreaLeaderboardForSubmission(round, submission);
+    if (lockedLeaderboard) {
+      return res.status(403).json({
+        success: false,
+        message: buildLockedLeaderboardMessage(lockedLeaderboard)
+      });
+    }
+
+    const moderationState = await getSubmissionModerationState(submission._id, round);
+    if (!moderationState.required) {
+      return res.status(400).json({
+        success: false,
+        message: moderationState.threshold === null
+          ? 'Moderation is not enabled for this round'
+          : 'Panel scores for this submission are within the moderation threshold'
+      });
+    }
+
+    const previousEvaluation = await findExistingEvaluationForRound(submissionId, req.user._id, round._id);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (previousEvaluation && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for changing this evaluation'
+      });
+    }
+
+    const verdict = await validateSubmissionScores(
+      submission,
+      scores,
+      previousEvaluation ? { rubricVersion: previousEvaluation.rubricVersion } : {}
+    );
+    if (!verdict.ok) {
+      return res.status(400).json({
+        success: false,
+        message: verdict.message
+      });
+    }
+
+    const evaluation = await Evaluation.findOneAndUpdate(
+      { submissionId, judgeId: req.user._id, roundId: round._id },
+      {
+        year: Number(submission.year),
+        level: submission.level,
+        roundId: round._id,
+        submissionId,
+        judgeId: req.user._id,
+        scores,
+        totalScore: verdict.totalScore,
+        averageScore: verdict.averageScore,
+        comments: comments || '',
+        isModeration: true,
+        gates: verdict.gates,
+        rubricVersion: verdict.rubricVersion,
+        submittedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    await recordEvaluationRevision({
+      evaluation,
+      previousEvaluation,
+      changedBy: req.user._id,
+      reason
+    });
+
+    // A moderator judge who has not scored yet is no longer needed
+    const evaluatedJudgeIds = await Evaluation.distinct('judgeId', { roundId: round._id, submissionId });
+    await SubmissionAssignment.deleteMany({
+      roundId: round._id,
+      submissionId,
+      isModeration: true,
+      judgeId: { $nin: evaluatedJudgeIds }
+    });
+
+    const gateOutcome = await applySubmissionGates(submission._id, round);
+    await refreshSubmissionAndAreaLeaderboard({ submissionId, roundId: round._id });
+    await markRoundEndedIfComplete(round._id);
+
+    logger.logAdminAction(
+      'Admin added moderating evaluation',
+      req.user._id,
+      req,
+      {
+        evaluationId: evaluation._id.toString(),
+        roundId: round._id.toString(),
+        submissionId: submission._id.toString(),
+        areaId: getAreaIdFromSubmission(submission),
+        spread: moderationState.spread,
+        threshold: moderationState.threshold,
+        gateStatus: gateOutcome.status,
+        totalScore: verdict.totalScore
+      },
+      undefined,
+      'create'
+    ).catch(() => {});
+
+    res.status(previousEvaluation ? 200 : 201).json({
+      success: true,
+      evaluation,
+      ...(['disqualified', 'requalified'].includes(gateOutcome.status) ? { gates: gateOutcome } : {})
+    });
+  } catch (error) {
+    console.error('Moderate evaluation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/evaluations/:submissionId/recuse
+// @desc    Decline an assigned submission the judge cannot fairly evaluate; it is reassigned
+// @access  Private (Judge)
+router.post('/:submissionId/recuse', authorize('judge'), invalidateCacheOnChange(['cache:/api/submissions*']), async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid submission ID'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recusal reason is required'
+      });
+    }
+
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const { round } = await resolveEvaluationRoundForJudge(submission);
+    if (!round || round.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recusal is only possible while the submission\'s round is active'
+      });
+    }
+
+    const result = await recuseJudgeFromSubmission(submission, req.user, { round, reason });
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    logger.logSystemEvent(
+      'Judge recused from submission',
+      req,
+      {
+        judgeId: req.user._id.toString(),
+        judgeName: req.user.name,
+        roundId: round._id.toString(),
+        submissionId: submission._id.toString(),
+        level: submission.level,
+        region: submission.region,
+        council: submission.council,
+        reason,
+        reassignedTo: result.reassignment.judgeId
+      },
+      result.reassignment.reassigned ? 'warning' : 'error',
+      'update'
+    ).catch(() => {});
+
+    res.json({
+      success: true,
+      message: result.reassignment.reassigned
+        ? 'You have been removed from this submission and it has been reassigned'
+        : 'You have been removed from this submission; it is waiting for another judge',
+      recusalId: result.recusal._id
+    });
+  } catch (error) {
+    console.error('Recuse from submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -22,16 +22,16 @@ const optionalAuth = async (req, res, next) => {
     let token;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
-    } else if (req.query.token) {
-      token = req.query.token;
     }
 
     if (token) {
       try {
         const jwt = require('jsonwebtoken');
         const User = require('../models/User');
+        const { findActiveSession } = require('../services/sessionService');
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const session = await findActiveSession(decoded.sid, decoded.id);
+        req.user = session ? await User.findById(decoded.id).select('-password') : null;
       } catch (error) {
         // Invalid token, continue without user
         req.user = null;
@@ -7,7 +7,13 @@ const Evaluation = require('../models/Evaluation');
 const { protect, authorize } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 const notificationService = require('../services/notificationService');
+const { canUserAccessSubmissionMedia, buildSubmissionMediaUrls, deleteSubmissionMedia } = require('../services/mediaAccessService');
 const { manuallyAssignSubmission, getEligibleJudges, getAssignedJudge } = require('../utils/judgeAssignment');
+const {
+  getBlindRoundIds,
+  isSubmissionBlindForJudge,
+  redactSubmissionForBlindJudging
+} = require('../utils/blindJudging');
 const User = require('../models/User');
 const { cacheMiddleware, invalidateCacheOnChange } = require('../middleware/cache');
 const { buildSubmissionQueryForAdmin, canAdminAccessSubmission, canAdminAccessUser } = require('../utils/adminScope');
@@ -43,6 +49,25 @@ const getMissingSubmissionParts = (submission) => {
   return missingParts;
 };
 
+// Set by the server (content hashing, duplicate detection, integrity scans, rubric gates); never taken from a request body
+const SYSTEM_MANAGED_SUBMISSION_FIELDS = [
+  '_id',
+  'lessonPlanContentHash',
+  'videoContentHash',
+  'duplicateMedia',
+  'mediaIntegrity',
+  'failedGates',
+  'statusBeforeGates'
+];
+
+const stripSystemManagedFields = (body = {}) => {
+  const cleaned = { ...body };
+  for (const field of SYSTEM_MANAGED_SUBMISSION_FIELDS) {
+    delete cleaned[field];
+  }
+  return cleaned;
+};
+
 const sanitizeSubmissionForTeacher = (submission) => {
   if (!submission) return submission;
   const plain = (typeof submission.toObject === 'function')
@@ -56,6 +81,8 @@ const sanitizeSubmissionForTeacher = (submission) => {
   delete plain.evaluations;
   delete plain.judgeCompleted;
   delete plain.judgeCompletionStatus;
+  delete plain.duplicateMedia;
+  delete plain.mediaIntegrity;
   return plain;
 };
 
@@ -70,6 +97,32 @@ const buildMissingMediaQuery = () => ({
   ]
 });
 
+const buildFaultyIssueQuery = (issue) => {
+  const duplicateQuery = { 'duplicateMedia.status': 'flagged' };
+  const brokenQuery = { 'mediaIntegrity.status': 'broken' };
+  if (issue === 'missing') return buildMissingMediaQuery();
+  if (issue === 'duplicate') return duplicateQuery;
+  if (issue === 'broken') return brokenQuery;
+  return { $or: [...buildMissingMediaQuery().$or, duplicateQuery, brokenQuery] };
+};
+
+const getBrokenSubmissionParts = (submission) => {
+  if (submission.mediaIntegrity?.status !== 'broken') return [];
+  return [...new Set((submission.mediaIntegrity.issues || []).map((issue) => issue.part))];
+};
+
+const getDuplicatedSubmissionParts = (submission) => {
+  if (submission.duplicateMedia?.status !== 'flagged') return [];
+  return [...new Set((submission.duplicateMedia.matches || []).map((match) => match.part))];
+};
+
+const getSubmissionIssues = (submission) => {
+  const issues = getMissingSubmissionParts(submission).length > 0 ? ['missing'] : [];
+  if (submission.duplicateMedia?.status === 'flagged') issues.push('duplicate');
+  if (submission.mediaIntegrity?.status === 'broken') issues.push('broken');
+  return issues;
+};
+
 // All routes require authentication
 router.use(protect);
 
@@ -101,6 +154,7 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
     let responseMessage = null;
     let judgeAssignmentsCount = 0;
     let judgeAssignmentMap = new Map();
+    let blindRoundIds = new Set();
 
     // Role-based filtering (applied first, cannot be overridden)
     if (req.user.role === 'judge') {
@@ -153,16 +207,7 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
     if (classLevel) query.class = classLevel;
     if (subject) query.subject = subject;
 
-    if (search) {
-      andClauses.push({
-        $or: [
-          { teacherName: { $regex: search, $options: 'i' } },
-          { school: { $regex: search, $options: 'i' } },
-          { category: { $regex: search, $options: 'i' } },
-          { subject: { $regex: search, $options: 'i' } }
-        ]
-      });
-    }
+    const searchFields = ['teacherName', 'school', 'category', 'subject'];
 
     // Assignment-based judges only see submissions assigned to them for their level.
     if (req.user.role === 'judge' && ['Council', 'Regional', 'National'].includes(req.user.assignedLevel)) {
@@ -191,6 +236,7 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
         });
       }
       judgeAssignmentsCount = assignmentPairs.length;
+      blindRoundIds = await getBlindRoundIds([...judgeAssignmentMap.values()].map((meta) => meta.roundId));
 
       if (assignmentPairs.length > 0) {
         andClauses.push({ $or: assignmentPairs });
@@ -200,6 +246,16 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
       }
     }
 
+    if (search) {
+      // Searching by teacher or school would reveal identities in blind rounds
+      const fields = blindRoundIds.size > 0
+        ? searchFields.filter((field) => !['teacherName', 'school'].includes(field))
+        : searchFields;
+      andClauses.push({
+        $or: fields.map((field) => ({ [field]: { $regex: search, $options: 'i' } }))
+      });
+    }
+
     if (andClauses.length > 0) {
       query.$and = andClauses;
     }
@@ -242,9 +298,16 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
       }
     }
 
-    const visibleSubmissions = req.user.role === 'teacher'
-      ? submissions.map((submission) => sanitizeSubmissionForTeacher(submission))
-      : submissions;
+    let visibleSubmissions = submissions;
+    if (req.user.role === 'teacher') {
+      visibleSubmissions = submissions.map((submission) => sanitizeSubmissionForTeacher(submission));
+    } else if (blindRoundIds.size > 0) {
+      visibleSubmissions = submissions.map((submission) => (
+        blindRoundIds.has(String(submission.assignedRoundId))
+          ? redactSubmissionForBlindJudging(submission)
+          : submission
+      ));
+    }
 
     const response = {
       success: true,
@@ -704,11 +767,14 @@ router.get('/deleted', authorize('admin', 'superadmin'), async (req, res) => {
 });
 
 // @route   GET /api/submissions/faulty
-// @desc    Get submissions missing lesson plan and/or video media
+// @desc    Get submissions missing lesson plan and/or video media, flagged for
+//          sharing a file with another teacher's submission, or whose stored file
+//          failed the integrity scan (?issue=missing|duplicate|broken)
 // @access  Private (Admin/Superadmin)
 router.get('/faulty', authorize('admin', 'superadmin'), async (req, res) => {
   try {
     const {
+      issue,
       level,
       year,
       category,
@@ -723,9 +789,13 @@ router.get('/faulty', authorize('admin', 'superadmin'), async (req, res) => {
       ? Number(year)
       : null;
 
+    if (issue && !['missing', 'duplicate', 'broken'].includes(issue)) {
+      return res.status(400).json({ success: false, message: 'Issue must be missing, duplicate or broken' });
+    }
+
     const query = {
       isDeleted: { $ne: true },
-      ...buildMissingMediaQuery()
+      ...buildFaultyIssueQuery(issue)
     };
 
     if (req.user.role === 'admin') {
@@ -765,7 +835,8 @@ router.get('/faulty', authorize('admin', 'superadmin'), async (req, res) => {
 
     const faultySubmissions = submissions.map((submission) => ({
       ...submission,
-      missingParts: getMissingSubmissionParts(submission)
+      missingParts: getMissingSubmissionParts(submission),
+      issues: getSubmissionIssues(submission)
     }));
 
     res.json({
@@ -805,7 +876,7 @@ router.patch('/:id/faulty-fix', authorize('admin', 'superadmin'), invalidateCach
     }
 
     const missingParts = getMissingSubmissionParts(submission);
-    if (!missingParts.includes(part)) {
+    if (!missingParts.includes(part) && !getBrokenSubmissionParts(submission).includes(part)) {
       return res.status(400).json({
         success: false,
         message: `Submission is not missing ${part === 'lessonPlan' ? 'lesson plan' : 'video'}`
@@ -880,12 +951,17 @@ router.post('/:id/request-reupload', authorize('admin', 'superadmin'), invalidat
     }
 
     const missingParts = getMissingSubmissionParts(submission);
-    if (!missingParts.includes(part)) {
+    const isBrokenPart = getBrokenSubmissionParts(submission).includes(part);
+    const isDuplicatedPart = getDuplicatedSubmissionParts(submission).includes(part);
+    if (!missingParts.includes(part) && !isBrokenPart && !isDuplicatedPart) {
       return res.status(400).json({
         success: false,
         message: `Submission is not missing ${part === 'lessonPlan' ? 'lesson plan' : 'video'}`
       });
     }
+    let reason = 'duplicate';
+    if (missingParts.includes(part)) reason = 'missing';
+    else if (isBrokenPart) reason = 'broken';
 
     submission.reuploadRequest = {
       requested: true,
@@ -905,7 +981,8 @@ router.post('/:id/request-reupload', authorize('admin', 'superadmin'), invalidat
       {
         submissionId: submission._id.toString(),
         teacherId: submission.teacherId?.toString(),
-        part
+        part,
+        reason
       },
       'warning',
       'update'
@@ -914,11 +991,12 @@ router.post('/:id/request-reupload', authorize('admin', 'superadmin'), invalidat
     await notificationService.emit('SYSTEM_NOTIFICATION', {
       userId: submission.teacherId,
       title: 'Submission reupload required',
-      message: `Please reupload your missing ${part === 'lessonPlan' ? 'lesson plan PDF' : 'video file'} for submission "${submission.areaOfFocus || submission.subject}".`,
+      message: `Please reupload your ${{ missing: 'missing', broken: 'damaged', duplicate: 'own' }[reason]} ${part === 'lessonPlan' ? 'lesson plan PDF' : 'video file'} for submission "${submission.areaOfFocus || submission.subject}".`,
       metadata: {
         event: 'submission_reupload_requested',
         submissionId: submission._id.toString(),
         part,
+        reason,
         note: submission.reuploadRequest.note || undefined
       },
       sendEmail: true
@@ -935,6 +1013,54 @@ router.post('/:id/request-reupload', authorize('admin', 'superadmin'), invalidat
   }
 });
 
+// @route   PATCH /api/submissions/:id/duplicate-media/review
+// @desc    Dismiss a duplicate media flag after checking the matched submissions
+// @access  Private (Admin/Superadmin)
+router.patch('/:id/duplicate-media/review', authorize('admin', 'superadmin'), invalidateCacheOnChange('cache:/api/submissions*'), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const submission = await Submission.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+    if (req.user.role === 'admin' && !canAdminAccessSubmission(req.user, submission)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to review this submission' });
+    }
+    if (submission.duplicateMedia?.status !== 'flagged') {
+      return res.status(400).json({ success: false, message: 'Submission is not flagged for duplicate media' });
+    }
+
+    submission.duplicateMedia.status = 'dismissed';
+    submission.duplicateMedia.reviewedBy = req.user._id;
+    submission.duplicateMedia.reviewedAt = new Date();
+    submission.duplicateMedia.reviewNote = typeof note === 'string' ? note.trim() : '';
+    await submission.save();
+
+    await logger.logAdminAction(
+      'Admin dismissed duplicate media flag',
+      req.user._id,
+      req,
+      {
+        submissionId: submission._id.toString(),
+        teacherId: submission.teacherId?.toString(),
+        matchedSubmissionIds: submission.duplicateMedia.matches.map((match) => match.submissionId.toString())
+      },
+      'info',
+      'update'
+    );
+
+    res.json({
+      success: true,
+      message: 'Duplicate media flag dismissed',
+      submission
+    });
+  } catch (error) {
+    console.error('Duplicate media review error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   PATCH /api/submissions/:id/teacher-reupload
 // @desc    Teacher uploads only requested media part
 // @access  Private (Teacher)
@@ -1051,13 +1177,13 @@ router.get('/:id', async (req, res) => {
       }
 
       if (submission.level === 'Council' || submission.level === 'Regional') {
-        const latestAssignment = await SubmissionAssignment.findOne({
-          submissionId: submission._id
-        })
-          .sort({ assignedAt: -1, createdAt: -1, _id: -1 })
-          .select('judgeId');
+        // Any judge on the submission's panel, not only the latest assignee
+        const hasAssignment = await SubmissionAssignment.exists({
+          submissionId: submission._id,
+          judgeId: req.user._id
+        });
 
-        if (!latestAssignment || String(latestAssignment.judgeId) !== String(req.user._id)) {
+        if (!hasAssignment) {
           return res.status(403).json({
             success: false,
             message: 'Not authorized to access this submission'
@@ -1106,13 +1232,20 @@ router.get('/:id', async (req, res) => {
       'read'
     );
 
-    const visibleSubmission = req.user.role === 'teacher'
-      ? sanitizeSubmissionForTeacher(submission)
-      : submission;
+    const blind = await isSubmissionBlindForJudge(req.user, submission._id);
+    let visibleSubmission = submission;
+    if (req.user.role === 'teacher') {
+      visibleSubmission = sanitizeSubmissionForTeacher(submission);
+    } else if (blind) {
+      visibleSubmission = redactSubmissionForBlindJudging(submission);
+    }
 
     res.json({
       success: true,
-      submission: visibleSubmission
+      submission: visibleSubmission,
+      mediaUrls: await canUserAccessSubmissionMedia(req.user, submission)
+        ? buildSubmissionMediaUrls(submission, req.user, { blind })
+        : null
     });
   } catch (error) {
     console.error('Get submission error:', error);
@@ -1129,7 +1262,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', authorize('teacher', 'admin', 'superadmin'), invalidateCacheOnChange('cache:/api/submissions*'), async (req, res) => {
   try {
     const submissionData = {
-      ...req.body,
+      ...stripSystemManagedFields(req.body),
       teacherId: req.user.role === 'teacher' ? req.user._id : req.body.teacherId || req.user._id
     };
 
@@ -1293,17 +1426,24 @@ router.put('/:id', authorize('teacher', 'admin', 'superadmin'), invalidateCacheO
       });
     }
 
-    const updatedSubmission = await Submission.findOneAndUpdate(
-      { _id: req.params.id, isDeleted: { $ne: true } },
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('teacherId', 'name email username');
+    // Save through the document so replaced media is hashed, checked for
+    // duplicates and cleared of integrity issues found on the old file
+    const previous = {
+      level: submission.level,
+      region: submission.region,
+      council: submission.council,
+      roundId: submission.roundId,
+      status: submission.status
+    };
+    submission.set(stripSystemManagedFields(req.body));
+    await submission.save();
+    const updatedSubmission = await submission.populate('teacherId', 'name email username');
 
     const assignmentMetadataChanged = updatedSubmission &&
       (
-        updatedSubmission.level !== submission.level ||
-        String(updatedSubmission.region || '') !== String(submission.region || '') ||
-        String(updatedSubmission.council || '') !== String(submission.council || '')
+        updatedSubmission.level !== previous.level ||
+        String(updatedSubmission.region || '') !== String(previous.region || '') ||
+        String(updatedSubmission.council || '') !== String(previous.council || '')
       );
 
     // Keep assignment metadata aligned with current submission location/level for actionable round scopes.
@@ -1313,7 +1453,7 @@ router.put('/:id', authorize('teacher', 'admin', 'superadmin'), invalidateCacheO
       updatedSubmission.region
     ) {
       const actionableRoundIds = new Set();
-      if (submission.roundId) actionableRoundIds.add(String(submission.roundId));
+      if (previous.roundId) actionableRoundIds.add(String(previous.roundId));
       if (updatedSubmission.roundId) actionableRoundIds.add(String(updatedSubmission.roundId));
 
       if (actionableRoundIds.size === 0 && updatedSubmission.year) {
@@ -1345,14 +1485,14 @@ router.put('/:id', authorize('teacher', 'admin', 'superadmin'), invalidateCacheO
     }
 
     // Determine log action based on what was updated
-    const levelChanged = req.body.level && req.body.level !== submission.level;
-    const statusChanged = req.body.status && req.body.status !== submission.status;
+    const levelChanged = req.body.level && req.body.level !== previous.level;
+    const statusChanged = req.body.status && req.body.status !== previous.status;
     
     let logAction = 'User updated submission';
     let logSeverity = 'info';
     
     if (levelChanged && req.user.role !== 'teacher') {
-      logAction = `Admin ${req.body.level > submission.level ? 'promoted' : 'demoted'} submission to ${req.body.level} level`;
+      logAction = `Admin ${req.body.level > previous.level ? 'promoted' : 'demoted'} submission to ${req.body.level} level`;
       logSeverity = 'success';
     } else if (statusChanged) {
       if (req.body.status === 'approved') {
@@ -1372,10 +1512,10 @@ router.put('/:id', authorize('teacher', 'admin', 'superadmin'), invalidateCacheO
         req,
         {
           submissionId: req.params.id,
-          previousLevel: submission.level,
-          newLevel: req.body.level || submission.level,
-          previousStatus: submission.status,
-          newStatus: req.body.status || submission.status,
+          previousLevel: previous.level,
+          newLevel: req.body.level || previous.level,
+          previousStatus: previous.status,
+          newStatus: req.body.status || previous.status,
           updatedFields: Object.keys(req.body)
         },
         logSeverity,
@@ -1546,6 +1686,12 @@ router.delete('/:id/permanent', authorize('admin', 'superadmin'), invalidateCach
 
     await Submission.deleteOne({ _id: submission._id });
 
+    // Remove uploaded files from storage; failures leave orphans but must not block the delete
+    const deletedMedia = await deleteSubmissionMedia(submission).catch((error) => {
+      console.error('Failed to delete submission media:', error);
+      return [];
+    });
+
     await logger.logAdminAction(
       'Admin permanently deleted submission',
       req.user._id,
@@ -1556,7 +1702,8 @@ router.delete('/:id/permanent', authorize('admin', 'superadmin'), invalidateCach
         teacherName: submission.teacherName,
         level: submission.level,
         category: submission.category,
-        subject: submission.subject
+        subject: submission.subject,
+        deletedMedia
       },
       'error',
       'delete'
@@ -1839,6 +1986,7 @@ router.get('/:id/eligible-judges', authorize('admin', 'superadmin'), async (req,
     res.json({
       success: true,
       judges: result.judges,
+      conflictExclusions: result.conflictExclusions || [],
       message: result.message || `${result.judges.length} eligible judge(s) found`
     });
   } catch (error) {
@@ -1982,13 +2130,29 @@ router.post(
       }
 
       const result = await manuallyAssignSubmission(req.params.id, judgeId, {
-        roundId: roundResolution.round._id
+        roundId: roundResolution.round._id,
+        replaceJudgeId: req.body.replaceJudgeId || null
       });
 
       if (!result.success) {
+        if (result.conflictExclusions?.length) {
+          await logger.logAdminAction(
+            'Judge assignment blocked by conflict of interest',
+            req.user._id,
+            req,
+            {
+              submissionId: req.params.id,
+              judgeId,
+              reasons: result.conflictExclusions[0].reasons
+            },
+            'warning',
+            'update'
+          );
+        }
         return res.status(400).json({
           success: false,
-          message: result.error
+          message: result.error,
+          conflictExclusions: result.conflictExclusions || undefined
         });
       }
 
@@ -2000,7 +2164,11 @@ router.post(
         {
           submissionId: req.params.id,
           judgeId: judgeId,
-          assignmentId: result.assignment._id.toString()
+          assignmentId: result.assignment._id.toString(),
+          ...(result.replacedJudgeId ? { replacedJudgeId: result.replacedJudgeId.toString() } : {}),
+          ...(result.conflictSkipped?.length
+            ? { conflictSkippedSubmissionIds: result.conflictSkipped.map((item) => item.submissionId.toString()) }
+            : {})
         },
         'success',
         'update'
@@ -2016,6 +2184,8 @@ router.post(
           roundId: result.assignment.roundId,
           roundStatus: roundResolution.round.status
         },
+        replacedJudgeId: result.replacedJudgeId || null,
+        conflictSkipped: (result.conflictSkipped || []).map(({ submissionId, reasons }) => ({ submissionId, reasons })),
         message: result.message
       });
     } catch (error) {
@@ -1,19 +1,18 @@
 const express = require('express');
 const SystemLog = require('../models/SystemLog');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes require authentication and superadmin role
+// All routes require authentication; access is permission-based (superadmin by default)
 router.use(protect);
-router.use(authorize('superadmin'));
 
 // @route   GET /api/system-logs
 // @desc    Get all system logs (with filters)
-// @access  Private (Superadmin)
+// @access  Private (logs.view)
 const MAX_LIMIT = 50000;
 
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('logs.view'), async (req, res) => {
   try {
     const { type, severity, userId, startDate, endDate, limit, search, dbOnly } = req.query;
 
@@ -82,8 +81,8 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/system-logs/:id
 // @desc    Get single system log
-// @access  Private (Superadmin)
-router.get('/:id', async (req, res) => {
+// @access  Private (logs.view)
+router.get('/:id', requirePermission('logs.view'), async (req, res) => {
   try {
     const log = await SystemLog.findById(req.params.id)
       .populate('userId', 'name username email role');
@@ -110,8 +109,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   DELETE /api/system-logs
 // @desc    Delete old system logs
-// @access  Private (Superadmin)
-router.delete('/', async (req, res) => {
+// @access  Private (logs.purge)
+router.delete('/', requirePermission('logs.purge'), async (req, res) => {
   try {
     const { days = 90 } = req.query;
     const cutoffDate = new Date();
@@ -1,9 +1,33 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const mongoose = require('mongoose');
 const { protect } = require('../middleware/auth');
 const { uploadLimiter } = require('../middleware/rateLimiter');
+const Submission = require('../models/Submission');
+const {
+  canUserAccessSubmissionMedia,
+  getSubmissionMediaFilenames,
+  signMediaUrl,
+  signImageUrl,
+  verifyMediaSignature,
+  verifySubmissionPartSignature,
+  verifyImageSignature,
+  buildSubmissionMediaUrls
+} = require('../services/mediaAccessService');
+const { isSubmissionBlindForJudge } = require('../utils/blindJudging');
+const { sendMediaFile } = require('../utils/mediaStream');
+const { getStorage, STORAGE_FOLDERS, findMediaObject, isSupportedMediaFile } = require('../services/storage');
+const { createMulterStorage } = require('../services/storage/multerStorage');
+const { recordUploadedFile } = require('../services/duplicateMediaService');
+const {
+  serializeUploadSession,
+  createUploadSession,
+  findUploadSession,
+  writeChunk,
+  finalizeUpload,
+  abortUpload
+} = require('../services/chunkedUploadService');
 
 // Safely import logger - if it fails, app should still work
 let logger = null;
@@ -84,68 +108,13 @@ function logUploadProgress(label = 'upload') {
   };
 }
 
-// Ensure uploads directory and subdirectories exist
-const uploadsDir = path.join(__dirname, '../uploads');
-const lessonPlanDir = path.join(uploadsDir, 'lesson-plan');
-const videosDir = path.join(uploadsDir, 'videos');
 const MAX_VIDEO_UPLOAD_MB = Math.min(Number(process.env.MAX_VIDEO_UPLOAD_MB || 100), 100);
 const MAX_VIDEO_UPLOAD_BYTES = MAX_VIDEO_UPLOAD_MB * 1024 * 1024;
-const imagesDir = path.join(uploadsDir, 'images');
 
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-if (!fs.existsSync(lessonPlanDir)) {
-  fs.mkdirSync(lessonPlanDir, { recursive: true });
-}
-if (!fs.existsSync(videosDir)) {
-  fs.mkdirSync(videosDir, { recursive: true });
-}
-if (!fs.existsSync(imagesDir)) {
-  fs.mkdirSync(imagesDir, { recursive: true });
-}
-
-// Configure multer for lesson plan storage
-const lessonPlanStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, lessonPlanDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-teacherId-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${uniqueSuffix}-${name}${ext}`);
-  }
-});
-
-// Configure multer for video storage
-const videoStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, videosDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-teacherId-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${uniqueSuffix}-${name}${ext}`);
-  }
-});
-
-// Configure multer for image storage
-const imageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, imagesDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${uniqueSuffix}-${name}${ext}`);
-  }
-});
+// Uploads are written through the configured storage driver (local disk or S3)
+const lessonPlanStorage = createMulterStorage(STORAGE_FOLDERS.lessonPlan);
+const videoStorage = createMulterStorage(STORAGE_FOLDERS.video);
+const imageStorage = createMulterStorage(STORAGE_FOLDERS.image);
 
 // File filter - only allow PDFs
 const fileFilter = (req, file, cb) => {
@@ -182,39 +151,6 @@ const videoUpload = multer({
 });
 
 
-// @route   GET /api/uploads/watch/:filename/stream
-// @desc    Stream video file
-// @access  Private
-// router.get('/watch/:filename/stream', protect, (req, res) => {
-//   const filename = decodeURIComponent(req.params.filename).split('?')[0];
-//   const filePath = path.join(videosDir, filename);
-//   if (!fs.existsSync(filePath)) return res.sendStatus(404);
-
-//   res.setHeader('Content-Type', 'video/mp4');
-//   res.setHeader('Content-Disposition', 'inline');
-//   res.sendFile(filePath);
-// });
-
-
-// @route   GET /api/uploads/watch/lesson-plan/:filename/view
-// @desc    View lesson plan PDF inline
-// @access  Private
-// router.get('/watch/lesson-plan/:filename/view', protect, (req, res) => {
-//   const filename = decodeURIComponent(req.params.filename).split('?')[0];
-
-//   // security: prevent ../
-//   if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-//     return res.status(400).json({ success: false, message: 'Invalid filename' });
-//   }
-
-//   const filePath = path.join(lessonPlanDir, filename);
-//   if (!fs.existsSync(filePath)) return res.sendStatus(404);
-
-//   res.setHeader('Content-Type', 'application/pdf');
-//   res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-//   res.sendFile(filePath);
-// });
-
 // @route   POST /api/uploads/lesson-plan
 // @desc    Upload lesson plan PDF
 // @access  Private
@@ -227,6 +163,15 @@ router.post('/lesson-plan', protect, uploadLimiter, upload.single('file'), async
       });
     }
 
+    // The hash is copied onto the submission that references the file (duplicate detection)
+    await recordUploadedFile({
+      filename: req.file.filename,
+      kind: 'lessonPlan',
+      contentHash: req.file.contentHash,
+      size: req.file.size,
+      uploadedBy: req.user._id
+    });
+
     // Log file upload (non-blocking)
     if (logger) {
       logger.logUserActivity(
@@ -247,7 +192,9 @@ router.post('/lesson-plan', protect, uploadLimiter, upload.single('file'), async
       file: {
         filename: req.file.filename,
         originalName: req.file.originalname,
-        url: `/api/uploads/watch/${encodeURIComponent(req.file.filename)}/stream`
+        url: `/api/uploads/watch/${encodeURIComponent(req.file.filename)}/stream`,
+        // Signed for the uploader only, until the file is attached to a submission
+        previewUrl: signMediaUrl(req.file.filename, { userId: req.user._id }).url
       }
     });
   } catch (error) {
@@ -274,7 +221,13 @@ router.post('/video', protect, uploadLimiter, logUploadProgress('video upload'),
     }
 
     const storedFilename = req.file.filename;
-    const storedPath = req.file.path;
+    await recordUploadedFile({
+      filename: storedFilename,
+      kind: 'video',
+      contentHash: req.file.contentHash,
+      size: req.file.size,
+      uploadedBy: req.user._id
+    });
 
     console.log(`[video] Received upload for user=${req.user._id} name=${req.file.originalname} bytes=${req.file.size}`);
 
@@ -297,6 +250,7 @@ router.post('/video', protect, uploadLimiter, logUploadProgress('video upload'),
       video: {
         videoFileName: storedFilename,
         videoFileUrl: buildVideoFileUrl(storedFilename),
+        previewUrl: signMediaUrl(storedFilename, { userId: req.user._id }).url,
         originalName: req.file.originalname,
         originalBytes: req.file.size
       }
@@ -310,6 +264,159 @@ router.post('/video', protect, uploadLimiter, logUploadProgress('video upload'),
   }
 });
 
+const sendUploadSessionError = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  message: result.message,
+  ...(result.session ? { upload: serializeUploadSession(result.session) } : {})
+});
+
+// @route   POST /api/uploads/video/sessions
+// @desc    Start a resumable (chunked) video upload
+// @access  Private
+router.post('/video/sessions', protect, uploadLimiter, async (req, res) => {
+  try {
+    const { fileName, totalBytes, mimeType, chunkSize } = req.body;
+    const result = await createUploadSession(req.user._id, {
+      fileName,
+      totalBytes,
+      mimeType,
+      chunkSize,
+      maxBytes: MAX_VIDEO_UPLOAD_BYTES
+    });
+
+    if (!result.success) {
+      return sendUploadSessionError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      upload: serializeUploadSession(result.session)
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   GET /api/uploads/video/sessions/:uploadId
+// @desc    Get resumable upload progress (where to resume from)
+// @access  Private (uploader)
+router.get('/video/sessions/:uploadId', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user._id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Upload session not found' });
+    }
+
+    res.json({
+      success: true,
+      upload: serializeUploadSession(session)
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/uploads/video/sessions/:uploadId/chunks/:index
+// @desc    Upload one chunk (raw bytes). The Upload-Offset header (or ?offset=)
+//          must equal index * chunkSize.
+// @access  Private (uploader)
+router.put('/video/sessions/:uploadId/chunks/:index', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user._id);
+    if (!session) {
+      req.resume();
+      return res.status(404).json({ success: false, message: 'Upload session not found' });
+    }
+
+    const index = Number(req.params.index);
+    const offset = Number(req.headers['upload-offset'] ?? req.query.offset);
+    const result = await writeChunk(session, index, offset, req);
+
+    if (!result.success) {
+      return sendUploadSessionError(res, result);
+    }
+
+    res.json({
+      success: true,
+      duplicate: Boolean(result.duplicate),
+      upload: serializeUploadSession(result.session)
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ success: false, message: 'Chunk upload failed' });
+  }
+});
+
+// @route   POST /api/uploads/video/sessions/:uploadId/complete
+// @desc    Assemble a fully uploaded video into uploads/videos
+// @access  Private (uploader)
+router.post('/video/sessions/:uploadId/complete', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user._id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Upload session not found' });
+    }
+
+    const result = await finalizeUpload(session);
+    if (!result.success) {
+      return sendUploadSessionError(res, result);
+    }
+
+    if (logger) {
+      logger.logUserActivity(
+        'User uploaded video file',
+        req.user._id,
+        req,
+        {
+          filename: result.videoFileName,
+          originalName: session.originalName,
+          fileSize: result.originalBytes,
+          uploadId: session._id.toString(),
+          resumable: true
+        },
+        'create'
+      ).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      video: {
+        videoFileName: result.videoFileName,
+        videoFileUrl: buildVideoFileUrl(result.videoFileName),
+        previewUrl: signMediaUrl(result.videoFileName, { userId: req.user._id }).url,
+        originalName: session.originalName,
+        originalBytes: result.originalBytes
+      }
+    });
+  } catch (error) {
+    console.error('Complete upload session error:', error);
+    res.status(500).json({ success: false, message: 'Video upload failed' });
+  }
+});
+
+// @route   DELETE /api/uploads/video/sessions/:uploadId
+// @desc    Cancel a resumable upload and discard received chunks
+// @access  Private (uploader)
+router.delete('/video/sessions/:uploadId', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user._id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Upload session not found' });
+    }
+
+    await abortUpload(session);
+    res.json({
+      success: true,
+      upload: serializeUploadSession(session)
+    });
+  } catch (error) {
+    console.error('Abort upload session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   POST /api/uploads/image
 // @desc    Upload image file
 // @access  Private
@@ -446,38 +553,148 @@ router.post('/video', protect, uploadLimiter, logUploadProgress('video upload'),
 //   }
 // });
 
-router.get('/watch/:filename/stream', protect, (req, res) => {
-  let filename = decodeURIComponent(req.params.filename).split('?')[0];
+// Stream a stored lesson plan or video that the caller is entitled to
+const streamStoredMedia = async (req, res, filename) => {
+  if (!isSupportedMediaFile(filename)) {
+    return res.status(400).json({ success: false, message: 'Unsupported file type' });
+  }
+
+  let media;
+  try {
+    media = await findMediaObject(filename);
+  } catch (error) {
+    console.error('File lookup error:', error);
+    return res.status(500).json({ success: false, message: 'Error serving file' });
+  }
+  if (!media) return res.sendStatus(404);
+
+  res.setHeader('Content-Type', media.contentType);
+  res.setHeader('Content-Disposition', 'inline');
+  // Private, but revalidated with ETag so seeking does not refetch unchanged files
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  try {
+    await sendMediaFile(req, res, media.key, media.stats);
+  } catch (error) {
+    console.error('File serve error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error serving file' });
+    }
+  }
+};
+
+// @route   GET /api/uploads/submissions/:submissionId/media
+// @desc    Mint short-lived signed URLs for a submission's lesson plan and video
+//          (filename-free URLs for judges in blind judging rounds)
+// @access  Private (owner teacher, assigned judge, admin in scope, superadmin)
+router.get('/submissions/:submissionId/media', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.submissionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid submission ID' });
+    }
+
+    const submission = await Submission.findOne({ _id: req.params.submissionId, isDeleted: { $ne: true } })
+      .select('teacherId level region council lessonPlanFileName lessonPlanFileUrl videoFileName videoFileUrl');
+
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+
+    if (!(await canUserAccessSubmissionMedia(req.user, submission))) {
+      logger.logSecurity(
+        'Unauthorized submission media access attempt',
+        req.user._id,
+        req,
+        { submissionId: req.params.submissionId },
+        'warning'
+      ).catch(() => {});
+      return res.status(403).json({ success: false, message: 'Not authorized to access this submission' });
+    }
+
+    res.json({
+      success: true,
+      media: buildSubmissionMediaUrls(submission, req.user, {
+        blind: await isSubmissionBlindForJudge(req.user, submission._id)
+      })
+    });
+  } catch (error) {
+    console.error('Media URL error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   GET /api/uploads/watch/:filename/stream
+// @desc    Stream a lesson plan PDF or video through a signed URL (supports Range and ETag)
+// @access  Signed URL (see GET /api/uploads/submissions/:submissionId/media)
+router.get('/watch/:filename/stream', async (req, res) => {
+  // req.params is already URL-decoded; decoding again would reject names containing '%'
+  const { filename } = req.params;
 
   if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
     return res.status(400).json({ success: false, message: 'Invalid filename' });
   }
 
-  const ext = path.extname(filename).toLowerCase();
-  const isVideo = ext === '.mp4';
-  const isPdf = ext === '.pdf';
-
-  let filePath = null;
-
-  if (isVideo) {
-    const candidatePaths = [
-      path.join(videosDir, filename)
-    ];
-    filePath = candidatePaths.find((p) => fs.existsSync(p)) || null;
-    res.setHeader('Content-Type', 'video/mp4');
-  } else if (isPdf) {
-    const p1 = path.join(lessonPlanDir, filename);
-    const p2 = path.join(uploadsDir, filename);
-    filePath = fs.existsSync(p1) ? p1 : (fs.existsSync(p2) ? p2 : null);
-    res.setHeader('Content-Type', 'application/pdf');
-  } else {
-    return res.status(400).json({ success: false, message: 'Unsupported file type' });
+  try {
+    const signature = verifyMediaSignature(filename, req.query);
+    if (!signature.valid) {
+      return res.status(403).json({
+        success: false,
+        message: signature.expired ? 'Media link has expired' : 'Invalid media link'
+      });
+    }
+
+    // The file must still belong to the submission the URL was minted for
+    if (signature.submissionId) {
+      const submission = await Submission.findOne({ _id: signature.submissionId, isDeleted: { $ne: true } })
+        .select('lessonPlanFileName lessonPlanFileUrl videoFileName videoFileUrl')
+        .lean();
+      const filenames = submission ? getSubmissionMediaFilenames(submission) : {};
+      if (filenames.lessonPlan !== filename && filenames.video !== filename) {
+        return res.status(403).json({ success: false, message: 'Invalid media link' });
+      }
+    }
+
+    return await streamStoredMedia(req, res, filename);
+  } catch (error) {
+    console.error('Media stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
   }
+});
 
-  if (!filePath) return res.sendStatus(404);
+// @route   GET /api/uploads/submissions/:submissionId/media/:part/stream
+// @desc    Stream a submission's lesson plan or video by part, without exposing the stored filename
+// @access  Signed URL (issued to judges in blind judging rounds)
+router.get('/submissions/:submissionId/media/:part/stream', async (req, res) => {
+  const { submissionId, part } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(submissionId) || !['lessonPlan', 'video'].includes(part)) {
+    return res.status(400).json({ success: false, message: 'Invalid media link' });
+  }
 
-  res.setHeader('Content-Disposition', 'inline');
-  res.sendFile(filePath);
+  try {
+    const signature = verifySubmissionPartSignature(submissionId, part, req.query);
+    if (!signature.valid) {
+      return res.status(403).json({
+        success: false,
+        message: signature.expired ? 'Media link has expired' : 'Invalid media link'
+      });
+    }
+
+    const submission = await Submission.findOne({ _id: submissionId, isDeleted: { $ne: true } })
+      .select('lessonPlanFileName lessonPlanFileUrl videoFileName videoFileUrl')
+      .lean();
+    const filename = submission ? getSubmissionMediaFilenames(submission)[part] : null;
+    if (!filename) return res.sendStatus(404);
+
+    return await streamStoredMedia(req, res, filename);
+  } catch (error) {
+    console.error('Media stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
 });
 
 // Image file filter - completely separate from existing filters
@@ -534,7 +751,8 @@ router.post('/image', protect, uploadLimiter, imageUpload.single('file'), async
       file: {
         filename: req.file.filename,
         originalName: req.file.originalname,
-        url: `/api/uploads/images/${req.file.filename}`
+        url: `/api/uploads/images/${req.file.filename}`,
+        previewUrl: signImageUrl(req.file.filename, { userId: req.user._id }).url
       }
     });
   } catch (error) {
@@ -546,12 +764,40 @@ router.post('/image', protect, uploadLimiter, imageUpload.single('file'), async
   }
 });
 
+// Images load from <img> tags, which cannot send an Authorization header:
+// accept a signed URL from GET /api/uploads/images/:filename/url instead
+const protectImage = (req, res, next) => {
+  if (!req.query.sig) return protect(req, res, next);
+
+  const signature = verifyImageSignature(req.params.filename, req.query);
+  if (!signature.valid) {
+    return res.status(403).json({
+      success: false,
+      message: signature.expired ? 'Image link has expired' : 'Invalid image link'
+    });
+  }
+  return next();
+};
+
+// @route   GET /api/uploads/images/:filename/url
+// @desc    Signed, short-lived URL for an uploaded image
+// @access  Private
+router.get('/images/:filename/url', protect, (req, res) => {
+  const { filename } = req.params;
+  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+    return res.status(400).json({ success: false, message: 'Invalid filename' });
+  }
+
+  res.json({ success: true, image: signImageUrl(filename, { userId: req.user._id }) });
+});
+
 // @route   GET /api/uploads/images/:filename
 // @desc    Serve uploaded image file
-// @access  Private
-router.get('/images/:filename', protect, (req, res) => {
+// @access  Private (Authorization header or signed URL)
+router.get('/images/:filename', protectImage, async (req, res) => {
   try {
-    let filename = decodeURIComponent(req.params.filename).split('?')[0];
+    // req.params is already URL-decoded
+    const { filename } = req.params;
     
     // Security: Prevent directory traversal
     if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
@@ -561,9 +807,10 @@ router.get('/images/:filename', protect, (req, res) => {
       });
     }
     
-    const filePath = path.join(imagesDir, filename);
+    const key = `${STORAGE_FOLDERS.image}/${filename}`;
+    const stats = await getStorage().stat(key);
     
-    if (!fs.existsSync(filePath)) {
+    if (!stats) {
       return res.status(404).json({
         success: false,
         message: 'Image not found'
@@ -585,7 +832,7 @@ router.get('/images/:filename', protect, (req, res) => {
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', 'inline');
     res.setHeader('Cache-Control', 'private, max-age=3600');
-    res.sendFile(filePath);
+    await sendMediaFile(req, res, key, stats);
   } catch (error) {
     console.error('Image serve error:', error);
     res.status(500).json({
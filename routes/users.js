@@ -4,9 +4,27 @@ const User = require('../models/User');
 const Competition = require('../models/Competition');
 const Submission = require('../models/Submission');
 const SubmissionAssignment = require('../models/SubmissionAssignment');
-const { protect, authorize } = require('../middleware/auth');
+const JudgeReassignment = require('../models/JudgeReassignment');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 const { assignUnassignedSubmissionsToJudge } = require('../utils/judgeAssignment');
+const { getUnavailabilityReason, reassignAssignmentsFromJudge } = require('../utils/judgeReassignment');
+const { addConflictDeclaration, listConflictDeclarations } = require('../utils/conflictOfInterest');
+const {
+  listActiveSessions,
+  serializeSession,
+  revokeSession,
+  revokeAllUserSessions
+} = require('../services/sessionService');
+const TOTPService = require('../services/totpService');
+const {
+  PERMISSIONS,
+  isKnownPermission,
+  getRoleDefaultPermissions,
+  getEffectivePermissions,
+  hasPermission,
+  applyPermissionChanges
+} = require('../utils/permissions');
 const {
   buildUserQueryForAdmin,
   canAdminAccessSubmission,
@@ -30,6 +48,26 @@ const getDuplicateUserMessage = (error) => {
   return 'User with this username or email already exists';
 };
 
+// Fields that can only change through their own flows (2FA enrollment/reset, permission grants)
+const PROTECTED_USER_FIELDS = [
+  'permissions',
+  'revokedPermissions',
+  'twoFactorEnabled',
+  'twoFactorEnabledAt',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'twoFactorLastUsedStep',
+  'conflictsOfInterest'
+];
+
+const stripProtectedFields = (data) => {
+  for (const field of PROTECTED_USER_FIELDS) {
+    delete data[field];
+  }
+  return data;
+};
+
 const serializeAssignment = (assignment) => ({
   assignmentId: assignment._id,
   id: assignment._id,
@@ -61,6 +99,16 @@ const serializeAssignment = (assignment) => ({
   updatedAt: assignment.updatedAt
 });
 
+// Limit JudgeReassignment reports to the admin's area; null when the admin has no area yet
+const buildReassignmentScopeQuery = (user) => {
+  const scope = getAdminScope(user);
+  if (!scope) return {};
+  if (scope.level === 'None') return null;
+  if (scope.level === 'Council') return { level: 'Council', region: scope.region, council: scope.council };
+  if (scope.level === 'Regional') return { level: 'Regional', region: scope.region };
+  return {};
+};
+
 const sortByYearDesc = (a, b) => {
   if (a.year === null) return 1;
   if (b.year === null) return -1;
@@ -379,6 +427,181 @@ router.get('/deleted', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/reassignments
+// @desc    Report of submissions moved off judges who were suspended, deactivated or deleted
+// @access  Private (Admin/Superadmin)
+router.get('/reassignments', async (req, res) => {
+  try {
+    const { judgeId, roundId, reason, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = buildReassignmentScopeQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view judge reassignments'
+      });
+    }
+
+    for (const [field, value] of [['fromJudgeId', judgeId], ['roundId', roundId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field === 'roundId' ? 'round' : 'judge'} ID`
+        });
+      }
+      query[field] = new mongoose.Types.ObjectId(value);
+    }
+    if (reason) query.reason = reason;
+    if (status) query.status = status;
+
+    const [total, byStatus, reassignments] = await Promise.all([
+      JudgeReassignment.countDocuments(query),
+      JudgeReassignment.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      JudgeReassignment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('fromJudgeId', 'name email')
+        .populate('toJudgeIds', 'name email')
+        .populate('submissionId', 'teacherName subject areaOfFocus status')
+        .populate('roundId', 'year level status')
+        .populate('triggeredBy', 'name role')
+        .lean()
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map((item) => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      summary: {
+        total,
+        reassigned: counts.reassigned || 0,
+        unassigned: counts.unassigned || 0
+      },
+      reassignments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get judge reassignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/recusals
+// @desc    Recusals per judge, with each judge's recusal rate, to spot judges declining too often
+// @access  Private (Admin/Superadmin)
+router.get('/recusals', async (req, res) => {
+  try {
+    const { roundId, since } = req.query;
+    const match = buildReassignmentScopeQuery(req.user);
+    if (!match) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view judge recusals'
+      });
+    }
+    match.reason = 'judge_recused';
+
+    if (roundId) {
+      if (!mongoose.Types.ObjectId.isValid(roundId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid round ID'
+        });
+      }
+      match.roundId = new mongoose.Types.ObjectId(roundId);
+    }
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid since date'
+        });
+      }
+      match.createdAt = { $gte: sinceDate };
+    }
+
+    const grouped = await JudgeReassignment.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$fromJudgeId',
+          recusals: { $sum: 1 },
+          rounds: { $addToSet: '$roundId' },
+          lastRecusedAt: { $first: '$createdAt' },
+          recent: {
+            $push: {
+              submissionId: '$submissionId',
+              roundId: '$roundId',
+              note: '$note',
+              status: '$status',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $sort: { recusals: -1, lastRecusedAt: -1 } }
+    ]);
+
+    const judgeIds = grouped.map((item) => item._id);
+    const roundIds = [...new Map(
+      grouped.flatMap((item) => item.rounds).map((id) => [String(id), id])
+    ).values()];
+
+    const [judges, assignmentCounts] = await Promise.all([
+      User.find({ _id: { $in: judgeIds } }).select('name email assignedLevel assignedRegion assignedCouncil status').lean(),
+      SubmissionAssignment.aggregate([
+        { $match: { judgeId: { $in: judgeIds }, roundId: { $in: roundIds } } },
+        { $group: { _id: '$judgeId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const judgeById = new Map(judges.map((judge) => [String(judge._id), judge]));
+    const assignedById = new Map(assignmentCounts.map((item) => [String(item._id), item.count]));
+
+    const report = grouped.map((item) => {
+      const judgeKey = String(item._id);
+      const currentAssignments = assignedById.get(judgeKey) || 0;
+      return {
+        judge: judgeById.get(judgeKey) || { _id: item._id },
+        recusals: item.recusals,
+        currentAssignments,
+        // Share of the submissions handed to the judge in these rounds that they declined
+        recusalRate: Math.round((item.recusals / (item.recusals + currentAssignments)) * 1000) / 10,
+        lastRecusedAt: item.lastRecusedAt,
+        recent: item.recent.slice(0, 5)
+      };
+    });
+
+    res.json({
+      success: true,
+      count: report.length,
+      totalRecusals: report.reduce((sum, item) => sum + item.recusals, 0),
+      judges: report
+    });
+  } catch (error) {
+    console.error('Get judge recusals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get single user
 // @access  Private (Admin/Superadmin)
@@ -428,12 +651,476 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Load a non-deleted user the caller is allowed to manage, or send the error response
+const findManagedUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const user = await User.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).select('-password');
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'admin' && !canAdminAccessUser(req.user, user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this user'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions (who is logged in as this user right now)
+// @access  Private (Admin/Superadmin)
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const sessions = await listActiveSessions(user._id);
+
+    await logger.logAdminAction(
+      'Admin viewed user sessions',
+      req.user._id,
+      req,
+      {
+        targetUserId: user._id.toString(),
+        targetUserRole: user.role,
+        targetUserEmail: user.email,
+        activeSessions: sessions.length
+      },
+      undefined,
+      'read'
+    );
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      count: sessions.length,
+      sessions: sessions.map((session) => serializeSession(session))
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Sign out one of a user's sessions
+// @access  Private (Admin/Superadmin)
+router.delete('/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.params.sessionId, 'admin_revoked', req.user._id, user._id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logger.logAdminAction(
+      'Admin signed out user session',
+      req.user._id,
+      req,
+      {
+        targetUserId: user._id.toString(),
+        targetUserRole: user.role,
+        targetUserEmail: user.email,
+        sessionId: req.params.sessionId
+      },
+      'warning',
+      'update'
+    );
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Sign out all of a user's sessions
+// @access  Private (Admin/Superadmin)
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const revokedCount = await revokeAllUserSessions(user._id, 'admin_revoked', { revokedBy: req.user._id });
+
+    await logger.logAdminAction(
+      'Admin signed out all user sessions',
+      req.user._id,
+      req,
+      {
+        targetUserId: user._id.toString(),
+        targetUserRole: user.role,
+        targetUserEmail: user.email,
+        revokedCount
+      },
+      'warning',
+      'update'
+    );
+
+    res.json({
+      success: true,
+      message: 'All sessions signed out successfully',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/two-factor
+// @desc    Reset a user's two-factor authentication (e.g. lost authenticator)
+// @access  Private (Superadmin)
+router.delete('/:id/two-factor', authorize('superadmin'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const result = await TOTPService.disable(user._id);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Existing sessions were established with the old authenticator
+    const revokedCount = await revokeAllUserSessions(user._id, 'admin_revoked', { revokedBy: req.user._id });
+
+    await logger.logAdminAction(
+      'Superadmin reset user two-factor authentication',
+      req.user._id,
+      req,
+      {
+        targetUserId: user._id.toString(),
+        targetUserRole: user.role,
+        targetUserEmail: user.email,
+        revokedSessions: revokedCount
+      },
+      'warning',
+      'update'
+    );
+
+    res.json({
+      success: true,
+      message: ['admin', 'superadmin'].includes(user.role)
+        ? 'Two-factor authentication reset. The user must set it up again at next login.'
+        : 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+const serializePermissions = (user) => ({
+  userId: user._id,
+  role: user.role,
+  adminLevel: user.adminLevel,
+  roleDefaults: getRoleDefaultPermissions(user),
+  granted: user.permissions || [],
+  revoked: user.revokedPermissions || [],
+  effective: getEffectivePermissions(user)
+});
+
+// @route   GET /api/users/permissions/catalogue
+// @desc    List all named permissions and their descriptions
+// @access  Private (users.permissions)
+router.get('/permissions/catalogue', requirePermission('users.permissions'), async (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @route   GET /api/users/:id/permissions
+// @desc    Get a user's role defaults, grants, revocations and effective permissions
+// @access  Private (users.permissions)
+router.get('/:id/permissions', requirePermission('users.permissions'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      permissions: serializePermissions(user)
+    });
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/permissions
+// @desc    Grant or revoke named permissions for a user
+// @access  Private (users.permissions)
+router.put('/:id/permissions', requirePermission('users.permissions'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (user.role === 'superadmin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Superadmin always holds every permission'
+      });
+    }
+
+    const grant = Array.isArray(req.body.grant) ? req.body.grant : [];
+    const revoke = Array.isArray(req.body.revoke) ? req.body.revoke : [];
+
+    if (grant.length === 0 && revoke.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one permission to grant or revoke'
+      });
+    }
+
+    const unknown = [...grant, ...revoke].filter((permission) => !isKnownPermission(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission: ${unknown.join(', ')}`
+      });
+    }
+
+    const conflicting = grant.filter((permission) => revoke.includes(permission));
+    if (conflicting.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Permission cannot be granted and revoked at once: ${conflicting.join(', ')}`
+      });
+    }
+
+    // Delegates can only hand out (or take away) duties they hold themselves
+    const notHeld = [...grant, ...revoke].filter((permission) => !hasPermission(req.user, permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not hold permission: ${notHeld.join(', ')}`
+      });
+    }
+
+    const before = getEffectivePermissions(user);
+    applyPermissionChanges(user, { grant, revoke });
+    await User.updateOne(
+      { _id: user._id },
+      { permissions: user.permissions, revokedPermissions: user.revokedPermissions }
+    );
+
+    await logger.logAdminAction(
+      'Admin changed user permissions',
+      req.user._id,
+      req,
+      {
+        targetUserId: user._id.toString(),
+        targetUserRole: user.role,
+        targetUserEmail: user.email,
+        granted: grant,
+        revoked: revoke,
+        effectiveBefore: before,
+        effectiveAfter: getEffectivePermissions(user)
+      },
+      'warning',
+      'update'
+    );
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      permissions: serializePermissions(user)
+    });
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/conflicts
+// @desc    Get a judge's conflict-of-interest declarations
+// @access  Private (Admin/Superadmin)
+router.get('/:id/conflicts', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (user.role !== 'judge') {
+      return res.status(400).json({
+        success: false,
+        message: 'Conflicts of interest apply to judges only'
+      });
+    }
+
+    const conflicts = await listConflictDeclarations(user._id);
+
+    res.json({
+      success: true,
+      ...conflicts
+    });
+  } catch (error) {
+    console.error('Get judge conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/conflicts
+// @desc    Declare a conflict of interest for a judge (teacher or school)
+// @access  Private (Admin/Superadmin)
+router.post('/:id/conflicts', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const result = await addConflictDeclaration(user, req.body, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await logger.logAdminAction(
+      'Admin declared judge conflict of interest',
+      req.user._id,
+      req,
+      {
+        judgeId: user._id.toString(),
+        declarationId: result.declaration._id.toString(),
+        teacherId: result.declaration.teacherId?.toString() || null,
+        school: result.declaration.school || null,
+        relationship: result.declaration.relationship
+      },
+      'info',
+      'create'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Conflict of interest declared',
+      declaration: result.declaration
+    });
+  } catch (error) {
+    console.error('Declare judge conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/conflicts/:conflictId
+// @desc    Remove a judge's conflict-of-interest declaration
+// @access  Private (Admin/Superadmin)
+router.delete('/:id/conflicts/:conflictId', async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const declaration = (user.conflictsOfInterest || []).find(
+      (item) => String(item._id) === String(req.params.conflictId)
+    );
+    if (!declaration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Declaration not found'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { conflictsOfInterest: { _id: declaration._id } } }
+    );
+
+    await logger.logAdminAction(
+      'Admin removed judge conflict of interest',
+      req.user._id,
+      req,
+      {
+        judgeId: user._id.toString(),
+        declarationId: declaration._id.toString(),
+        teacherId: declaration.teacherId?.toString() || null,
+        school: declaration.school || null
+      },
+      'warning',
+      'delete'
+    );
+
+    res.json({
+      success: true,
+      message: 'Declaration removed'
+    });
+  } catch (error) {
+    console.error('Remove judge conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/users
 // @desc    Create new user
 // @access  Private (Admin/Superadmin)
 router.post('/', async (req, res) => {
   try {
-    const userData = { ...req.body };
+    const userData = stripProtectedFields({ ...req.body });
 
     // Validate required fields
     if (!userData.password || userData.password.length < 6) {
@@ -623,7 +1310,7 @@ router.put('/:id', async (req, res) => {
     }
 
     // Prevent admin from changing user to admin (only superadmin can)
-    const updateData = { ...req.body };
+    const updateData = stripProtectedFields({ ...req.body });
     if (req.user.role === 'admin' && updateData.role === 'admin') {
       delete updateData.role;
     }
@@ -660,6 +1347,27 @@ router.put('/:id', async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Suspending or deactivating an account cuts off its sessions immediately
+    if (user.status !== 'active' && originalUser.status === 'active') {
+      await revokeAllUserSessions(user._id, 'account_disabled', { revokedBy: req.user._id });
+    }
+
+    // A judge who can no longer judge hands their unevaluated submissions on
+    let reassignment = null;
+    const unavailabilityReason = getUnavailabilityReason(originalUser, user);
+    if (unavailabilityReason) {
+      try {
+        reassignment = await reassignAssignmentsFromJudge(user, {
+          reason: unavailabilityReason,
+          triggeredBy: req.user._id
+        });
+      } catch (error) {
+        console.error('Error reassigning submissions from unavailable judge:', error);
+        // Don't fail the update; the unassigned dashboard still lists what is left
+        reassignment = { moved: 0, reassigned: 0, unassigned: 0, error: error.message };
+      }
+    }
+
     const updatedFields = Object.keys(req.body);
 
     // Log user update
@@ -673,7 +1381,11 @@ router.put('/:id', async (req, res) => {
         targetUserEmail: user.email,
         updatedFields: updatedFields,
         statusChanged: req.body.status && req.body.status !== originalUser.status,
-        roleChanged: req.body.role && req.body.role !== originalUser.role
+        roleChanged: req.body.role && req.body.role !== originalUser.role,
+        ...(reassignment && {
+          reassignedSubmissions: reassignment.reassigned,
+          unassignedSubmissions: reassignment.unassigned
+        })
       },
       undefined,
       'update'
@@ -681,7 +1393,8 @@ router.put('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user,
+      ...(reassignment && { reassignment })
     });
   } catch (error) {
     console.error('Update user error:', error);
@@ -694,8 +1407,8 @@ router.put('/:id', async (req, res) => {
 
 // @route   DELETE /api/users/:id
 // @desc    Soft delete user
-// @access  Private (Admin/Superadmin)
-router.delete('/:id', authorize('admin', 'superadmin'), async (req, res) => {
+// @access  Private (users.delete)
+router.delete('/:id', requirePermission('users.delete'), async (req, res) => {
   try {
     const user = await User.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
 
@@ -733,9 +1446,25 @@ router.delete('/:id', authorize('admin', 'superadmin'), async (req, res) => {
     user.deletedBy = req.user._id;
     await user.save();
 
+    await revokeAllUserSessions(user._id, 'account_disabled', { revokedBy: req.user._id });
+
+    let reassignment = null;
+    if (user.role === 'judge') {
+      try {
+        reassignment = await reassignAssignmentsFromJudge(user, {
+          reason: 'judge_deleted',
+          triggeredBy: req.user._id
+        });
+      } catch (error) {
+        console.error('Error reassigning submissions from deleted judge:', error);
+        reassignment = { moved: 0, reassigned: 0, unassigned: 0, error: error.message };
+      }
+    }
+
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User deleted successfully',
+      ...(reassignment && { reassignment })
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -801,8 +1530,8 @@ router.post('/:id/restore', authorize('admin', 'superadmin'), async (req, res) =
 
 // @route   DELETE /api/users/:id/permanent
 // @desc    Permanently delete a soft-deleted user
-// @access  Private (Admin/Superadmin)
-router.delete('/:id/permanent', authorize('admin', 'superadmin'), async (req, res) => {
+// @access  Private (users.delete)
+router.delete('/:id/permanent', requirePermission('users.delete'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
 
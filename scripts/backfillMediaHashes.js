@@ -0,0 +1,101 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+const UploadedFile = require('../models/UploadedFile');
+const { findMediaObject, getStorage, createHashingStream } = require('../services/storage');
+const { getSubmissionMediaFilenames } = require('../services/mediaAccessService');
+const { recordUploadedFile, detectDuplicateMedia } = require('../services/duplicateMediaService');
+
+/**
+ * Hash lesson plans and videos uploaded before content hashing existed, copy
+ * the hashes onto their submissions and run duplicate detection.
+ *
+ * Usage:
+ *   node scripts/backfillMediaHashes.js           (dry-run)
+ *   node scripts/backfillMediaHashes.js --apply
+ */
+
+const APPLY = process.argv.includes('--apply');
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/tscs';
+
+async function hashStoredFile(key) {
+  const hashing = createHashingStream();
+  const source = await getStorage().createReadStream(key);
+  source.on('error', (error) => hashing.destroy(error));
+  source.pipe(hashing).resume();
+  await new Promise((resolve, reject) => {
+    hashing.on('end', resolve);
+    hashing.on('error', reject);
+  });
+  return hashing.getDigest();
+}
+
+async function ensureFileHash(filename, kind, stats) {
+  const existing = await UploadedFile.findOne({ filename }).select('contentHash').lean();
+  if (existing) return { contentHash: existing.contentHash, hashed: false };
+
+  const media = await findMediaObject(filename);
+  if (!media) {
+    stats.missingFiles++;
+    return { contentHash: null, hashed: false };
+  }
+
+  const contentHash = await hashStoredFile(media.key);
+  if (APPLY) {
+    await recordUploadedFile({ filename, kind, contentHash, size: media.stats.size });
+  }
+  return { contentHash, hashed: true };
+}
+
+async function run() {
+  const stats = {
+    submissions: 0,
+    filesHashed: 0,
+    missingFiles: 0,
+    submissionsUpdated: 0,
+    flagged: 0
+  };
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log(`[backfill-media-hashes] Connected (${APPLY ? 'apply' : 'dry-run'})`);
+
+    const cursor = Submission.find({
+      isDeleted: { $ne: true },
+      $or: [{ lessonPlanContentHash: null }, { videoContentHash: null }]
+    }).cursor();
+
+    for await (const submission of cursor) {
+      stats.submissions++;
+      const filenames = getSubmissionMediaFilenames(submission);
+      const update = {};
+
+      for (const [kind, hashField] of [['lessonPlan', 'lessonPlanContentHash'], ['video', 'videoContentHash']]) {
+        if (submission[hashField] || !filenames[kind]) continue;
+        const { contentHash, hashed } = await ensureFileHash(filenames[kind], kind, stats);
+        if (hashed) stats.filesHashed++;
+        if (contentHash) update[hashField] = contentHash;
+      }
+
+      if (Object.keys(update).length === 0) continue;
+      stats.submissionsUpdated++;
+      if (!APPLY) continue;
+
+      // updateOne skips the save hooks; detection runs explicitly below
+      await Submission.updateOne({ _id: submission._id }, { $set: update });
+      Object.assign(submission, update);
+      const result = await detectDuplicateMedia(submission);
+      if (result.flagged) stats.flagged++;
+    }
+
+    console.log(JSON.stringify(stats, null, 2));
+    console.log('[backfill-media-hashes] Done');
+  } catch (error) {
+    console.error('[backfill-media-hashes] Failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -72,13 +72,8 @@ async function run() {
       'roundId_1_submissionId_1_judgeId_1',
       (index) => index.unique === true
     );
-    await dropIndexIfIncompatible(
-      SubmissionAssignment.collection,
-      'roundId_1_submissionId_1_level_1',
-      (index) => index.unique === true
-        && JSON.stringify(index.partialFilterExpression || null)
-          === JSON.stringify({ level: { $in: ['Council', 'Regional'] } })
-    );
+    // Council/Regional rounds may now have multi-judge panels
+    await dropIndexIfExists(SubmissionAssignment.collection, 'roundId_1_submissionId_1_level_1');
 
     await Evaluation.syncIndexes();
     await SubmissionAssignment.syncIndexes();
@@ -1,103 +1,127 @@
-const fs = require('fs');
+require('dotenv').config();
 const path = require('path');
+const { getStorage, createStorage, STORAGE_FOLDERS } = require('../services/storage');
 
 /**
- * Migration script to move existing files from uploads root to appropriate subfolders
- * - PDF files -> uploads/lesson-plan/
- * - Video files (mp4, webm, ogg, mov, avi) -> uploads/videos/
+ * Migration script for uploaded files, run against the configured storage
+ * driver (STORAGE_DRIVER=local|s3):
+ * - PDF files in the storage root -> lesson-plan/
+ * - Video files (mp4, webm, ogg, mov, avi) in the storage root -> videos/
+ *
+ * With --from-local, first copies every file from the local uploads directory
+ * (LOCAL_UPLOADS_DIR, default uploads/) into the configured storage, e.g. when
+ * moving an instance from local disk to S3. Existing objects are not overwritten.
+ *
+ * Usage:
+ *   node scripts/migrateUploads.js
+ *   STORAGE_DRIVER=s3 node scripts/migrateUploads.js --from-local
  */
 
-const uploadsDir = path.join(__dirname, '../uploads');
-const lessonPlanDir = path.join(uploadsDir, 'lesson-plan');
-const videosDir = path.join(uploadsDir, 'videos');
-
 // Video file extensions
 const videoExtensions = ['.mp4', '.webm', '.ogg', '.mov', '.avi'];
 
-function migrateFiles() {
-  console.log('Starting file migration...');
-  
-  // Ensure subdirectories exist
-  if (!fs.existsSync(lessonPlanDir)) {
-    fs.mkdirSync(lessonPlanDir, { recursive: true });
-    console.log('Created lesson-plan directory');
+const contentTypes = {
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+async function copyLocalFiles(storage) {
+  if (storage.name === 'local') {
+    console.log('Storage driver is already local disk. Nothing to copy.');
+    return;
   }
-  
-  if (!fs.existsSync(videosDir)) {
-    fs.mkdirSync(videosDir, { recursive: true });
-    console.log('Created videos directory');
+
+  const local = createStorage('local');
+  // Unfinished resumable upload chunks are not worth copying
+  const files = (await local.list('')).filter(({ key }) => !key.startsWith(`${STORAGE_FOLDERS.tmp}/`));
+
+  let copied = 0;
+  let skipped = 0;
+  for (const { key } of files) {
+    if (await storage.exists(key)) {
+      skipped++;
+      continue;
+    }
+    await storage.put(key, await local.createReadStream(key), {
+      contentType: contentTypes[path.extname(key).toLowerCase()]
+    });
+    copied++;
+    console.log(`Copied ${key} -> ${storage.name}`);
   }
-  
-  // Check if uploads directory exists
-  if (!fs.existsSync(uploadsDir)) {
-    console.log('Uploads directory does not exist. Nothing to migrate.');
-    return;
+
+  console.log(`- Copied ${copied} local file(s) to ${storage.name} storage`);
+  console.log(`- Skipped ${skipped} file(s) already in ${storage.name} storage`);
+}
+
+async function migrateFiles({ fromLocal = false } = {}) {
+  const storage = getStorage();
+  console.log(`Starting file migration (storage driver: ${storage.name})...`);
+
+  if (fromLocal) {
+    await copyLocalFiles(storage);
   }
-  
-  // Read all files in uploads directory
-  const files = fs.readdirSync(uploadsDir);
-  
-  // Filter out directories (we only want files)
-  const fileStats = files
-    .map(file => {
-      const filePath = path.join(uploadsDir, file);
-      const stat = fs.statSync(filePath);
-      return { name: file, path: filePath, isFile: stat.isFile() };
-    })
-    .filter(item => item.isFile);
-  
+
+  // Only objects directly in the storage root (no folder in the key)
+  const rootFiles = (await storage.list('')).filter(({ key }) => !key.includes('/'));
+
   let movedPdfs = 0;
   let movedVideos = 0;
   let skipped = 0;
-  
-  fileStats.forEach(({ name, path: filePath }) => {
+
+  for (const { key: name } of rootFiles) {
     const ext = path.extname(name).toLowerCase();
-    
+
+    let folder = null;
     if (ext === '.pdf') {
-      // Move to lesson-plan folder
-      const destPath = path.join(lessonPlanDir, name);
-      if (!fs.existsSync(destPath)) {
-        fs.renameSync(filePath, destPath);
-        movedPdfs++;
-        console.log(`Moved PDF: ${name} -> lesson-plan/`);
-      } else {
-        console.log(`Skipped ${name} (already exists in lesson-plan/)`);
-        skipped++;
-      }
+      folder = STORAGE_FOLDERS.lessonPlan;
     } else if (videoExtensions.includes(ext)) {
-      // Move to videos folder
-      const destPath = path.join(videosDir, name);
-      if (!fs.existsSync(destPath)) {
-        fs.renameSync(filePath, destPath);
-        movedVideos++;
-        console.log(`Moved video: ${name} -> videos/`);
-      } else {
-        console.log(`Skipped ${name} (already exists in videos/)`);
-        skipped++;
-      }
-    } else {
+      folder = STORAGE_FOLDERS.video;
+    }
+
+    if (!folder) {
       // Unknown file type - leave in root
       console.log(`Skipped ${name} (unknown file type: ${ext})`);
       skipped++;
+      continue;
+    }
+
+    const destKey = `${folder}/${name}`;
+    if (await storage.exists(destKey)) {
+      console.log(`Skipped ${name} (already exists in ${folder}/)`);
+      skipped++;
+      continue;
     }
-  });
-  
+
+    await storage.move(name, destKey);
+    if (folder === STORAGE_FOLDERS.lessonPlan) {
+      movedPdfs++;
+      console.log(`Moved PDF: ${name} -> ${folder}/`);
+    } else {
+      movedVideos++;
+      console.log(`Moved video: ${name} -> ${folder}/`);
+    }
+  }
+
   console.log('\nMigration complete!');
-  console.log(`- Moved ${movedPdfs} PDF file(s) to lesson-plan/`);
-  console.log(`- Moved ${movedVideos} video file(s) to videos/`);
+  console.log(`- Moved ${movedPdfs} PDF file(s) to ${STORAGE_FOLDERS.lessonPlan}/`);
+  console.log(`- Moved ${movedVideos} video file(s) to ${STORAGE_FOLDERS.video}/`);
   console.log(`- Skipped ${skipped} file(s)`);
 }
 
 // Run migration
 if (require.main === module) {
-  try {
-    migrateFiles();
-    process.exit(0);
-  } catch (error) {
-    console.error('Migration failed:', error);
-    process.exit(1);
-  }
+  migrateFiles({ fromLocal: process.argv.includes('--from-local') })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
 }
 
 module.exports = { migrateFiles };
-
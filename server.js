@@ -31,6 +31,7 @@ const notificationRoutes = require("./routes/notifications");
 const leaderboardRoutes = require("./routes/leaderboard");
 const stakeholderRoutes = require("./routes/stakeholder");
 const feedbackRoutes = require("./routes/feedback");
+const appealRoutes = require("./routes/appeals");
 const { generalLimiter } = require("./middleware/rateLimiter");
 const requestTimeout = require("./middleware/timeout");
 
@@ -108,6 +109,7 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/leaderboard", leaderboardRoutes);
 app.use("/api/stakeholder", stakeholderRoutes);
 app.use("/api/feedback", feedbackRoutes);
+app.use("/api/appeals", appealRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -162,6 +164,14 @@ const startServer = async () => {
     const { startScheduler } = require("./utils/roundScheduler");
     startScheduler();
 
+    // Garbage-collect resumable video uploads that were never finished
+    const { startUploadSessionCleanup } = require("./services/chunkedUploadService");
+    startUploadSessionCleanup();
+
+    // Check that active-round submission files still exist and open correctly
+    const { startMediaIntegrityScan } = require("./services/mediaIntegrityService");
+    startMediaIntegrityScan();
+
     // Start HTTP server (uses server instead of app for Socket.IO)
     server.listen(PORT, () => {
       if (process.env.NODE_ENV === "development") {
@@ -0,0 +1,356 @@
+const path = require('path');
+const { Readable } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const { getStorage, STORAGE_FOLDERS, createHashingStream } = require('./storage');
+const { generateStoredFilename } = require('./storage/multerStorage');
+const { recordUploadedFile } = require('./duplicateMediaService');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = Math.max(1, parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24);
+const UPLOAD_SESSION_TTL_MS = UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 30 * 60 * 1000;
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('../utils/logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+// Chunks are stored as separate objects so any instance can accept the next one
+function getChunkPrefix(sessionId) {
+  return `${STORAGE_FOLDERS.tmp}/${sessionId}/`;
+}
+
+function getChunkKey(sessionId, index) {
+  return `${getChunkPrefix(sessionId)}${String(index).padStart(6, '0')}`;
+}
+
+/**
+ * Shape an upload session for API responses.
+ * @param {Object} session - UploadSession document
+ */
+function serializeUploadSession(session) {
+  const totalChunks = session.getTotalChunks();
+  return {
+    uploadId: session._id,
+    status: session.status,
+    originalName: session.originalName,
+    totalBytes: session.totalBytes,
+    chunkSize: session.chunkSize,
+    totalChunks,
+    receivedBytes: session.receivedBytes,
+    nextChunkIndex: Math.min(Math.floor(session.receivedBytes / session.chunkSize), totalChunks),
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Start a resumable video upload.
+ * @param {string} userId - Uploader
+ * @param {Object} options
+ * @param {string} options.fileName - Original file name
+ * @param {number} options.totalBytes - Full file size
+ * @param {string} options.mimeType - Declared MIME type (only video/mp4)
+ * @param {number} [options.chunkSize] - Requested chunk size, clamped to 256KB..10MB
+ * @param {number} options.maxBytes - Largest allowed video
+ * @returns {Promise<{success: boolean, session?: Object, statusCode?: number, message?: string}>}
+ */
+async function createUploadSession(userId, { fileName, totalBytes, mimeType, chunkSize, maxBytes }) {
+  const size = Number(totalBytes);
+  const name = typeof fileName === 'string' ? path.basename(fileName.trim()) : '';
+
+  if (!name) {
+    return { success: false, statusCode: 400, message: 'fileName is required' };
+  }
+  if (mimeType !== 'video/mp4' || path.extname(name).toLowerCase() !== '.mp4') {
+    return { success: false, statusCode: 400, message: 'Only MP4 video files are allowed' };
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return { success: false, statusCode: 400, message: 'totalBytes must be a positive integer' };
+  }
+  if (size > maxBytes) {
+    return { success: false, statusCode: 413, message: `Video exceeds the ${Math.round(maxBytes / (1024 * 1024))}MB limit` };
+  }
+
+  const requestedChunkSize = Number(chunkSize) || DEFAULT_CHUNK_SIZE;
+  const session = await UploadSession.create({
+    userId,
+    originalName: name,
+    mimeType,
+    totalBytes: size,
+    chunkSize: Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, Math.floor(requestedChunkSize))),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+  });
+
+  return { success: true, session };
+}
+
+/**
+ * Find an upload session owned by a user.
+ * @param {string} uploadId
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function findUploadSession(uploadId, userId) {
+  if (!/^[a-f0-9]{24}$/i.test(String(uploadId))) return null;
+  return UploadSession.findOne({ _id: uploadId, userId });
+}
+
+/**
+ * Read a request body, refusing more than maxBytes.
+ * Chunks are at most MAX_CHUNK_SIZE, so they are buffered before storing.
+ * @returns {Promise<Buffer|null>} null when the body is larger than maxBytes
+ */
+function readChunkBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    let bytes = 0;
+    let tooLarge = false;
+    req.on('data', (data) => {
+      if (tooLarge) return;
+      bytes += data.length;
+      if (bytes > maxBytes) {
+        tooLarge = true;
+        parts.length = 0;
+        return;
+      }
+      parts.push(data);
+    });
+    req.on('end', () => resolve(tooLarge ? null : Buffer.concat(parts)));
+    req.on('aborted', () => reject(new Error('Chunk upload aborted by client')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Store one chunk from the request body.
+ * Chunks must arrive in order: the offset has to equal the bytes received so
+ * far. Re-sending a chunk that was already stored is accepted as a no-op so
+ * clients can safely retry after a dropped response.
+ * @param {Object} session - Active UploadSession owned by the caller
+ * @param {number} index - Zero-based chunk number
+ * @param {number} offset - Byte offset of the chunk (must equal index * chunkSize)
+ * @param {Object} req - Readable request stream carrying the raw chunk bytes
+ * @returns {Promise<{success: boolean, session?: Object, duplicate?: boolean, statusCode?: number, message?: string}>}
+ */
+async function writeChunk(session, index, offset, req) {
+  if (session.status !== 'active') {
+    return { success: false, statusCode: 409, message: `Upload is ${session.status}` };
+  }
+  if (session.expiresAt < new Date()) {
+    return { success: false, statusCode: 410, message: 'Upload session has expired' };
+  }
+
+  const totalChunks = session.getTotalChunks();
+  if (!Number.isInteger(index) || index < 0 || index >= totalChunks) {
+    return { success: false, statusCode: 400, message: `Chunk index must be between 0 and ${totalChunks - 1}` };
+  }
+  if (offset !== index * session.chunkSize) {
+    return { success: false, statusCode: 400, message: 'Chunk offset does not match chunk index' };
+  }
+
+  const expectedLength = session.getChunkLength(index);
+
+  if (offset + expectedLength <= session.receivedBytes) {
+    req.resume();
+    return { success: true, session, duplicate: true };
+  }
+  if (offset !== session.receivedBytes) {
+    req.resume();
+    return { success: false, statusCode: 409, message: 'Chunk is out of order', session };
+  }
+
+  const body = await readChunkBody(req, expectedLength);
+  if (!body || body.length !== expectedLength) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Chunk ${index} must be exactly ${expectedLength} bytes`
+    };
+  }
+
+  await getStorage().put(getChunkKey(session._id, index), body, { contentType: 'application/octet-stream' });
+
+  // Guard against a concurrent request for the same chunk advancing the offset first
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active', receivedBytes: offset },
+    {
+      receivedBytes: offset + expectedLength,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await UploadSession.findById(session._id);
+    return { success: false, statusCode: 409, message: 'Chunk is out of order', session: current };
+  }
+
+  return { success: true, session: updated };
+}
+
+// MP4 files carry an "ftyp" box right after the first 4-byte size field
+async function looksLikeMp4(key) {
+  const stream = await getStorage().createReadStream(key, { start: 0, end: 7 });
+  const parts = [];
+  for await (const data of stream) {
+    parts.push(data);
+  }
+  const header = Buffer.concat(parts);
+  return header.length >= 8 && header.toString('ascii', 4, 8) === 'ftyp';
+}
+
+// Concatenate the stored chunks, in order, into one stream
+function readChunksInOrder(session) {
+  const storage = getStorage();
+  const totalChunks = session.getTotalChunks();
+  return Readable.from((async function* concatenate() {
+    for (let index = 0; index < totalChunks; index++) {
+      yield* await storage.createReadStream(getChunkKey(session._id, index));
+    }
+  })());
+}
+
+/**
+ * Assemble a fully received upload into uploads/videos.
+ * @param {Object} session - UploadSession owned by the caller
+ * @returns {Promise<{success: boolean, session?: Object, videoFileName?: string, originalBytes?: number, contentHash?: string, statusCode?: number, message?: string}>}
+ */
+async function finalizeUpload(session) {
+  if (session.status === 'completed') {
+    return { success: true, session, videoFileName: session.storedFilename, originalBytes: session.totalBytes };
+  }
+  if (session.status !== 'active') {
+    return { success: false, statusCode: 409, message: `Upload is ${session.status}` };
+  }
+  if (session.receivedBytes !== session.totalBytes) {
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Upload incomplete: ${session.receivedBytes} of ${session.totalBytes} bytes received`
+    };
+  }
+
+  const storage = getStorage();
+  const chunks = await storage.list(getChunkPrefix(session._id));
+  const storedBytes = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+  if (chunks.length !== session.getTotalChunks() || storedBytes !== session.totalBytes) {
+    return { success: false, statusCode: 409, message: 'Uploaded data is missing or corrupted. Please start a new upload.' };
+  }
+  if (!(await looksLikeMp4(getChunkKey(session._id, 0)))) {
+    await abortUpload(session);
+    return { success: false, statusCode: 400, message: 'Only MP4 video files are allowed' };
+  }
+
+  // Same naming scheme as single-request uploads: timestamp-random-originalname
+  const storedFilename = generateStoredFilename(session.originalName);
+  const hashing = createHashingStream();
+  const assembled = readChunksInOrder(session);
+  assembled.on('error', (error) => hashing.destroy(error));
+  await storage.put(`${STORAGE_FOLDERS.video}/${storedFilename}`, assembled.pipe(hashing), {
+    contentType: session.mimeType
+  });
+  await storage.deletePrefix(getChunkPrefix(session._id));
+  const contentHash = hashing.getDigest();
+  await recordUploadedFile({
+    filename: storedFilename,
+    kind: 'video',
+    contentHash,
+    size: session.totalBytes,
+    uploadedBy: session.userId
+  });
+
+  session.status = 'completed';
+  session.storedFilename = storedFilename;
+  session.completedAt = new Date();
+  await session.save();
+
+  return { success: true, session, videoFileName: storedFilename, originalBytes: session.totalBytes, contentHash };
+}
+
+/**
+ * Cancel an upload and discard its temporary file.
+ * @param {Object} session - UploadSession owned by the caller
+ */
+async function abortUpload(session) {
+  if (session.status === 'active') {
+    session.status = 'aborted';
+    await session.save();
+  }
+  await getStorage().deletePrefix(getChunkPrefix(session._id));
+  return session;
+}
+
+/**
+ * Garbage-collect upload sessions past their expiry: unfinished sessions lose
+ * their stored chunks; finished or aborted records are simply removed.
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function cleanupExpiredUploadSessions() {
+  const mongoose = require('mongoose');
+  if (mongoose.connection.readyState !== 1) {
+    return 0;
+  }
+
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } }).select('_id status');
+  if (expired.length === 0) return 0;
+
+  for (const session of expired) {
+    if (session.status !== 'completed') {
+      await getStorage().deletePrefix(getChunkPrefix(session._id)).catch(() => {});
+    }
+  }
+  await UploadSession.deleteMany({ _id: { $in: expired.map((session) => session._id) } });
+
+  const abandoned = expired.filter((session) => session.status === 'active').length;
+  if (abandoned > 0) {
+    logger.logSystemEvent(
+      'Expired resumable uploads cleaned up',
+      null,
+      { removedSessions: expired.length, abandonedUploads: abandoned },
+      'info',
+      'delete'
+    ).catch(() => {});
+  }
+
+  return expired.length;
+}
+
+let cleanupInterval = null;
+
+const startUploadSessionCleanup = () => {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+  }
+  cleanupInterval = setInterval(() => {
+    cleanupExpiredUploadSessions().catch((error) => {
+      console.error('Error cleaning up upload sessions:', error);
+    });
+  }, CLEANUP_INTERVAL_MS);
+};
+
+const stopUploadSessionCleanup = () => {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+};
+
+module.exports = {
+  serializeUploadSession,
+  createUploadSession,
+  findUploadSession,
+  writeChunk,
+  finalizeUpload,
+  abortUpload,
+  cleanupExpiredUploadSessions,
+  startUploadSessionCleanup,
+  stopUploadSessionCleanup
+};
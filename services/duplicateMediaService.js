@@ -0,0 +1,209 @@
+const Submission = require('../models/Submission');
+const UploadedFile = require('../models/UploadedFile');
+const { getMediaFilename } = require('./mediaAccessService');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('../utils/logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+const MEDIA_PARTS = {
+  lessonPlan: { urlField: 'lessonPlanFileUrl', nameField: 'lessonPlanFileName', hashField: 'lessonPlanContentHash' },
+  video: { urlField: 'videoFileUrl', nameField: 'videoFileName', hashField: 'videoContentHash' }
+};
+
+/**
+ * Remember the content hash of an accepted upload.
+ * @param {Object} file
+ * @param {string} file.filename - Stored filename
+ * @param {'lessonPlan'|'video'} file.kind
+ * @param {string} file.contentHash - SHA-256 hex digest
+ * @param {number} [file.size]
+ * @param {string} [file.uploadedBy]
+ */
+async function recordUploadedFile({ filename, kind, contentHash, size = null, uploadedBy = null }) {
+  return UploadedFile.findOneAndUpdate(
+    { filename },
+    { filename, kind, contentHash, size, uploadedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Content hash of the file a submission media URL points to.
+ * @param {string} urlOrFilename - Stored lessonPlanFileUrl/videoFileUrl or filename
+ * @returns {Promise<string|null>} null for external links or files uploaded before hashing
+ */
+async function getContentHashForMedia(urlOrFilename) {
+  const filename = getMediaFilename(urlOrFilename);
+  if (!filename) return null;
+  const file = await UploadedFile.findOne({ filename }).select('contentHash').lean();
+  return file?.contentHash || null;
+}
+
+/**
+ * Refresh lessonPlanContentHash/videoContentHash for the media parts that changed.
+ * Used by the Submission pre-save hook.
+ * @param {Object} submission - Submission document (mutated)
+ * @returns {Promise<boolean>} True if any hash changed
+ */
+async function refreshSubmissionContentHashes(submission) {
+  let changed = false;
+  for (const { urlField, nameField, hashField } of Object.values(MEDIA_PARTS)) {
+    if (!submission.isNew && !submission.isModified(urlField) && !submission.isModified(nameField)) continue;
+
+    const contentHash = await getContentHashForMedia(submission[urlField]) ||
+      await getContentHashForMedia(submission[nameField]);
+    if ((submission[hashField] || null) !== contentHash) {
+      submission[hashField] = contentHash;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function sameMatch(a, b) {
+  return String(a.submissionId) === String(b.submissionId) && a.part === b.part && a.matchedPart === b.matchedPart;
+}
+
+/**
+ * Work out a submission's duplicateMedia value for a set of matches.
+ * A dismissed flag stays dismissed unless a match the admin has not seen appears.
+ * @param {Object} current - Existing duplicateMedia value
+ * @param {Array} matches - Matches to record
+ * @param {boolean} replace - Replace existing matches (own submission) or add to them (the other side)
+ * @returns {Object|null} New duplicateMedia value, or null when nothing changed
+ */
+function buildDuplicateMediaUpdate(current, matches, replace) {
+  const existing = current?.matches || [];
+  const added = matches.filter((match) => !existing.some((item) => sameMatch(item, match)));
+  const nextMatches = replace ? matches : [...existing, ...added];
+
+  if (nextMatches.length === 0) {
+    return existing.length > 0 ? { status: null, matches: [], detectedAt: null } : null;
+  }
+  if (added.length === 0) {
+    if (nextMatches.length === existing.length) return null;
+    return { ...(current.toObject ? current.toObject() : current), matches: nextMatches };
+  }
+
+  return {
+    status: 'flagged',
+    matches: nextMatches,
+    detectedAt: new Date(),
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: ''
+  };
+}
+
+/**
+ * Flag a submission whose lesson plan or video has the same content as a
+ * submission by another teacher in the same year. Both sides are flagged.
+ * Matches that no longer hold (e.g. after a reupload) are removed from both sides.
+ * @param {Object} submission - Submission document with content hashes set
+ * @returns {Promise<{ flagged: boolean, matches: Array }>}
+ */
+async function detectDuplicateMedia(submission) {
+  const hashes = Object.entries(MEDIA_PARTS)
+    .map(([part, { hashField }]) => ({ part, hash: submission[hashField] }))
+    .filter(({ hash }) => Boolean(hash));
+  const teacherId = submission.teacherId?._id || submission.teacherId;
+
+  const candidates = hashes.length === 0 ? [] : await Submission.find({
+    _id: { $ne: submission._id },
+    year: submission.year,
+    teacherId: { $ne: teacherId },
+    isDeleted: { $ne: true },
+    $or: [
+      { lessonPlanContentHash: { $in: hashes.map(({ hash }) => hash) } },
+      { videoContentHash: { $in: hashes.map(({ hash }) => hash) } }
+    ]
+  }).select('_id teacherId teacherName school lessonPlanContentHash videoContentHash duplicateMedia');
+
+  const matches = [];
+  for (const candidate of candidates) {
+    const reverseMatches = [];
+    for (const { part, hash } of hashes) {
+      for (const [matchedPart, { hashField }] of Object.entries(MEDIA_PARTS)) {
+        if (candidate[hashField] !== hash) continue;
+        matches.push({
+          submissionId: candidate._id,
+          teacherId: candidate.teacherId,
+          teacherName: candidate.teacherName,
+          school: candidate.school,
+          part,
+          matchedPart
+        });
+        reverseMatches.push({
+          submissionId: submission._id,
+          teacherId,
+          teacherName: submission.teacherName,
+          school: submission.school,
+          part: matchedPart,
+          matchedPart: part
+        });
+      }
+    }
+
+    const candidateUpdate = buildDuplicateMediaUpdate(candidate.duplicateMedia, reverseMatches, false);
+    if (candidateUpdate) {
+      await Submission.updateOne({ _id: candidate._id }, { $set: { duplicateMedia: candidateUpdate } });
+    }
+  }
+
+  // Drop this submission from the other side of matches that no longer hold
+  const matchedIds = new Set(matches.map((match) => String(match.submissionId)));
+  const staleIds = (submission.duplicateMedia?.matches || [])
+    .map((match) => String(match.submissionId))
+    .filter((id) => !matchedIds.has(id));
+  for (const staleId of new Set(staleIds)) {
+    const other = await Submission.findById(staleId).select('duplicateMedia');
+    if (!other) continue;
+    const remaining = (other.duplicateMedia?.matches || [])
+      .filter((match) => String(match.submissionId) !== String(submission._id));
+    const otherUpdate = buildDuplicateMediaUpdate(other.duplicateMedia, remaining, true);
+    if (otherUpdate) {
+      await Submission.updateOne({ _id: other._id }, { $set: { duplicateMedia: otherUpdate } });
+    }
+  }
+
+  const update = buildDuplicateMediaUpdate(submission.duplicateMedia, matches, true);
+  if (update) {
+    await Submission.updateOne({ _id: submission._id }, { $set: { duplicateMedia: update } });
+    submission.duplicateMedia = update;
+
+    if (update.status === 'flagged') {
+      logger.logSystemEvent(
+        'Duplicate submission media detected',
+        null,
+        {
+          submissionId: submission._id.toString(),
+          year: submission.year,
+          matches: matches.map((match) => ({
+            submissionId: match.submissionId.toString(),
+            part: match.part,
+            matchedPart: match.matchedPart
+          }))
+        },
+        'warning',
+        'update'
+      ).catch(() => {});
+    }
+  }
+
+  return { flagged: submission.duplicateMedia?.status === 'flagged', matches };
+}
+
+module.exports = {
+  recordUploadedFile,
+  getContentHashForMedia,
+  refreshSubmissionContentHashes,
+  detectDuplicateMedia
+};
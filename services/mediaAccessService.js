@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const Appeal = require('../models/Appeal');
+const CalibrationExemplar = require('../models/CalibrationExemplar');
+const CompetitionRound = require('../models/CompetitionRound');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+const { canAdminAccessSubmission } = require('../utils/adminScope');
+const { deleteMediaObject } = require('./storage');
+
+// Signed media URLs are short-lived so a copied link stops working quickly
+const MEDIA_URL_TTL_SECONDS = Math.max(60, parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 600);
+
+const STREAM_URL_PATTERN = /\/api\/uploads\/watch\/([^/?#]+)\/stream/;
+
+function getSigningKey() {
+  return process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+}
+
+/**
+ * Extract the stored filename from a submission media URL
+ * (`/api/uploads/watch/<filename>/stream`) or a bare filename.
+ * @param {string} value - Stored lessonPlanFileUrl/videoFileUrl or file name
+ * @returns {string|null}
+ */
+function getMediaFilename(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const match = value.match(STREAM_URL_PATTERN);
+  let filename = match ? match[1] : value.trim();
+  try {
+    filename = decodeURIComponent(filename);
+  } catch (error) {
+    return null;
+  }
+  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) return null;
+  return filename;
+}
+
+/**
+ * Filenames of the lesson plan and video stored on a submission.
+ * @param {Object} submission
+ * @returns {{ lessonPlan: string|null, video: string|null }}
+ */
+function getSubmissionMediaFilenames(submission) {
+  return {
+    lessonPlan: getMediaFilename(submission.lessonPlanFileUrl) || getMediaFilename(submission.lessonPlanFileName),
+    video: getMediaFilename(submission.videoFileUrl) || getMediaFilename(submission.videoFileName)
+  };
+}
+
+/**
+ * Check whether a user may view a submission's media.
+ * Owner teacher, a judge assigned to the submission at its level (or to
+ * regrade its appeal, or calibrating on it), an admin
+ * whose scope covers it, or superadmin.
+ * @param {Object} user - Authenticated user
+ * @param {Object} submission - Submission with teacherId, level, region, council
+ * @returns {Promise<boolean>}
+ */
+async function canUserAccessSubmissionMedia(user, submission) {
+  if (!user || !submission || submission.isDeleted) return false;
+
+  if (user.role === 'superadmin') return true;
+
+  if (user.role === 'teacher') {
+    const ownerId = submission.teacherId?._id || submission.teacherId;
+    return String(ownerId) === String(user._id);
+  }
+
+  if (user.role === 'admin') {
+    return canAdminAccessSubmission(user, submission);
+  }
+
+  if (user.role === 'judge') {
+    if (!user.assignedLevel) return false;
+
+    // Calibration exemplars of rounds at the judge's level that are not yet
+    // active; an exemplar may come from another level or year
+    const exemplarRoundIds = await CalibrationExemplar.distinct('roundId', { submissionId: submission._id });
+    if (exemplarRoundIds.length > 0 && await CompetitionRound.exists({
+      _id: { $in: exemplarRoundIds },
+      level: user.assignedLevel,
+      status: { $in: ['draft', 'pending'] }
+    })) {
+      return true;
+    }
+
+    if (user.assignedLevel !== submission.level) return false;
+
+    // A judge regrading an appeal sees the submission until the regrade is in
+    const appealRegrade = await Appeal.exists({
+      submissionId: submission._id,
+      assignedJudgeId: user._id,
+      status: 'assigned'
+    });
+    if (appealRegrade) return true;
+
+    if (submission.level === 'National') {
+      return Boolean(await SubmissionAssignment.exists({
+        submissionId: submission._id,
+        judgeId: user._id,
+        level: 'National'
+      }));
+    }
+
+    // Council/Regional: any judge on the submission's panel
+    return Boolean(await SubmissionAssignment.exists({
+      submissionId: submission._id,
+      judgeId: user._id
+    }));
+  }
+
+  return false;
+}
+
+function computeSignature(filename, submissionId, userId, expires) {
+  return crypto
+    .createHmac('sha256', getSigningKey())
+    .update(`${filename}\n${submissionId || ''}\n${userId}\n${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Mint a short-lived signed stream URL for a file.
+ * @param {string} filename - Stored filename
+ * @param {Object} options
+ * @param {string} options.userId - User the URL is issued to
+ * @param {string|null} [options.submissionId] - Submission the file belongs to
+ *   (omitted only for the uploader's own preview right after upload)
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function signMediaUrl(filename, { userId, submissionId = null }) {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  const params = new URLSearchParams();
+  if (submissionId) params.set('s', String(submissionId));
+  params.set('u', String(userId));
+  params.set('expires', String(expires));
+  params.set('sig', computeSignature(filename, submissionId ? String(submissionId) : '', String(userId), expires));
+
+  return {
+    url: `/api/uploads/watch/${encodeURIComponent(filename)}/stream?${params.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Mint a short-lived signed URL that names the submission and media part
+ * instead of the stored filename, for blind judging.
+ * @param {string} submissionId
+ * @param {'lessonPlan'|'video'} part
+ * @param {Object} options
+ * @param {string} options.userId - User the URL is issued to
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function signSubmissionPartUrl(submissionId, part, { userId }) {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  const params = new URLSearchParams();
+  params.set('u', String(userId));
+  params.set('expires', String(expires));
+  params.set('sig', computeSignature(`part:${part}`, String(submissionId), String(userId), expires));
+
+  return {
+    url: `/api/uploads/submissions/${submissionId}/media/${part}/stream?${params.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Mint a short-lived signed URL for an uploaded image. Images are shown in
+ * <img> tags, which cannot send an Authorization header.
+ * @param {string} filename - Stored image filename
+ * @param {Object} options
+ * @param {string} options.userId - User the URL is issued to
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function signImageUrl(filename, { userId }) {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  const params = new URLSearchParams();
+  params.set('u', String(userId));
+  params.set('expires', String(expires));
+  params.set('sig', computeSignature(`image:${filename}`, '', String(userId), expires));
+
+  return {
+    url: `/api/uploads/images/${encodeURIComponent(filename)}?${params.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Verify the signature on a stream request.
+ * @param {string} filename - Requested filename
+ * @param {Object} query - Request query (`s`, `u`, `expires`, `sig`)
+ * @returns {{ valid: boolean, expired?: boolean, submissionId?: string|null, userId?: string }}
+ */
+function verifyMediaSignature(filename, query = {}) {
+  const { s: submissionId = '', u: userId, expires, sig } = query;
+  if (!userId || !expires || typeof sig !== 'string' || !/^\d+$/.test(String(expires))) {
+    return { valid: false };
+  }
+
+  const expected = Buffer.from(computeSignature(filename, String(submissionId), String(userId), expires), 'hex');
+  const provided = Buffer.from(sig, 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false };
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    return { valid: false, expired: true };
+  }
+
+  return { valid: true, submissionId: submissionId || null, userId: String(userId) };
+}
+
+/**
+ * Verify the signature on a submission part stream request.
+ * @param {string} submissionId
+ * @param {string} part
+ * @param {Object} query - Request query (`u`, `expires`, `sig`)
+ * @returns {{ valid: boolean, expired?: boolean, submissionId?: string|null, userId?: string }}
+ */
+function verifySubmissionPartSignature(submissionId, part, query = {}) {
+  return verifyMediaSignature(`part:${part}`, { ...query, s: String(submissionId) });
+}
+
+/**
+ * Verify the signature on an image request.
+ * @param {string} filename
+ * @param {Object} query - Request query (`u`, `expires`, `sig`)
+ * @returns {{ valid: boolean, expired?: boolean, submissionId?: string|null, userId?: string }}
+ */
+function verifyImageSignature(filename, query = {}) {
+  return verifyMediaSignature(`image:${filename}`, { ...query, s: '' });
+}
+
+/**
+ * Signed URLs for a submission's lesson plan and video, issued to a user who
+ * has already passed canUserAccessSubmissionMedia.
+ * @param {Object} submission
+ * @param {Object} user
+ * @param {Object} [options] - { blind }: URLs without the stored filenames
+ * @returns {{ lessonPlan: {url: string, expiresAt: Date}|null, video: {url: string, expiresAt: Date}|null, expiresIn: number }}
+ */
+function buildSubmissionMediaUrls(submission, user, { blind = false } = {}) {
+  const filenames = getSubmissionMediaFilenames(submission);
+  const sign = (part) => (blind
+    ? signSubmissionPartUrl(submission._id, part, { userId: user._id })
+    : signMediaUrl(filenames[part], { userId: user._id, submissionId: submission._id }));
+  return {
+    lessonPlan: filenames.lessonPlan ? sign('lessonPlan') : null,
+    video: filenames.video ? sign('video') : null,
+    expiresIn: MEDIA_URL_TTL_SECONDS
+  };
+}
+
+/**
+ * Delete a submission's lesson plan and video from storage, unless another
+ * submission still references the same stored file.
+ * @param {Object} submission - Submission being permanently deleted
+ * @returns {Promise<string[]>} Filenames that were deleted
+ */
+async function deleteSubmissionMedia(submission) {
+  const Submission = require('../models/Submission');
+  const deleted = [];
+  const filenames = Object.values(getSubmissionMediaFilenames(submission)).filter(Boolean);
+
+  for (const filename of filenames) {
+    const pattern = new RegExp(`(^|/)${escapeRegExp(encodeURIComponent(filename))}(/|$)|^${escapeRegExp(filename)}$`);
+    const stillReferenced = await Submission.exists({
+      _id: { $ne: submission._id },
+      $or: [
+        { lessonPlanFileUrl: pattern },
+        { lessonPlanFileName: filename },
+        { videoFileUrl: pattern },
+        { videoFileName: filename }
+      ]
+    });
+    if (!stillReferenced && await deleteMediaObject(filename)) {
+      deleted.push(filename);
+    }
+  }
+
+  return deleted;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  MEDIA_URL_TTL_SECONDS,
+  getMediaFilename,
+  getSubmissionMediaFilenames,
+  canUserAccessSubmissionMedia,
+  signMediaUrl,
+  signSubmissionPartUrl,
+  signImageUrl,
+  verifyMediaSignature,
+  verifySubmissionPartSignature,
+  verifyImageSignature,
+  buildSubmissionMediaUrls,
+  deleteSubmissionMedia
+};
@@ -0,0 +1,296 @@
+const path = require('path');
+const Submission = require('../models/Submission');
+const CompetitionRound = require('../models/CompetitionRound');
+const notificationService = require('./notificationService');
+const { getStorage, findMediaObject } = require('./storage');
+const { getMediaFilename } = require('./mediaAccessService');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('../utils/logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+const SCAN_INTERVAL_MINUTES = Math.max(5, parseInt(process.env.MEDIA_INTEGRITY_SCAN_INTERVAL_MINUTES, 10) || 360);
+const SCAN_INTERVAL_MS = SCAN_INTERVAL_MINUTES * 60 * 1000;
+const HEADER_BYTES = 16;
+
+// What each media part must be: extension and leading bytes
+const EXPECTED_MEDIA = {
+  lessonPlan: {
+    urlField: 'lessonPlanFileUrl',
+    nameField: 'lessonPlanFileName',
+    extension: '.pdf',
+    label: 'lesson plan PDF',
+    matchesHeader: (header) => header.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  video: {
+    urlField: 'videoFileUrl',
+    nameField: 'videoFileName',
+    extension: '.mp4',
+    label: 'video file',
+    matchesHeader: (header) => header.length >= 8 && header.subarray(4, 8).toString('latin1') === 'ftyp'
+  }
+};
+
+const ISSUE_MESSAGES = {
+  missing: 'file not found',
+  unreadable: 'file could not be read',
+  invalid_type: 'file is not of the expected type'
+};
+
+async function readHeader(key) {
+  const stream = await getStorage().createReadStream(key, { start: 0, end: HEADER_BYTES - 1 });
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check one stored media file for existence, readability and type.
+ * @param {string} filename - Stored filename
+ * @param {'lessonPlan'|'video'} part
+ * @returns {Promise<string|null>} Issue code ('missing', 'unreadable', 'invalid_type'), null when fine
+ */
+async function checkMediaFile(filename, part) {
+  const expected = EXPECTED_MEDIA[part];
+  if (path.extname(filename).toLowerCase() !== expected.extension) return 'invalid_type';
+
+  // Storage errors here abort the scan rather than flag every submission
+  const media = await findMediaObject(filename);
+  if (!media) return 'missing';
+
+  let header;
+  try {
+    header = await readHeader(media.key);
+  } catch (error) {
+    return 'unreadable';
+  }
+  if (header.length === 0) return 'unreadable';
+  return expected.matchesHeader(header) ? null : 'invalid_type';
+}
+
+/**
+ * Check a submission's uploaded lesson plan and video. Parts with no file
+ * reference (shown as missing in the faulty view) and external links are skipped.
+ * @param {Object} submission
+ * @returns {Promise<Array<{part: string, filename: string, reason: string}>>}
+ */
+async function checkSubmissionMedia(submission) {
+  const issues = [];
+  for (const [part, { urlField, nameField }] of Object.entries(EXPECTED_MEDIA)) {
+    const filename = getMediaFilename(submission[urlField]) || getMediaFilename(submission[nameField]);
+    if (!filename) continue;
+
+    const reason = await checkMediaFile(filename, part);
+    if (reason) issues.push({ part, filename, reason });
+  }
+  return issues;
+}
+
+/**
+ * Drop integrity issues for media parts that were just replaced.
+ * Used by the Submission pre-save hook; the next scan checks the new file.
+ * @param {Object} submission - Submission document (mutated)
+ */
+function clearReplacedMediaIssues(submission) {
+  const issues = submission.mediaIntegrity?.issues || [];
+  if (issues.length === 0) return;
+
+  const remaining = issues.filter(({ part }) => {
+    const { urlField, nameField } = EXPECTED_MEDIA[part] || {};
+    return !submission.isModified(urlField) && !submission.isModified(nameField);
+  });
+  if (remaining.length === issues.length) return;
+
+  submission.mediaIntegrity.issues = remaining;
+  if (remaining.length === 0) submission.mediaIntegrity.status = 'ok';
+}
+
+function buildActiveRoundSubmissionQuery(round) {
+  const query = {
+    year: round.year,
+    level: round.level,
+    isDeleted: { $ne: true },
+    disqualified: { $ne: true },
+    status: { $nin: ['promoted', 'eliminated', 'disqualified'] }
+  };
+  if (round.region) query.region = round.region;
+  if (round.council) query.council = round.council;
+  return query;
+}
+
+/**
+ * Record scan results on a submission. Broken media is marked faulty and,
+ * unless a reupload request is already pending, one is opened for the first
+ * broken part not requested yet and the teacher is notified.
+ * @param {Object} submission
+ * @param {Array} issues - Result of checkSubmissionMedia
+ * @returns {Promise<{ broken: boolean, requested: boolean }>}
+ */
+async function applyIntegrityResult(submission, issues) {
+  const now = new Date();
+  const previous = submission.mediaIntegrity?.issues || [];
+  const findPrevious = (issue) => previous.find((item) => item.part === issue.part && item.reason === issue.reason);
+
+  if (issues.length === 0) {
+    await Submission.updateOne(
+      { _id: submission._id },
+      { $set: { 'mediaIntegrity.status': 'ok', 'mediaIntegrity.issues': [], 'mediaIntegrity.checkedAt': now } }
+    );
+    return { broken: false, requested: false };
+  }
+
+  const nextIssues = issues.map((issue) => ({
+    ...issue,
+    detectedAt: findPrevious(issue)?.detectedAt || now,
+    reuploadRequestedAt: findPrevious(issue)?.reuploadRequestedAt || null
+  }));
+
+  const hasPendingRequest = submission.reuploadRequest?.requested && submission.reuploadRequest?.status === 'pending';
+  const requestIssue = hasPendingRequest ? null : nextIssues.find((issue) => !issue.reuploadRequestedAt) || null;
+
+  const update = {
+    'mediaIntegrity.status': 'broken',
+    'mediaIntegrity.issues': nextIssues,
+    'mediaIntegrity.checkedAt': now
+  };
+  if (requestIssue) {
+    requestIssue.reuploadRequestedAt = now;
+    update.reuploadRequest = {
+      requested: true,
+      requestedBy: null,
+      requestedAt: now,
+      part: requestIssue.part,
+      note: `Automatic media check: ${ISSUE_MESSAGES[requestIssue.reason]}`,
+      status: 'pending',
+      resolvedAt: null
+    };
+  }
+
+  await Submission.updateOne({ _id: submission._id }, { $set: update });
+
+  if (issues.some((issue) => !findPrevious(issue))) {
+    logger.logSystemEvent(
+      'Submission media failed integrity check',
+      null,
+      {
+        submissionId: submission._id.toString(),
+        teacherId: submission.teacherId?.toString(),
+        issues: issues.map(({ part, filename, reason }) => ({ part, filename, reason })),
+        reuploadRequested: Boolean(requestIssue)
+      },
+      'warning',
+      'update'
+    ).catch(() => {});
+  }
+
+  if (requestIssue) {
+    await notificationService.emit('SYSTEM_NOTIFICATION', {
+      userId: submission.teacherId,
+      title: 'Submission reupload required',
+      message: `Your ${EXPECTED_MEDIA[requestIssue.part].label} for submission "${submission.areaOfFocus || submission.subject}" could not be opened (${ISSUE_MESSAGES[requestIssue.reason]}). Please upload it again.`,
+      metadata: {
+        event: 'submission_reupload_requested',
+        submissionId: submission._id.toString(),
+        part: requestIssue.part,
+        reason: 'integrity',
+        issue: requestIssue.reason
+      },
+      sendEmail: true
+    });
+  }
+
+  return { broken: true, requested: Boolean(requestIssue) };
+}
+
+/**
+ * Check the media of every submission in an active round.
+ * @returns {Promise<{ rounds: number, checked: number, broken: number, reuploadsRequested: number }>}
+ */
+async function scanActiveRoundMedia() {
+  const summary = { rounds: 0, checked: 0, broken: 0, reuploadsRequested: 0 };
+  const seen = new Set();
+
+  const activeRounds = await CompetitionRound.find({ status: 'active' }).select('year level region council');
+  for (const round of activeRounds) {
+    summary.rounds++;
+    const cursor = Submission.find(buildActiveRoundSubmissionQuery(round))
+      .select('teacherId subject areaOfFocus lessonPlanFileName lessonPlanFileUrl videoFileName videoFileUrl reuploadRequest mediaIntegrity')
+      .cursor();
+
+    for await (const submission of cursor) {
+      const id = String(submission._id);
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const issues = await checkSubmissionMedia(submission);
+      const result = await applyIntegrityResult(submission, issues);
+      summary.checked++;
+      if (result.broken) summary.broken++;
+      if (result.requested) summary.reuploadsRequested++;
+    }
+  }
+
+  if (summary.rounds > 0) {
+    logger.logSystemEvent(
+      'Submission media integrity scan completed',
+      null,
+      summary,
+      summary.broken > 0 ? 'warning' : 'success',
+      'read'
+    ).catch(() => {});
+  }
+
+  return summary;
+}
+
+let scanInterval = null;
+let scanRunning = false;
+
+const runScheduledScan = async () => {
+  const mongoose = require('mongoose');
+  if (scanRunning || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  scanRunning = true;
+  try {
+    await scanActiveRoundMedia();
+  } catch (error) {
+    console.error('Error scanning submission media:', error);
+  } finally {
+    scanRunning = false;
+  }
+};
+
+const startMediaIntegrityScan = () => {
+  if (scanInterval) {
+    clearInterval(scanInterval);
+  }
+  // First pass shortly after startup, then every MEDIA_INTEGRITY_SCAN_INTERVAL_MINUTES
+  setTimeout(runScheduledScan, 60 * 1000);
+  scanInterval = setInterval(runScheduledScan, SCAN_INTERVAL_MS);
+};
+
+const stopMediaIntegrityScan = () => {
+  if (scanInterval) {
+    clearInterval(scanInterval);
+    scanInterval = null;
+  }
+};
+
+module.exports = {
+  checkMediaFile,
+  checkSubmissionMedia,
+  clearReplacedMediaIssues,
+  scanActiveRoundMedia,
+  startMediaIntegrityScan,
+  stopMediaIntegrityScan
+};
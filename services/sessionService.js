@@ -0,0 +1,331 @@
+const jwt = require('jsonwebtoken');
+const UserSession = require('../models/UserSession');
+
+const ACCESS_TOKEN_EXPIRES_IN = String(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m').trim() || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = Math.max(1, parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30);
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+
+// A rotated token presented again within this window is treated as a
+// concurrent refresh (e.g. two browser tabs) rather than token theft.
+const REUSE_GRACE_MS = 30 * 1000;
+
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// lastSeenAt is only written when older than this, to avoid a write per request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Get client IP address from request (honours the app's trust proxy setting)
+ */
+function getClientIp(req) {
+  return req?.ip || req?.socket?.remoteAddress || null;
+}
+
+/**
+ * Build a short human-readable device label from a user agent string,
+ * e.g. "Chrome on Windows" or "Safari on iPhone".
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const platforms = [
+    ['iPhone', /iPhone/],
+    ['iPad', /iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+}
+
+/**
+ * Extract the device details recorded on a session from the request.
+ * A client-supplied `deviceName` takes precedence over the parsed user agent.
+ */
+function getDeviceDetails(req) {
+  const userAgent = req?.headers?.['user-agent'] || null;
+  const deviceName = typeof req?.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : '';
+  return {
+    device: deviceName || describeDevice(userAgent),
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+    ipAddress: getClientIp(req)
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to a server-side session.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - UserSession ID
+ * @returns {string} Signed JWT
+ */
+function generateAccessToken(userId, sessionId) {
+  return jwt.sign({ id: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+/**
+ * Sign a short-lived token proving the password step succeeded, to be
+ * exchanged for a session once the second factor is verified.
+ * It carries no `sid`, so `protect` never accepts it as an access token.
+ * @param {string} userId - User ID
+ * @returns {string} Signed JWT
+ */
+function generateTwoFactorChallenge(userId) {
+  return jwt.sign({ id: String(userId), purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
+}
+
+/**
+ * Verify a two-factor challenge token.
+ * @param {string} challengeToken - Token returned by the login step
+ * @returns {string|null} User ID, or null if invalid/expired
+ */
+function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+ * without scanning hashes.
+ */
+function buildRefreshToken(sessionId, secret) {
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function buildTokenResponse(session, secret, userId) {
+  return {
+    token: generateAccessToken(userId, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+}
+
+/**
+ * Start a new session for a user who has just authenticated.
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (for device, user agent and IP)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, refreshTokenExpiresAt: Date, sessionId: string}>}
+ */
+async function createSession(userId, req) {
+  const secret = UserSession.generateTokenSecret();
+  const session = await UserSession.create({
+    userId,
+    refreshTokenHash: UserSession.hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...getDeviceDetails(req),
+    lastSeenAt: new Date()
+  });
+
+  return buildTokenResponse(session, secret, userId);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented refresh token is invalidated. Presenting an already-rotated
+ * token outside the grace window revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (for IP and last-seen tracking)
+ * @returns {Promise<{success: boolean, session?: Object, tokens?: Object, error?: string, reuseDetected?: boolean}>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  const presentedHash = UserSession.hashToken(parsed.secret);
+  const now = new Date();
+  const newSecret = UserSession.generateTokenSecret();
+
+  const session = await UserSession.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      refreshTokenHash: UserSession.hashToken(newSecret),
+      previousRefreshTokenHash: presentedHash,
+      lastRefreshedAt: now,
+      lastSeenAt: now,
+      ipAddress: getClientIp(req),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      success: true,
+      session,
+      tokens: buildTokenResponse(session, newSecret, session.userId)
+    };
+  }
+
+  const existing = await UserSession.findById(parsed.sessionId);
+  if (!existing || !existing.isActive()) {
+    return { success: false, error: 'Session has expired or been revoked' };
+  }
+
+  if (existing.previousRefreshTokenHash === presentedHash) {
+    const rotatedRecently = existing.lastRefreshedAt &&
+      now.getTime() - existing.lastRefreshedAt.getTime() < REUSE_GRACE_MS;
+    if (rotatedRecently) {
+      return { success: false, error: 'Refresh token has already been rotated' };
+    }
+
+    existing.revokedAt = now;
+    existing.revokedReason = 'token_reuse';
+    await existing.save();
+    return { success: false, session: existing, reuseDetected: true, error: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  return { success: false, error: 'Invalid refresh token' };
+}
+
+/**
+ * Find a session that can still authorize requests.
+ * When a request is given, the session's last-seen time and IP are updated
+ * (throttled to one write per minute).
+ * @param {string} sessionId - UserSession ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveSession(sessionId, userId, req = null) {
+  if (!sessionId) return null;
+  const now = new Date();
+  const session = await UserSession.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: now }
+  }).select('_id userId lastSeenAt');
+
+  if (!session) return null;
+
+  if (req && (!session.lastSeenAt || now - session.lastSeenAt > LAST_SEEN_THROTTLE_MS)) {
+    UserSession.updateOne(
+      { _id: session._id },
+      { lastSeenAt: now, ipAddress: getClientIp(req) }
+    ).catch(() => {}); // Non-blocking
+  }
+
+  return session;
+}
+
+/**
+ * List a user's active sessions, most recently used first.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function listActiveSessions(userId) {
+  return UserSession.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+/**
+ * Shape a session for API responses.
+ * @param {Object} session - UserSession document or lean object
+ * @param {string|null} currentSessionId - Caller's own session, flagged as `current`
+ */
+function serializeSession(session, currentSessionId = null) {
+  return {
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+  };
+}
+
+/**
+ * Revoke a single session.
+ * @param {string} sessionId - UserSession ID
+ * @param {string} reason - One of the UserSession revokedReason values
+ * @param {string|null} revokedBy - User performing the revocation
+ * @param {string|null} [userId] - When given, only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(sessionId, reason, revokedBy = null, userId = null) {
+  const query = { _id: sessionId, revokedAt: null };
+  if (userId) {
+    query.userId = userId;
+  }
+  const result = await UserSession.updateOne(
+    query,
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session for a user (log out all devices).
+ * @param {string} userId - User ID
+ * @param {string} reason - One of the UserSession revokedReason values
+ * @param {Object} [options]
+ * @param {string|null} [options.revokedBy] - User performing the revocation
+ * @param {string|null} [options.exceptSessionId] - Session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason, { revokedBy = null, exceptSessionId = null } = {}) {
+  const result = await UserSession.revokeAllForUser(userId, reason, revokedBy, exceptSessionId);
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  listActiveSessions,
+  serializeSession,
+  describeDevice,
+  revokeSession,
+  revokeAllUserSessions
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const LocalStorage = require('./localStorage');
+
+/**
+ * Upload storage.
+ * Every driver exposes the same async interface, keyed by paths such as
+ * `videos/<filename>`, `lesson-plan/<filename>` and `images/<filename>`:
+ *   put(key, body, { contentType })      -> { key, size }
+ *   stat(key)                            -> { size, lastModified } | null
+ *   exists(key)                          -> boolean
+ *   createReadStream(key, { start, end }) -> Readable
+ *   delete(key), deletePrefix(prefix), move(fromKey, toKey)
+ *   list(prefix)                         -> [{ key, size, lastModified }]
+ *
+ * STORAGE_DRIVER selects the driver: `local` (default) or `s3`.
+ */
+
+const STORAGE_FOLDERS = {
+  lessonPlan: 'lesson-plan',
+  video: 'videos',
+  image: 'images',
+  tmp: 'tmp'
+};
+
+const DEFAULT_LOCAL_ROOT = path.join(__dirname, '../../uploads');
+
+let storage = null;
+
+/**
+ * Build a storage driver from environment configuration.
+ * @param {string} [driver] - Overrides STORAGE_DRIVER
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  switch (String(driver).toLowerCase()) {
+    case 'local':
+      return new LocalStorage({ rootDir: process.env.LOCAL_UPLOADS_DIR || DEFAULT_LOCAL_ROOT });
+    case 's3': {
+      const S3Storage = require('./s3Storage');
+      const forcePathStyle = process.env.S3_FORCE_PATH_STYLE;
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: typeof forcePathStyle === 'undefined' ? undefined : forcePathStyle === 'true',
+        prefix: process.env.S3_PREFIX || ''
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+  }
+}
+
+/**
+ * Shared storage driver for the process.
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// Submission media served by the stream route, by extension
+const MEDIA_TYPES = {
+  '.mp4': { contentType: 'video/mp4', folders: [STORAGE_FOLDERS.video] },
+  // Older lesson plans may still sit in the uploads root (see scripts/migrateUploads.js)
+  '.pdf': { contentType: 'application/pdf', folders: [STORAGE_FOLDERS.lessonPlan, ''] }
+};
+
+/**
+ * Locate a submission media file (video or lesson plan PDF) in storage.
+ * @param {string} filename - Stored filename
+ * @returns {Promise<{key: string, stats: {size: number, lastModified: Date}, contentType: string}|null>}
+ *   null when the file is missing
+ */
+async function findMediaObject(filename) {
+  const mediaType = MEDIA_TYPES[path.extname(filename).toLowerCase()];
+  if (!mediaType) return null;
+
+  const storage = getStorage();
+  for (const folder of mediaType.folders) {
+    const key = folder ? `${folder}/${filename}` : filename;
+    const stats = await storage.stat(key);
+    if (stats) {
+      return { key, stats, contentType: mediaType.contentType };
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete a submission media file wherever it is stored.
+ * @param {string} filename - Stored filename
+ * @returns {Promise<boolean>} True if a file was deleted
+ */
+async function deleteMediaObject(filename) {
+  const media = await findMediaObject(filename);
+  if (!media) return false;
+  await getStorage().delete(media.key);
+  return true;
+}
+
+/**
+ * @param {string} filename
+ * @returns {boolean} True for file types the stream route can serve
+ */
+function isSupportedMediaFile(filename) {
+  return Boolean(MEDIA_TYPES[path.extname(filename).toLowerCase()]);
+}
+
+/**
+ * Pass-through stream that computes a SHA-256 of everything written to it,
+ * for hashing uploads while they are stored. Call `getDigest()` once the
+ * stream has ended.
+ * @returns {import('stream').Transform & { getDigest: () => string }}
+ */
+function createHashingStream() {
+  const hash = crypto.createHash('sha256');
+  let digest = null;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  stream.getDigest = () => {
+    if (!digest) digest = hash.digest('hex');
+    return digest;
+  };
+  return stream;
+}
+
+module.exports = {
+  STORAGE_FOLDERS,
+  createStorage,
+  getStorage,
+  findMediaObject,
+  deleteMediaObject,
+  isSupportedMediaFile,
+  createHashingStream
+};
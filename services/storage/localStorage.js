@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk storage driver.
+ * Objects are files under a root directory (default `uploads/`), with keys
+ * such as `videos/<filename>` mapping to `<root>/videos/<filename>`.
+ * Only suitable for a single instance; use the S3 driver when scaling out.
+ */
+class LocalStorage {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object.
+   * @param {string} key
+   * @param {Buffer|import('stream').Readable} body
+   * @returns {Promise<{key: string, size: number}>}
+   */
+  async put(key, body) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a hidden sibling temp file first so readers never see a partial object
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { key, size: stats.size };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{size: number, lastModified: Date}|null>} null when missing
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolveKey(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return Boolean(await this.stat(key));
+  }
+
+  /**
+   * Read an object, optionally a byte range (inclusive).
+   * @param {string} key
+   * @param {{start?: number, end?: number}} [range]
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async createReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolveKey(key), range);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolveKey(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async deletePrefix(prefix) {
+    const objects = await this.list(prefix);
+    await Promise.all(objects.map((object) => this.delete(object.key)));
+    return objects.length;
+  }
+
+  async move(fromKey, toKey) {
+    const toPath = this.resolveKey(toKey);
+    await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+    await fs.promises.rename(this.resolveKey(fromKey), toPath);
+  }
+
+  /**
+   * List objects whose key starts with a prefix (recursively).
+   * @param {string} [prefix]
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list(prefix = '') {
+    const results = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const key = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fs.promises.stat(fullPath);
+            results.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      }
+    };
+    // Only walk the directory the prefix points into
+    const slash = prefix.lastIndexOf('/');
+    await walk(slash >= 0 ? this.resolveKey(prefix.slice(0, slash)) : this.rootDir);
+    return results;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,57 @@
+const path = require('path');
+const { getStorage, createHashingStream } = require('./index');
+
+/**
+ * Unique stored filename: timestamp-random-originalname
+ * @param {string} originalName
+ * @returns {string}
+ */
+function generateStoredFilename(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalName);
+  const name = path.basename(originalName, ext);
+  return `${uniqueSuffix}-${name}${ext}`;
+}
+
+/**
+ * Multer storage engine that streams uploads into the configured storage
+ * driver under a folder (e.g. `videos`). `req.file` gets `filename`, `key`,
+ * `size` and `contentHash` (SHA-256), like multer's disk storage without a
+ * local `path`.
+ */
+class DriverStorageEngine {
+  constructor(folder) {
+    this.folder = folder;
+  }
+
+  _handleFile(req, file, cb) {
+    const filename = generateStoredFilename(file.originalname);
+    const key = `${this.folder}/${filename}`;
+    const hashing = createHashingStream();
+    file.stream.on('error', (error) => hashing.destroy(error));
+    getStorage()
+      .put(key, file.stream.pipe(hashing), { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { filename, key, size, contentHash: hashing.getDigest() }))
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+    getStorage()
+      .delete(file.key)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+}
+
+/**
+ * @param {string} folder - Storage folder, see STORAGE_FOLDERS
+ */
+function createMulterStorage(folder) {
+  return new DriverStorageEngine(folder);
+}
+
+module.exports = {
+  generateStoredFilename,
+  createMulterStorage
+};
@@ -0,0 +1,164 @@
+const { Transform } = require('stream');
+const {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  paginateListObjectsV2
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+function isNotFound(error) {
+  return error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...).
+ * Keys are stored under an optional prefix inside a single bucket so every
+ * instance sees the same files.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      ...(endpoint ? { endpoint } : {}),
+      // MinIO and most self-hosted endpoints need path-style addressing
+      forcePathStyle: forcePathStyle ?? Boolean(endpoint),
+      ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Store an object. Streams of unknown length are sent as a multipart upload.
+   * @param {string} key
+   * @param {Buffer|import('stream').Readable} body
+   * @param {{contentType?: string}} [options]
+   * @returns {Promise<{key: string, size: number}>}
+   */
+  async put(key, body, { contentType } = {}) {
+    let size = Buffer.isBuffer(body) ? body.length : 0;
+    const source = Buffer.isBuffer(body)
+      ? body
+      : body.pipe(new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      }));
+    if (!Buffer.isBuffer(body)) {
+      body.on('error', (error) => source.destroy(error));
+    }
+
+    await new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: source,
+        ...(contentType ? { ContentType: contentType } : {})
+      }
+    }).done();
+
+    return { key, size };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{size: number, lastModified: Date}|null>} null when missing
+   */
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return Boolean(await this.stat(key));
+  }
+
+  /**
+   * Read an object, optionally a byte range (inclusive).
+   * @param {string} key
+   * @param {{start?: number, end?: number}} [range]
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async createReadStream(key, { start, end } = {}) {
+    const hasRange = Number.isInteger(start) || Number.isInteger(end);
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ...(hasRange ? { Range: `bytes=${start || 0}-${Number.isInteger(end) ? end : ''}` } : {})
+    }));
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    return true;
+  }
+
+  async deletePrefix(prefix) {
+    const objects = await this.list(prefix);
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < objects.length; i += 1000) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: objects.slice(i, i + 1000).map((object) => ({ Key: this.objectKey(object.key) })),
+          Quiet: true
+        }
+      }));
+    }
+    return objects.length;
+  }
+
+  async move(fromKey, toKey) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(toKey),
+      CopySource: `${this.bucket}/${this.objectKey(fromKey).split('/').map(encodeURIComponent).join('/')}`
+    }));
+    await this.delete(fromKey);
+  }
+
+  /**
+   * List objects whose key starts with a prefix.
+   * @param {string} [prefix]
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list(prefix = '') {
+    const results = [];
+    const pages = paginateListObjectsV2(
+      { client: this.client },
+      { Bucket: this.bucket, Prefix: this.objectKey(prefix) }
+    );
+    for await (const page of pages) {
+      for (const object of page.Contents || []) {
+        results.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = S3Storage;
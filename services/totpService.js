@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either side
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'TSCS';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+/**
+ * TOTP Service
+ *
+ * Handles authenticator-app two-factor authentication (RFC 6238)
+ * - Generates and encrypts per-user TOTP secrets (AES-256-GCM)
+ * - Verifies 6-digit codes with ±1 step drift and replay protection
+ * - Issues single-use backup codes (stored as SHA-256 hashes)
+ */
+class TOTPService {
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding)
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @param {string} input
+   * @returns {Buffer}
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Derive the 256-bit key used to encrypt secrets at rest
+   * @returns {Buffer}
+   */
+  static getEncryptionKey() {
+    const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+
+  /**
+   * Encrypt a base32 secret for storage
+   * @param {string} secret
+   * @returns {string} iv:authTag:ciphertext (hex)
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+  }
+
+  /**
+   * Decrypt a stored secret
+   * @param {string} payload - iv:authTag:ciphertext (hex)
+   * @returns {string} base32 secret
+   */
+  static decryptSecret(payload) {
+    const [ivHex, tagHex, dataHex] = String(payload).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate a new random base32 secret (160 bits)
+   * @returns {string}
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Compute the TOTP code for a time step
+   * @param {string} secret - base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Current time step
+   * @returns {number}
+   */
+  static currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Verify a code against a secret
+   * @param {string} secret - base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} lastUsedStep - Last accepted step; codes at or before it are rejected
+   * @returns {number|null} Matched time step, or null if invalid
+   */
+  static verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.currentStep();
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI shown as a QR code by the client
+   * @param {string} secret - base32 secret
+   * @param {string} accountName - Usually the user's email
+   * @returns {string}
+   */
+  static buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Hash a backup code for storage/comparison
+   * @param {string} code
+   * @returns {string}
+   */
+  static hashBackupCode(code) {
+    const normalized = String(code || '').replace(/[\s-]+/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of backup codes
+   * @returns {{codes: string[], hashes: string[]}}
+   */
+  static generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map((code) => this.hashBackupCode(code)) };
+  }
+
+  /**
+   * Start (or restart) enrollment by storing a pending secret
+   * @param {string} userId - User ID
+   * @returns {Promise<{success: boolean, secret?: string, otpauthUrl?: string, error?: string}>}
+   */
+  static async startEnrollment(userId) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+      if (user.twoFactorEnabled) {
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+      }
+
+      const secret = this.generateSecret();
+      user.twoFactorPendingSecret = this.encryptSecret(secret);
+      await user.save();
+
+      return { success: true, secret, otpauthUrl: this.buildOtpauthUrl(secret, user.email) };
+    } catch (error) {
+      console.error('Start 2FA enrollment error:', error);
+      return { success: false, error: 'Failed to start two-factor setup' };
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<{success: boolean, backupCodes?: string[], error?: string}>}
+   */
+  static async confirmEnrollment(userId, code) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+      if (user.twoFactorEnabled) {
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+      }
+      if (!user.twoFactorPendingSecret) {
+        return { success: false, error: 'Two-factor setup has not been started' };
+      }
+
+      const secret = this.decryptSecret(user.twoFactorPendingSecret);
+      const step = this.verifyCode(secret, code);
+      if (step === null) {
+        return { success: false, error: 'Invalid authentication code' };
+      }
+
+      const { codes, hashes } = this.generateBackupCodes();
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorEnabled = true;
+      user.twoFactorEnabledAt = new Date();
+      user.twoFactorBackupCodes = hashes;
+      user.twoFactorLastUsedStep = step;
+      await user.save();
+
+      return { success: true, backupCodes: codes };
+    } catch (error) {
+      console.error('Confirm 2FA enrollment error:', error);
+      return { success: false, error: 'Failed to enable two-factor authentication' };
+    }
+  }
+
+  /**
+   * Verify a second factor for an enrolled user (TOTP code or backup code)
+   * Backup codes are consumed on use.
+   * @param {string} userId - User ID
+   * @param {{code?: string, backupCode?: string}} factor
+   * @returns {Promise<{success: boolean, usedBackupCode?: boolean, backupCodesRemaining?: number, error?: string}>}
+   */
+  static async verifySecondFactor(userId, { code, backupCode } = {}) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+      if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+        return { success: false, error: 'Two-factor authentication is not enabled' };
+      }
+
+      if (backupCode) {
+        const hash = this.hashBackupCode(backupCode);
+        const result = await User.updateOne(
+          { _id: user._id, twoFactorBackupCodes: hash },
+          { $pull: { twoFactorBackupCodes: hash } }
+        );
+        if (result.modifiedCount === 0) {
+          return { success: false, error: 'Invalid backup code' };
+        }
+        return {
+          success: true,
+          usedBackupCode: true,
+          backupCodesRemaining: user.twoFactorBackupCodes.length - 1
+        };
+      }
+
+      const secret = this.decryptSecret(user.twoFactorSecret);
+      const step = this.verifyCode(secret, code, user.twoFactorLastUsedStep);
+      if (step === null) {
+        return { success: false, error: 'Invalid authentication code' };
+      }
+
+      user.twoFactorLastUsedStep = step;
+      await user.save();
+
+      return { success: true, usedBackupCode: false, backupCodesRemaining: user.twoFactorBackupCodes.length };
+    } catch (error) {
+      console.error('Verify 2FA error:', error);
+      return { success: false, error: 'Verification failed' };
+    }
+  }
+
+  /**
+   * Replace all backup codes
+   * @param {string} userId - User ID
+   * @returns {Promise<{success: boolean, backupCodes?: string[], error?: string}>}
+   */
+  static async regenerateBackupCodes(userId) {
+    try {
+      const { codes, hashes } = this.generateBackupCodes();
+      const result = await User.updateOne(
+        { _id: userId, twoFactorEnabled: true },
+        { twoFactorBackupCodes: hashes }
+      );
+      if (result.matchedCount === 0) {
+        return { success: false, error: 'Two-factor authentication is not enabled' };
+      }
+      return { success: true, backupCodes: codes };
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error);
+      return { success: false, error: 'Failed to regenerate backup codes' };
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication and clear all secrets
+   * @param {string} userId - User ID
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  static async disable(userId) {
+    try {
+      await User.updateOne(
+        { _id: userId },
+        {
+          twoFactorEnabled: false,
+          twoFactorEnabledAt: null,
+          twoFactorSecret: null,
+          twoFactorPendingSecret: null,
+          twoFactorBackupCodes: [],
+          twoFactorLastUsedStep: null
+        }
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Disable 2FA error:', error);
+      return { success: false, error: 'Failed to disable two-factor authentication' };
+    }
+  }
+
+  /**
+   * Summary of a user's 2FA state (safe to return to the client)
+   * @param {string} userId - User ID
+   * @returns {Promise<{enabled: boolean, required: boolean, enabledAt: Date|null, backupCodesRemaining: number}|null>}
+   */
+  static async getStatus(userId) {
+    const user = await User.findById(userId).select('role twoFactorEnabled twoFactorEnabledAt +twoFactorBackupCodes');
+    if (!user) return null;
+    return {
+      enabled: user.twoFactorEnabled,
+      required: user.requiresTwoFactor(),
+      enabledAt: user.twoFactorEnabledAt,
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    };
+  }
+}
+
+module.exports = TOTPService;
@@ -0,0 +1,383 @@
+const Appeal = require('../models/Appeal');
+const AreaLeaderboard = require('../models/AreaLeaderboard');
+const CompetitionRound = require('../models/CompetitionRound');
+const Evaluation = require('../models/Evaluation');
+const EvaluationRevision = require('../models/EvaluationRevision');
+const Submission = require('../models/Submission');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+const JudgeReassignment = require('../models/JudgeReassignment');
+const notificationService = require('../services/notificationService');
+const { selectJudgeOutsidePanel } = require('./judgeAssignment');
+const { rebuildAreaLeaderboard, recalculateSubmissionAverageForRound } = require('./roundJudgementService');
+const { validateSubmissionScores } = require('./evaluationCriteria');
+const { applySubmissionGates } = require('./rubricGates');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('./logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+// Appeal window when the round does not set appealWindowDays
+const DEFAULT_APPEAL_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appeals still waiting on a judge or a decision
+const OPEN_APPEAL_STATUSES = ['submitted', 'assigned', 'regraded'];
+
+/**
+ * Days teachers have to appeal after publication; 0 means appeals are off.
+ * @param {Object} round - Round with appealWindowDays
+ * @returns {number}
+ */
+const resolveAppealWindowDays = (round) => {
+  const days = Number(round?.appealWindowDays);
+  return round?.appealWindowDays !== null
+    && round?.appealWindowDays !== undefined
+    && Number.isInteger(days)
+    && days >= 0
+    ? days
+    : DEFAULT_APPEAL_WINDOW_DAYS;
+};
+
+const getLeaderboardRoundId = (leaderboard) => leaderboard.metadata?.sourceRoundId || leaderboard.roundId;
+
+const getEntryScore = (leaderboard, submissionId) => {
+  const entry = (leaderboard?.entries || []).find(
+    (candidate) => String(candidate.submissionId) === String(submissionId)
+  );
+  return entry
+    ? { averageScore: entry.averageScore || 0, totalScore: entry.totalScore || 0, rank: entry.rank ?? null }
+    : null;
+};
+
+/**
+ * Whether a submission's published result can still be appealed. The result
+ * is the latest area leaderboard published to teachers that lists the
+ * submission; the window runs from its publication.
+ * @param {Object} submission
+ * @returns {Promise<{ eligible: boolean, status?: number, message?: string, leaderboard?: Object, round?: Object, deadline?: Date }>}
+ */
+const getAppealEligibility = async (submission) => {
+  const leaderboard = await AreaLeaderboard.findOne({
+    state: 'published',
+    publishedAudiences: 'teachers',
+    'entries.submissionId': submission._id
+  }).sort({ publishedAt: -1, _id: -1 });
+  if (!leaderboard || !leaderboard.publishedAt) {
+    return { eligible: false, status: 400, message: 'No published result to appeal for this submission' };
+  }
+
+  const round = await CompetitionRound.findById(getLeaderboardRoundId(leaderboard));
+  if (!round) {
+    return { eligible: false, status: 404, message: 'Competition round not found' };
+  }
+
+  const windowDays = resolveAppealWindowDays(round);
+  const deadline = new Date(leaderboard.publishedAt.getTime() + windowDays * DAY_MS);
+  if (windowDays === 0) {
+    return { eligible: false, status: 400, message: 'Appeals are not accepted for this round', leaderboard, round, deadline: null };
+  }
+  if (Date.now() > deadline.getTime()) {
+    return { eligible: false, status: 400, message: 'The appeal window for this result has closed', leaderboard, round, deadline };
+  }
+
+  const existing = await Appeal.exists({ submissionId: submission._id, leaderboardId: leaderboard._id });
+  if (existing) {
+    return { eligible: false, status: 409, message: 'This result has already been appealed', leaderboard, round, deadline };
+  }
+
+  return { eligible: true, leaderboard, round, deadline };
+};
+
+/**
+ * File a teacher's appeal against their submission's published result.
+ * @param {Object} submission
+ * @param {Object} options - { teacherId, reason }
+ * @returns {Promise<{ success: boolean, appeal?: Object, status?: number, message?: string }>}
+ */
+const fileAppeal = async (submission, { teacherId, reason }) => {
+  const eligibility = await getAppealEligibility(submission);
+  if (!eligibility.eligible) {
+    return { success: false, status: eligibility.status, message: eligibility.message };
+  }
+
+  const { leaderboard, round } = eligibility;
+  const appeal = await Appeal.create({
+    submissionId: submission._id,
+    teacherId,
+    roundId: round._id,
+    leaderboardId: leaderboard._id,
+    year: leaderboard.year,
+    level: leaderboard.level,
+    areaId: leaderboard.areaId,
+    region: submission.region || null,
+    council: submission.council || null,
+    reason,
+    originalScore: getEntryScore(leaderboard, submission._id)
+  });
+
+  logger.logSystemEvent(
+    'Result appeal filed',
+    null,
+    {
+      appealId: String(appeal._id),
+      submissionId: String(submission._id),
+      leaderboardId: String(leaderboard._id),
+      areaId: leaderboard.areaId
+    },
+    'info',
+    'create'
+  ).catch(() => {});
+
+  return { success: true, appeal, deadline: eligibility.deadline };
+};
+
+/**
+ * Hand an appeal to a judge who has never scored or been assigned the
+ * submission, from the same level, area and area of focus. Reassigning
+ * replaces a judge who has not regraded yet.
+ * @param {Object} appeal - Appeal document
+ * @param {Object} options - { assignedBy }
+ * @returns {Promise<{ success: boolean, appeal?: Object, status?: number, message?: string }>}
+ */
+const assignAppealJudge = async (appeal, { assignedBy }) => {
+  if (!['submitted', 'assigned'].includes(appeal.status)) {
+    return { success: false, status: 400, message: `Appeal is already ${appeal.status}` };
+  }
+
+  const [submission, round] = await Promise.all([
+    Submission.findById(appeal.submissionId),
+    CompetitionRound.findById(appeal.roundId)
+  ]);
+  if (!submission || !round) {
+    return { success: false, status: 404, message: 'Submission or round for this appeal no longer exists' };
+  }
+
+  const [evaluatedJudgeIds, assignedJudgeIds, recusedJudgeIds, appealJudgeIds] = await Promise.all([
+    Evaluation.distinct('judgeId', { submissionId: submission._id }),
+    SubmissionAssignment.distinct('judgeId', { submissionId: submission._id }),
+    JudgeReassignment.distinct('fromJudgeId', { submissionId: submission._id, reason: 'judge_recused' }),
+    Appeal.distinct('assignedJudgeId', { submissionId: submission._id })
+  ]);
+  const excludedJudgeIds = new Set(
+    [...evaluatedJudgeIds, ...assignedJudgeIds, ...recusedJudgeIds, ...appealJudgeIds]
+      .filter(Boolean)
+      .map((judgeId) => String(judgeId))
+  );
+
+  const selection = await selectJudgeOutsidePanel(submission, round, {
+    excludedJudgeIds,
+    enforceCapacity: false,
+    noJudgeMessage: 'No judge who has not already seen this submission is available to review the appeal'
+  });
+  if (!selection.judge) {
+    return { success: false, status: 409, message: selection.error };
+  }
+
+  appeal.assignedJudgeId = selection.judge._id;
+  appeal.assignedBy = assignedBy;
+  appeal.assignedAt = new Date();
+  appeal.status = 'assigned';
+  await appeal.save();
+
+  await notificationService.emit('SYSTEM_NOTIFICATION', {
+    userId: selection.judge._id,
+    title: 'Appeal regrade assigned',
+    message: `You have been asked to regrade an appealed ${submission.level} submission: ${submission.subject} - ${submission.areaOfFocus}.`,
+    metadata: {
+      event: 'appeal_regrade_assigned',
+      appealId: String(appeal._id),
+      submissionId: String(submission._id)
+    },
+    sendEmail: true
+  });
+
+  return { success: true, appeal };
+};
+
+/**
+ * Record the assigned judge's regrade. Scores are checked against the
+ * submission's criteria; nothing changes on the leaderboard until an admin
+ * decides the appeal.
+ * @param {Object} appeal - Appeal document
+ * @param {Object} options - { judgeId, scores, comments }
+ * @returns {Promise<{ success: boolean, appeal?: Object, status?: number, message?: string }>}
+ */
+const submitAppealRegrade = async (appeal, { judgeId, scores, comments }) => {
+  if (String(appeal.assignedJudgeId) !== String(judgeId)) {
+    return { success: false, status: 403, message: 'This appeal is not assigned to you' };
+  }
+  if (!['assigned', 'regraded'].includes(appeal.status)) {
+    return { success: false, status: 400, message: `Appeal is already ${appeal.status}` };
+  }
+
+  const submission = await Submission.findById(appeal.submissionId);
+  if (!submission) {
+    return { success: false, status: 404, message: 'Submission not found' };
+  }
+
+  const verdict = await validateSubmissionScores(submission, scores || {});
+  if (!verdict.ok) {
+    return { success: false, status: 400, message: verdict.message };
+  }
+
+  appeal.regrade = {
+    scores,
+    totalScore: verdict.totalScore,
+    averageScore: verdict.averageScore,
+    comments: comments || '',
+    gates: verdict.gates,
+    rubricVersion: verdict.rubricVersion,
+    submittedAt: new Date()
+  };
+  appeal.status = 'regraded';
+  await appeal.save();
+
+  return { success: true, appeal };
+};
+
+/**
+ * Decide a regraded appeal. Upholding it saves the regrade as a moderating
+ * evaluation (averaged into the score without taking a panel seat), re-checks
+ * the rubric's gate criteria and rebuilds the area leaderboard; rejecting it
+ * leaves the result as published.
+ * The teacher is notified either way. Promotions already made from the
+ * leaderboard are not redone.
+ * @param {Object} appeal - Appeal document
+ * @param {Object} options - { decision: 'upheld'|'rejected', notes, decidedBy }
+ * @returns {Promise<{ success: boolean, appeal?: Object, leaderboard?: Object, status?: number, message?: string }>}
+ */
+const decideAppeal = async (appeal, { decision, notes = '', decidedBy }) => {
+  if (!['upheld', 'rejected'].includes(decision)) {
+    return { success: false, status: 400, message: 'Decision must be upheld or rejected' };
+  }
+  if (appeal.status !== 'regraded') {
+    return {
+      success: false,
+      status: 400,
+      message: OPEN_APPEAL_STATUSES.includes(appeal.status)
+        ? 'The appeal must be regraded before it can be decided'
+        : `Appeal is already ${appeal.status}`
+    };
+  }
+
+  const [submission, leaderboardBefore] = await Promise.all([
+    Submission.findById(appeal.submissionId).select('teacherId subject areaOfFocus level'),
+    AreaLeaderboard.findById(appeal.leaderboardId)
+  ]);
+  const previousScore = getEntryScore(leaderboardBefore, appeal.submissionId) || appeal.originalScore;
+  let newScore = previousScore;
+  let leaderboard = leaderboardBefore;
+
+  if (decision === 'upheld') {
+    const evaluation = await Evaluation.create({
+      year: appeal.year,
+      level: appeal.level,
+      roundId: appeal.roundId,
+      submissionId: appeal.submissionId,
+      judgeId: appeal.assignedJudgeId,
+      scores: appeal.regrade.scores,
+      totalScore: appeal.regrade.totalScore,
+      averageScore: appeal.regrade.averageScore,
+      comments: appeal.regrade.comments,
+      isModeration: true,
+      appealId: appeal._id,
+      gates: appeal.regrade.gates || [],
+      rubricVersion: appeal.regrade.rubricVersion,
+      submittedAt: appeal.regrade.submittedAt
+    });
+    await EvaluationRevision.create({
+      evaluationId: evaluation._id,
+      roundId: evaluation.roundId,
+      submissionId: evaluation.submissionId,
+      judgeId: evaluation.judgeId,
+      changedBy: decidedBy,
+      action: 'created',
+      previous: null,
+      next: {
+        scores: appeal.regrade.scores,
+        totalScore: evaluation.totalScore,
+        averageScore: evaluation.averageScore,
+        comments: evaluation.comments || '',
+        rubricVersion: evaluation.rubricVersion
+      },
+      reason: `Appeal upheld${notes ? `: ${notes}` : ''}`.slice(0, 1000)
+    });
+    appeal.evaluationId = evaluation._id;
+
+    const round = await CompetitionRound.findById(appeal.roundId).select('_id year level panelSize');
+    if (round) await applySubmissionGates(appeal.submissionId, round);
+    await recalculateSubmissionAverageForRound(appeal.submissionId, appeal.roundId);
+    leaderboard = await rebuildAreaLeaderboard(appeal.roundId, appeal.areaId, { forceUnlocked: true });
+    newScore = getEntryScore(leaderboard, appeal.submissionId) || previousScore;
+  }
+
+  const scoreChanged = Boolean(previousScore && newScore)
+    && (previousScore.totalScore !== newScore.totalScore || previousScore.averageScore !== newScore.averageScore);
+  appeal.status = decision;
+  appeal.outcome = {
+    decision,
+    notes,
+    decidedBy,
+    decidedAt: new Date(),
+    previousScore,
+    newScore,
+    scoreChanged
+  };
+  await appeal.save();
+
+  if (submission?.teacherId) {
+    const scoreMessage = scoreChanged
+      ? ` Your score changed from ${previousScore.averageScore} to ${newScore.averageScore}.`
+      : ' Your score is unchanged.';
+    await notificationService.emit('SYSTEM_NOTIFICATION', {
+      userId: submission.teacherId,
+      title: decision === 'upheld' ? 'Appeal upheld' : 'Appeal not upheld',
+      message: `Your appeal for ${submission.subject} - ${submission.areaOfFocus} was ${decision === 'upheld' ? 'upheld' : 'not upheld'}.${scoreMessage}${notes ? ` ${notes}` : ''}`,
+      metadata: {
+        event: 'appeal_decided',
+        appealId: String(appeal._id),
+        submissionId: String(appeal.submissionId),
+        decision,
+        scoreChanged
+      },
+      sendEmail: true
+    });
+  }
+
+  logger.logSystemEvent(
+    `Result appeal ${decision}`,
+    null,
+    {
+      appealId: String(appeal._id),
+      submissionId: String(appeal.submissionId),
+      areaId: appeal.areaId,
+      decidedBy: decidedBy ? String(decidedBy) : null,
+      previousScore,
+      newScore,
+      scoreChanged
+    },
+    'info',
+    'update'
+  ).catch(() => {});
+
+  return { success: true, appeal, leaderboard };
+};
+
+module.exports = {
+  DEFAULT_APPEAL_WINDOW_DAYS,
+  OPEN_APPEAL_STATUSES,
+  resolveAppealWindowDays,
+  getAppealEligibility,
+  fileAppeal,
+  assignAppealJudge,
+  submitAppealRegrade,
+  decideAppeal
+};
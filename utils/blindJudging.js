@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const CompetitionRound = require('../models/CompetitionRound');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+
+// Submission fields that identify the teacher or their files; hidden from judges in blind rounds
+const BLIND_REDACTED_FIELDS = [
+  'teacherId',
+  'teacherName',
+  'teacherEmail',
+  'school',
+  'lessonPlanFileName',
+  'lessonPlanFileUrl',
+  'videoFileName',
+  'videoFileUrl',
+  'lessonPlanContentHash',
+  'videoContentHash',
+  'duplicateMedia',
+  'mediaIntegrity',
+  'disqualifiedBy'
+];
+
+/**
+ * IDs of the given rounds that have blind judging on.
+ * @param {Array<ObjectId|string|null>} roundIds
+ * @returns {Promise<Set<string>>}
+ */
+const getBlindRoundIds = async (roundIds) => {
+  const ids = [...new Set(roundIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Set();
+  const rounds = await CompetitionRound.find({ _id: { $in: ids }, blindJudging: true }).select('_id').lean();
+  return new Set(rounds.map((round) => String(round._id)));
+};
+
+/**
+ * Whether a judge reads this round's submissions blind. Always false for
+ * admins and other roles.
+ * @param {Object} user
+ * @param {ObjectId|string|null} roundId
+ * @returns {Promise<boolean>}
+ */
+const isBlindForUser = async (user, roundId) => {
+  if (user?.role !== 'judge' || !roundId) return false;
+  return (await getBlindRoundIds([roundId])).size > 0;
+};
+
+/**
+ * Whether a judge sees a submission blind, judged by the round of their
+ * latest assignment to it.
+ * @param {Object} user
+ * @param {ObjectId|string} submissionId
+ * @returns {Promise<boolean>}
+ */
+const isSubmissionBlindForJudge = async (user, submissionId) => {
+  if (user?.role !== 'judge') return false;
+  const assignment = await SubmissionAssignment.findOne({ submissionId, judgeId: user._id })
+    .sort({ assignedAt: -1, createdAt: -1, _id: -1 })
+    .select('roundId')
+    .lean();
+  return isBlindForUser(user, assignment?.roundId);
+};
+
+/**
+ * Copy of a submission without identifying fields. `hasLessonPlan`/`hasVideo`
+ * tell the client which media to request through the opaque media URLs.
+ * @param {Object} submission - Submission document or plain object
+ * @returns {Object}
+ */
+const redactSubmissionForBlindJudging = (submission) => {
+  if (!submission) return submission;
+  const plain = (typeof submission.toObject === 'function')
+    ? submission.toObject()
+    : { ...submission };
+  const hasLessonPlan = Boolean(plain.lessonPlanFileUrl || plain.lessonPlanFileName);
+  const hasVideo = Boolean(plain.videoFileUrl || plain.videoFileName);
+  for (const field of BLIND_REDACTED_FIELDS) {
+    delete plain[field];
+  }
+  return { ...plain, hasLessonPlan, hasVideo, blindJudging: true };
+};
+
+/**
+ * Redact the populated submission on evaluations belonging to blind rounds.
+ * @param {Array} evaluations - Evaluation documents with submissionId populated
+ * @param {Object} user - Reader; only judges are redacted
+ * @returns {Promise<Array>} Plain evaluations
+ */
+const redactEvaluationsForJudge = async (evaluations, user) => {
+  const plainEvaluations = evaluations.map((evaluation) => (
+    typeof evaluation?.toObject === 'function' ? evaluation.toObject() : evaluation
+  ));
+  if (user?.role !== 'judge') return plainEvaluations;
+
+  const blindRoundIds = await getBlindRoundIds(
+    plainEvaluations.map((evaluation) => evaluation?.roundId?._id || evaluation?.roundId)
+  );
+  return plainEvaluations.map((evaluation) => {
+    const roundId = String(evaluation?.roundId?._id || evaluation?.roundId || '');
+    const submission = evaluation?.submissionId;
+    if (!blindRoundIds.has(roundId) || !submission || submission instanceof mongoose.Types.ObjectId) {
+      return evaluation;
+    }
+    return { ...evaluation, submissionId: redactSubmissionForBlindJudging(submission) };
+  });
+};
+
+module.exports = {
+  BLIND_REDACTED_FIELDS,
+  getBlindRoundIds,
+  isBlindForUser,
+  isSubmissionBlindForJudge,
+  redactSubmissionForBlindJudging,
+  redactEvaluationsForJudge
+};
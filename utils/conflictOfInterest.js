@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Fields needed on judge and submission documents to evaluate conflicts
+const JUDGE_CONFLICT_FIELDS = 'name school conflictsOfInterest';
+const SUBMISSION_CONFLICT_FIELDS = 'teacherId teacherName school';
+
+const normalizeSchoolName = (value) => (
+  value === null || value === undefined
+    ? ''
+    : String(value).replace(/\s+/g, ' ').trim().toLowerCase()
+);
+
+const schoolsEqual = (left, right) => {
+  const normalizedLeft = normalizeSchoolName(left);
+  return Boolean(normalizedLeft) && normalizedLeft === normalizeSchoolName(right);
+};
+
+/**
+ * Reasons a judge may not score a submission:
+ * - same_school: the judge's profile school is the submission's school
+ * - declared_teacher: the judge declared a relationship with the submitting teacher
+ * - declared_school: the judge declared a conflict with the submission's school
+ * @param {Object} judge - User with school and conflictsOfInterest
+ * @param {Object} submission - Submission with teacherId and school
+ * @returns {Array<{ reason: string, relationship?: string, declarationId?: string }>}
+ */
+const getJudgeConflicts = (judge, submission) => {
+  if (!judge || !submission) return [];
+
+  const conflicts = [];
+  if (schoolsEqual(judge.school, submission.school)) {
+    conflicts.push({ reason: 'same_school' });
+  }
+
+  const teacherId = String(submission.teacherId?._id || submission.teacherId || '');
+  for (const declaration of judge.conflictsOfInterest || []) {
+    if (declaration.teacherId && teacherId && String(declaration.teacherId) === teacherId) {
+      conflicts.push({
+        reason: 'declared_teacher',
+        relationship: declaration.relationship,
+        declarationId: declaration._id ? String(declaration._id) : undefined
+      });
+    } else if (declaration.school && schoolsEqual(declaration.school, submission.school)) {
+      conflicts.push({
+        reason: 'declared_school',
+        relationship: declaration.relationship,
+        declarationId: declaration._id ? String(declaration._id) : undefined
+      });
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Exclusion entry stored in SubmissionAssignment.metadata.conflictExclusions.
+ * @param {Object} judge
+ * @param {Array} conflicts - Result of getJudgeConflicts
+ */
+const buildConflictExclusion = (judge, conflicts) => ({
+  judgeId: judge._id,
+  judgeName: judge.name,
+  reasons: conflicts.map((conflict) => conflict.reason),
+  conflicts,
+  excludedAt: new Date()
+});
+
+/**
+ * Split candidate judges into those free to score a submission and the
+ * exclusions for those with a conflict of interest.
+ * @param {Array} judges
+ * @param {Object} submission
+ * @returns {{ eligible: Array, exclusions: Array }}
+ */
+const partitionJudgesByConflict = (judges, submission) => {
+  const eligible = [];
+  const exclusions = [];
+  for (const judge of judges) {
+    const conflicts = getJudgeConflicts(judge, submission);
+    if (conflicts.length > 0) {
+      exclusions.push(buildConflictExclusion(judge, conflicts));
+    } else {
+      eligible.push(judge);
+    }
+  }
+  return { eligible, exclusions };
+};
+
+const describeConflicts = (conflicts) => {
+  const labels = {
+    same_school: 'judge is from the same school',
+    declared_teacher: 'judge declared a relationship with the teacher',
+    declared_school: 'judge declared a conflict with the school'
+  };
+  return [...new Set(conflicts.map((conflict) => labels[conflict.reason] || conflict.reason))].join(', ');
+};
+
+/**
+ * Validate and store a conflict-of-interest declaration on a judge.
+ * @param {Object} judge - Judge user document
+ * @param {Object} input - { teacherId?, school?, relationship?, note? }; a teacher or a school is required
+ * @param {Object} declaredBy - User making the declaration (the judge or an admin)
+ * @returns {Promise<{ success: boolean, declaration?: Object, statusCode?: number, message?: string }>}
+ */
+const addConflictDeclaration = async (judge, input = {}, declaredBy) => {
+  if (!judge || judge.role !== 'judge') {
+    return { success: false, statusCode: 400, message: 'Conflicts of interest can only be declared for judges' };
+  }
+
+  const { teacherId, relationship, note } = input;
+  const school = typeof input.school === 'string' ? input.school.trim() : '';
+  if (!teacherId && !school) {
+    return { success: false, statusCode: 400, message: 'Declare either a teacher or a school' };
+  }
+
+  let teacher = null;
+  if (teacherId) {
+    if (!mongoose.Types.ObjectId.isValid(teacherId)) {
+      return { success: false, statusCode: 400, message: 'Invalid teacher ID' };
+    }
+    teacher = await User.findOne({ _id: teacherId, role: 'teacher', isDeleted: { $ne: true } }).select('_id name school');
+    if (!teacher) {
+      return { success: false, statusCode: 404, message: 'Teacher not found' };
+    }
+  }
+
+  const duplicate = (judge.conflictsOfInterest || []).some((declaration) => (
+    teacher
+      ? declaration.teacherId && String(declaration.teacherId) === String(teacher._id)
+      : !declaration.teacherId && schoolsEqual(declaration.school, school)
+  ));
+  if (duplicate) {
+    return { success: false, statusCode: 409, message: 'This conflict of interest is already declared' };
+  }
+
+  judge.conflictsOfInterest.push({
+    teacherId: teacher ? teacher._id : null,
+    school: teacher ? null : school,
+    relationship: relationship || 'other',
+    note: typeof note === 'string' ? note.trim() : '',
+    declaredBy: declaredBy?._id || null,
+    declaredAt: new Date()
+  });
+
+  try {
+    await judge.save({ validateModifiedOnly: true });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, statusCode: 400, message: error.message };
+    }
+    throw error;
+  }
+
+  return { success: true, declaration: judge.conflictsOfInterest[judge.conflictsOfInterest.length - 1] };
+};
+
+/**
+ * A judge's declarations with teacher names, for display.
+ * @param {string} judgeId
+ * @returns {Promise<Array>}
+ */
+const listConflictDeclarations = async (judgeId) => {
+  const judge = await User.findById(judgeId)
+    .select('conflictsOfInterest school')
+    .populate('conflictsOfInterest.teacherId', 'name school')
+    .populate('conflictsOfInterest.declaredBy', 'name role')
+    .lean();
+  return {
+    school: judge?.school || null,
+    declarations: judge?.conflictsOfInterest || []
+  };
+};
+
+module.exports = {
+  JUDGE_CONFLICT_FIELDS,
+  SUBMISSION_CONFLICT_FIELDS,
+  getJudgeConflicts,
+  buildConflictExclusion,
+  partitionJudgesByConflict,
+  describeConflicts,
+  addConflictDeclaration,
+  listConflictDeclarations
+};
@@ -1,8 +1,64 @@
 /**
- * Weighted evaluation criteria: validation, normalization, leaf flattening, score checks.
+ * Weighted evaluation criteria: validation, normalization, performance levels, gate criteria, leaf flattening, score checks.
  */
 
+const Competition = require('../models/Competition');
+const RubricVersion = require('../models/RubricVersion');
+
 const DEFAULT_MAX_POINTS = 10;
+const DEFAULT_WEIGHT = 1;
+
+/**
+ * Check a criterion's performance levels: each needs a label and a point
+ * range within 0..maxPoints, and ranges may not overlap.
+ * @param {Array} levels - raw levels from API
+ * @param {number} maxPoints - maximum of the criterion they describe
+ * @param {string} key - criterion key, for messages
+ * @returns {{ ok: boolean, message?: string, normalized?: Array }}
+ */
+function validateAndNormalizePerformanceLevels(levels, maxPoints, key) {
+  if (levels === undefined || levels === null) {
+    return { ok: true, normalized: [] };
+  }
+  if (!Array.isArray(levels)) {
+    return { ok: false, message: `levels for ${key} must be an array` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < levels.length; i++) {
+    const l = levels[i];
+    const label = l && typeof l.label === 'string' ? l.label.trim() : '';
+    if (!label) {
+      return { ok: false, message: `Performance level needs a label (${key}, index ${i})` };
+    }
+    const minPoints = Number(l.minPoints);
+    const maxLevelPoints = Number(l.maxPoints);
+    if (!Number.isFinite(minPoints) || !Number.isFinite(maxLevelPoints)
+      || minPoints < 0 || minPoints > maxLevelPoints || maxLevelPoints > maxPoints + 1e-9) {
+      return {
+        ok: false,
+        message: `Performance level "${label}" of ${key} needs a point range within 0-${maxPoints}`
+      };
+    }
+    normalized.push({
+      label,
+      minPoints,
+      maxPoints: maxLevelPoints,
+      description: typeof l.description === 'string' ? l.description.trim() : ''
+    });
+  }
+
+  normalized.sort((a, b) => a.minPoints - b.minPoints);
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].minPoints <= normalized[i - 1].maxPoints) {
+      return {
+        ok: false,
+        message: `Performance levels "${normalized[i - 1].label}" and "${normalized[i].label}" of ${key} overlap`
+      };
+    }
+  }
+  return { ok: true, normalized };
+}
 
 /**
  * @param {Array} criteria - raw criteria from API
@@ -61,12 +117,17 @@ function validateAndNormalizeEvaluationCriteria(criteria) {
         if (!Number.isFinite(sm) || sm <= 0) {
           return { ok: false, message: `Subcriterion ${sk} needs maxPoints > 0` };
         }
+        const subLevels = validateAndNormalizePerformanceLevels(s.levels, sm, sk);
+        if (!subLevels.ok) {
+          return subLevels;
+        }
         subSum += sm;
         subcriteria.push({
           key: sk,
           label: sl,
           order: Number.isFinite(Number(s.order)) ? Number(s.order) : j,
-          maxPoints: sm
+          maxPoints: sm,
+          levels: subLevels.normalized
         });
       }
       if (Math.abs(subSum - maxPoints) > 1e-9) {
@@ -77,11 +138,35 @@ function validateAndNormalizeEvaluationCriteria(criteria) {
       }
     }
 
+    let weight = DEFAULT_WEIGHT;
+    if (c.weight !== undefined && c.weight !== null) {
+      weight = Number(c.weight);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        return { ok: false, message: `Criterion ${key} needs weight > 0` };
+      }
+    }
+
+    let passMark = null;
+    if (c.passMark !== undefined && c.passMark !== null) {
+      passMark = Number(c.passMark);
+      if (!Number.isFinite(passMark) || passMark <= 0 || passMark > maxPoints + 1e-9) {
+        return { ok: false, message: `Criterion ${key} needs a passMark between 0 and ${maxPoints}` };
+      }
+    }
+
+    const levels = validateAndNormalizePerformanceLevels(c.levels, maxPoints, key);
+    if (!levels.ok) {
+      return levels;
+    }
+
     normalized.push({
       key,
       label,
       order,
       maxPoints,
+      weight,
+      passMark,
+      levels: levels.normalized,
       subcriteria
     });
   }
@@ -90,33 +175,53 @@ function validateAndNormalizeEvaluationCriteria(criteria) {
 }
 
 /**
- * Walk Competition document to area evaluation criteria array (same as GET route).
+ * Find a competition area's document (same walk as the GET route).
  */
-function getEvaluationCriteriaFromCompetition(competition, categoryName, classLevel, subjectName, areaName) {
+function getAreaOfFocusFromCompetition(competition, categoryName, classLevel, subjectName, areaName) {
   if (!competition) return null;
   const categoryObj = competition.categories.find((c) => c.name === categoryName);
-  if (!categoryObj) return null;
-  const classObj = categoryObj.classes.find((c) => c.name === classLevel);
-  if (!classObj) return null;
-  const subjectObj = classObj.subjects.find((s) => s.name === subjectName);
-  if (!subjectObj) return null;
-  const areaObj = subjectObj.areasOfFocus.find((a) => a.name === areaName);
+  const classObj = categoryObj && categoryObj.classes.find((c) => c.name === classLevel);
+  const subjectObj = classObj && classObj.subjects.find((s) => s.name === subjectName);
+  return (subjectObj && subjectObj.areasOfFocus.find((a) => a.name === areaName)) || null;
+}
+
+/**
+ * Walk Competition document to area evaluation criteria array (same as GET route).
+ */
+function getEvaluationCriteriaFromCompetition(competition, categoryName, classLevel, subjectName, areaName) {
+  const areaObj = getAreaOfFocusFromCompetition(competition, categoryName, classLevel, subjectName, areaName);
   if (!areaObj) return null;
   return areaObj.evaluationCriteria || [];
 }
 
+const resolveWeight = (criterion) => (Number(criterion.weight) > 0 ? Number(criterion.weight) : DEFAULT_WEIGHT);
+
+const roundScore = (value) => Math.round(value * 1000000) / 1000000;
+
 /**
  * @param {Array} criteria - normalized criteria
- * @returns {number} sum of top-level maxPoints
+ * @returns {number} sum of top-level maxPoints, each times its criterion weight
  */
 function maxRubricTotal(criteria) {
   if (!Array.isArray(criteria)) return 0;
-  return criteria.reduce((sum, c) => sum + (Number(c.maxPoints) || 0), 0);
+  return roundScore(criteria.reduce((sum, c) => sum + (Number(c.maxPoints) || 0) * resolveWeight(c), 0));
+}
+
+/**
+ * The performance level a number of points falls in, or null if none covers it.
+ * @param {Array} levels - normalized levels of a criterion or subcriterion
+ * @param {number} points
+ * @returns {Object|null}
+ */
+function findPerformanceLevel(levels, points) {
+  if (!Array.isArray(levels)) return null;
+  return levels.find((l) => points >= l.minPoints - 1e-9 && points <= l.maxPoints + 1e-9) || null;
 }
 
 /**
  * Flatten to scored leaves: parent without subcriteria -> one leaf; with subcriteria -> each sub.
- * @returns {Array<{ key: string, label: string, maxPoints: number, displayPath: string }>}
+ * Each leaf carries its parent's key and weight.
+ * @returns {Array<{ key: string, label: string, maxPoints: number, displayPath: string, criterionKey: string, weight: number, levels: Array }>}
  */
 function flattenLeafDescriptors(criteria) {
   if (!Array.isArray(criteria)) return [];
@@ -130,7 +235,10 @@ function flattenLeafDescriptors(criteria) {
         key: c.key,
         label: c.label,
         maxPoints: mp,
-        displayPath: c.label
+        displayPath: c.label,
+        criterionKey: c.key,
+        weight: resolveWeight(c),
+        levels: c.levels || []
       });
     } else {
       const subSorted = [...subs].sort((a, b) => (a.order || 0) - (b.order || 0));
@@ -140,7 +248,10 @@ function flattenLeafDescriptors(criteria) {
           key: s.key,
           label: s.label,
           maxPoints: mp,
-          displayPath: `${c.label} › ${s.label}`
+          displayPath: `${c.label} › ${s.label}`,
+          criterionKey: c.key,
+          weight: resolveWeight(c),
+          levels: s.levels || []
         });
       }
     }
@@ -149,9 +260,48 @@ function flattenLeafDescriptors(criteria) {
 }
 
 /**
+ * Points per top-level criterion (its subcriteria summed), unweighted.
+ * @param {Object} scores - plain object key -> number, already validated
+ * @param {Array} criteria - normalized criteria from DB
+ * @returns {Map<string, number>}
+ */
+function criterionPoints(scores, criteria) {
+  const points = new Map();
+  for (const leaf of flattenLeafDescriptors(criteria)) {
+    const v = scores[leaf.key];
+    const val = typeof v === 'number' ? v : parseFloat(v);
+    points.set(leaf.criterionKey, (points.get(leaf.criterionKey) || 0) + (Number.isFinite(val) ? val : 0));
+  }
+  return points;
+}
+
+/**
+ * Pass/fail result of each gate criterion (one with a passMark).
+ * @returns {Array<{ key: string, label: string, points: number, passMark: number, passed: boolean }>}
+ */
+function evaluateGateCriteria(scores, criteria) {
+  if (!Array.isArray(criteria)) return [];
+  const points = criterionPoints(scores, criteria);
+  return criteria
+    .filter((c) => Number(c.passMark) > 0)
+    .map((c) => {
+      const criterionTotal = roundScore(points.get(c.key) || 0);
+      return {
+        key: c.key,
+        label: c.label,
+        points: criterionTotal,
+        passMark: Number(c.passMark),
+        passed: criterionTotal >= Number(c.passMark) - 1e-9
+      };
+    });
+}
+
+/**
+ * Complete score sheet check. totalScore weighs each criterion's points by
+ * its weight; averageScore is totalScore over the weighted maximum.
  * @param {Object} scores - plain object key -> number
  * @param {Array} criteria - normalized criteria from DB
- * @returns {{ ok: boolean, message?: string, totalScore?: number, averageScore?: number, maxTotal?: number }}
+ * @returns {{ ok: boolean, message?: string, totalScore?: number, averageScore?: number, maxTotal?: number, gates?: Array, failedGates?: string[] }}
  */
 function validateScoresAgainstCriteria(scores, criteria) {
   if (!scores || typeof scores !== 'object') {
@@ -188,17 +338,77 @@ function validateScoresAgainstCriteria(scores, criteria) {
   let totalScore = 0;
   for (const leaf of leaves) {
     const v = scores[leaf.key];
-    totalScore += typeof v === 'number' ? v : parseFloat(v);
+    totalScore += (typeof v === 'number' ? v : parseFloat(v)) * leaf.weight;
   }
+  totalScore = roundScore(totalScore);
 
-  const averageScore = maxTotal > 0 ? Math.round((totalScore / maxTotal) * 1000000) / 1000000 : 0;
+  const averageScore = maxTotal > 0 ? roundScore(totalScore / maxTotal) : 0;
+  const gates = evaluateGateCriteria(scores, criteria);
 
-  return { ok: true, totalScore, averageScore, maxTotal };
+  return {
+    ok: true,
+    totalScore,
+    averageScore,
+    maxTotal,
+    gates,
+    failedGates: gates.filter((g) => !g.passed).map((g) => g.key)
+  };
+}
+
+/**
+ * Check a partial score sheet (draft). Every key must be a known leaf and every
+ * value within range; missing leaves are allowed. Null or empty values count as
+ * not yet scored and are dropped.
+ * @param {Object} scores - plain object key -> number
+ * @param {Array} criteria - normalized criteria from DB
+ * @returns {{ ok: boolean, message?: string, scores?: Object, missing?: string[], complete?: boolean }}
+ */
+function validatePartialScoresAgainstCriteria(scores, criteria) {
+  if (!scores || typeof scores !== 'object') {
+    return { ok: false, message: 'scores must be an object' };
+  }
+
+  const leaves = flattenLeafDescriptors(criteria);
+  const leafByKey = new Map(leaves.map((l) => [l.key, l]));
+  const cleaned = {};
+
+  for (const [key, raw] of Object.entries(scores)) {
+    const leaf = leafByKey.get(key);
+    if (!leaf) {
+      return { ok: false, message: `Unknown score key: ${key}` };
+    }
+    if (raw === null || raw === undefined || raw === '') continue;
+    const val = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!Number.isFinite(val) || val < 0) {
+      return { ok: false, message: `Invalid score for ${leaf.displayPath}` };
+    }
+    if (val > leaf.maxPoints + 1e-9) {
+      return {
+        ok: false,
+        message: `Score for ${leaf.displayPath} exceeds maximum (${leaf.maxPoints})`
+      };
+    }
+    cleaned[key] = val;
+  }
+
+  const missing = leaves.filter((l) => !Object.prototype.hasOwnProperty.call(cleaned, l.key)).map((l) => l.key);
+  return { ok: true, scores: cleaned, missing, complete: missing.length === 0 };
 }
 
 /**
  * Normalize criteria as stored in DB (legacy docs may omit maxPoints / subcriteria).
  */
+const normalizeStoredLevels = (levels) => (Array.isArray(levels)
+  ? levels
+    .map((l) => ({
+      label: String(l.label || '').trim(),
+      minPoints: Number(l.minPoints) || 0,
+      maxPoints: Number(l.maxPoints) || 0,
+      description: String(l.description || '').trim()
+    }))
+    .sort((a, b) => a.minPoints - b.minPoints)
+  : []);
+
 function normalizeStoredCriteria(criteria) {
   if (!Array.isArray(criteria)) return [];
   return criteria.map((c, i) => {
@@ -207,7 +417,8 @@ function normalizeStoredCriteria(criteria) {
       key: String(s.key || '').trim(),
       label: String(s.label || '').trim(),
       order: s.order != null ? Number(s.order) : j,
-      maxPoints: Number(s.maxPoints) > 0 ? Number(s.maxPoints) : DEFAULT_MAX_POINTS
+      maxPoints: Number(s.maxPoints) > 0 ? Number(s.maxPoints) : DEFAULT_MAX_POINTS,
+      levels: normalizeStoredLevels(s.levels)
     }));
     let maxPoints = Number(c.maxPoints) > 0 ? Number(c.maxPoints) : DEFAULT_MAX_POINTS;
     if (subs.length > 0) {
@@ -221,17 +432,154 @@ function normalizeStoredCriteria(criteria) {
       label: String(c.label || '').trim(),
       order: c.order != null ? Number(c.order) : i,
       maxPoints,
+      weight: resolveWeight(c),
+      passMark: Number(c.passMark) > 0 ? Number(c.passMark) : null,
+      levels: normalizeStoredLevels(c.levels),
       subcriteria: subs
     };
   });
 }
 
+/**
+ * Compare two normalized rubrics by scored leaf and criterion. Adding or
+ * removing a leaf, changing its maximum, changing a criterion's weight, or
+ * adding, removing or moving a pass mark is destructive: totals and gates
+ * scored against the old rubric no longer match the new one.
+ * @param {Array} previous - normalized criteria
+ * @param {Array} next - normalized criteria
+ * @returns {{ changed: boolean, destructive: boolean, addedKeys: string[], removedKeys: string[], loweredKeys: string[], raisedKeys: string[], reweightedKeys: string[], gateChangedKeys: string[] }}
+ */
+function diffEvaluationCriteria(previous, next) {
+  const previousLeaves = new Map(flattenLeafDescriptors(previous).map((l) => [l.key, l]));
+  const nextLeaves = new Map(flattenLeafDescriptors(next).map((l) => [l.key, l]));
+
+  const addedKeys = [...nextLeaves.keys()].filter((key) => !previousLeaves.has(key));
+  const removedKeys = [...previousLeaves.keys()].filter((key) => !nextLeaves.has(key));
+  const loweredKeys = [...nextLeaves.values()]
+    .filter((l) => previousLeaves.has(l.key) && l.maxPoints < previousLeaves.get(l.key).maxPoints - 1e-9)
+    .map((l) => l.key);
+  const raisedKeys = [...nextLeaves.values()]
+    .filter((l) => previousLeaves.has(l.key) && l.maxPoints > previousLeaves.get(l.key).maxPoints + 1e-9)
+    .map((l) => l.key);
+
+  const previousCriteria = new Map(normalizeStoredCriteria(previous).map((c) => [c.key, c]));
+  const keptCriteria = normalizeStoredCriteria(next).filter((c) => previousCriteria.has(c.key));
+  const reweightedKeys = keptCriteria
+    .filter((c) => Math.abs(c.weight - previousCriteria.get(c.key).weight) > 1e-9)
+    .map((c) => c.key);
+  const gateChangedKeys = keptCriteria
+    .filter((c) => Math.abs((c.passMark || 0) - (previousCriteria.get(c.key).passMark || 0)) > 1e-9)
+    .map((c) => c.key);
+
+  const changed = JSON.stringify(normalizeStoredCriteria(previous)) !== JSON.stringify(normalizeStoredCriteria(next));
+  return {
+    changed,
+    destructive: [addedKeys, removedKeys, loweredKeys, raisedKeys, reweightedKeys, gateChangedKeys]
+      .some((keys) => keys.length > 0),
+    addedKeys,
+    removedKeys,
+    loweredKeys,
+    raisedKeys,
+    reweightedKeys,
+    gateChangedKeys
+  };
+}
+
+const toPlainCriteria = (rawCriteria) => (Array.isArray(rawCriteria)
+  ? rawCriteria.map((x) => (x && typeof x.toObject === 'function' ? x.toObject() : { ...x }))
+  : []);
+
+/**
+ * Normalized criteria and rubric version for the submission's competition area.
+ * rubricVersion picks the version: undefined for the current rubric, a number
+ * for that version, or null for scores given before the area was versioned
+ * (its baseline version 1, or the current rubric while the area is unversioned).
+ * @returns {Promise<{ criteria: Array, version: number|null }|null>} null if none are configured
+ */
+async function loadSubmissionRubric(submission, { rubricVersion } = {}) {
+  const competition = await Competition.findOne({ year: submission.year });
+  const areaObj = getAreaOfFocusFromCompetition(
+    competition,
+    submission.category,
+    submission.class,
+    submission.subject,
+    submission.areaOfFocus
+  );
+  if (!areaObj) return null;
+
+  const currentVersion = areaObj.rubricVersion || null;
+  const version = rubricVersion === undefined || currentVersion === null
+    ? currentVersion
+    : (rubricVersion === null ? 1 : Number(rubricVersion));
+
+  let rawCriteria = areaObj.evaluationCriteria;
+  if (version !== null && version !== currentVersion) {
+    const stored = await RubricVersion.findOne({
+      year: submission.year,
+      category: submission.category,
+      class: submission.class,
+      subject: submission.subject,
+      areaOfFocus: submission.areaOfFocus,
+      version
+    }).select('evaluationCriteria').lean();
+    if (!stored) return null;
+    rawCriteria = stored.evaluationCriteria;
+  }
+  if (!rawCriteria || rawCriteria.length === 0) {
+    return null;
+  }
+
+  return { criteria: normalizeStoredCriteria(toPlainCriteria(rawCriteria)), version };
+}
+
+/**
+ * Normalized evaluation criteria for the submission's competition area, or null if none are configured.
+ */
+async function loadSubmissionCriteria(submission, options = {}) {
+  const rubric = await loadSubmissionRubric(submission, options);
+  return rubric ? rubric.criteria : null;
+}
+
+/**
+ * Check scores against the competition criteria for the submission's area,
+ * at the rubric version given (see loadSubmissionRubric; default current).
+ * Partial checks allow unscored criteria, for drafts.
+ * @returns {Promise<{ ok: boolean, message?: string, totalScore?: number, averageScore?: number, rubricVersion?: number|null }>}
+ */
+async function validateSubmissionScores(submission, scores, { partial = false, rubricVersion } = {}) {
+  const rubric = await loadSubmissionRubric(submission, { rubricVersion });
+  if (!rubric) {
+    return {
+      ok: false,
+      message: rubricVersion === undefined || rubricVersion === null
+        ? 'No evaluation criteria configured for this competition area'
+        : 'The rubric version these scores were given against is no longer available'
+    };
+  }
+
+  const scoresPlain = { ...scores };
+  const verdict = partial
+    ? validatePartialScoresAgainstCriteria(scoresPlain, rubric.criteria)
+    : validateScoresAgainstCriteria(scoresPlain, rubric.criteria);
+  return verdict.ok ? { ...verdict, rubricVersion: rubric.version } : verdict;
+}
+
 module.exports = {
   DEFAULT_MAX_POINTS,
+  DEFAULT_WEIGHT,
+  validateAndNormalizePerformanceLevels,
   validateAndNormalizeEvaluationCriteria,
   getEvaluationCriteriaFromCompetition,
   maxRubricTotal,
+  findPerformanceLevel,
   flattenLeafDescriptors,
+  evaluateGateCriteria,
   validateScoresAgainstCriteria,
-  normalizeStoredCriteria
+  validatePartialScoresAgainstCriteria,
+  normalizeStoredCriteria,
+  diffEvaluationCriteria,
+  getAreaOfFocusFromCompetition,
+  loadSubmissionRubric,
+  loadSubmissionCriteria,
+  validateSubmissionScores
 };
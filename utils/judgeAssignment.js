@@ -5,6 +5,8 @@ const CompetitionRound = require('../models/CompetitionRound');
 const RoundChunk = require('../models/RoundChunk');
 const RoundSnapshot = require('../models/RoundSnapshot');
 const PromotionRecord = require('../models/PromotionRecord');
+const Evaluation = require('../models/Evaluation');
+const JudgeReassignment = require('../models/JudgeReassignment');
 const notificationService = require('../services/notificationService');
 const {
   buildCaseInsensitiveExactRegex,
@@ -14,12 +16,24 @@ const {
   isRoundHistorical
 } = require('./roundContext');
 const { getCanonicalAreaOfFocusLabel } = require('./areaOfFocus');
+const {
+  JUDGE_CONFLICT_FIELDS,
+  SUBMISSION_CONFLICT_FIELDS,
+  getJudgeConflicts,
+  buildConflictExclusion,
+  partitionJudgesByConflict,
+  describeConflicts
+} = require('./conflictOfInterest');
+const { JUDGE_CAPACITY_FIELDS, createWorkloadBalancer } = require('./judgeWorkload');
+const { resolvePanelSize } = require('./judgePanel');
+const { getCalibrationClearedJudgeIds, filterCalibratedJudges } = require('./judgeCalibration');
 
 const ACTIONABLE_ASSIGNMENT_STATUSES = new Set(['pending', 'submitted', 'under_review', 'evaluated']);
 const LEGACY_GLOBAL_SUBMISSION_INDEX = 'submissionId_1';
 const LEGACY_SINGLE_ASSIGNMENT_INDEX = 'roundId_1_submissionId_1';
 const UNIQUE_JUDGE_ASSIGNMENT_INDEX = 'roundId_1_submissionId_1_judgeId_1';
-const UNIQUE_SCOPED_ASSIGNMENT_INDEX = 'roundId_1_submissionId_1_level_1';
+// Held Council/Regional to one judge per submission; dropped for multi-judge panels
+const LEGACY_SCOPED_ASSIGNMENT_INDEX = 'roundId_1_submissionId_1_level_1';
 
 const isDuplicateKeyError = (error) => {
   return Boolean(error && (error.code === 11000 || error?.cause?.code === 11000));
@@ -31,6 +45,7 @@ const isLegacyAssignmentIndexError = (error) => {
   const keyPattern = error.keyPattern || error?.cause?.keyPattern || {};
   return message.includes(`index: ${LEGACY_GLOBAL_SUBMISSION_INDEX}`)
     || message.includes(`index: ${LEGACY_SINGLE_ASSIGNMENT_INDEX}`)
+    || message.includes(`index: ${LEGACY_SCOPED_ASSIGNMENT_INDEX}`)
     || (
       keyPattern.submissionId === 1
       && !Object.prototype.hasOwnProperty.call(keyPattern, 'roundId')
@@ -101,25 +116,21 @@ const repairSubmissionAssignmentIndexes = async () => {
   try {
     const droppedGlobal = await dropIndexIfPresent(LEGACY_GLOBAL_SUBMISSION_INDEX);
     const droppedLegacy = await dropIndexIfPresent(LEGACY_SINGLE_ASSIGNMENT_INDEX);
+    const droppedScoped = await dropIndexIfPresent(LEGACY_SCOPED_ASSIGNMENT_INDEX);
     await ensureAssignmentIndex(
       { roundId: 1, submissionId: 1, judgeId: 1 },
       { name: UNIQUE_JUDGE_ASSIGNMENT_INDEX, unique: true }
     );
-    await ensureAssignmentIndex(
-      { roundId: 1, submissionId: 1, level: 1 },
-      {
-        name: UNIQUE_SCOPED_ASSIGNMENT_INDEX,
-        unique: true,
-        partialFilterExpression: { level: { $in: ['Council', 'Regional'] } }
-      }
-    );
     if (droppedGlobal) {
       console.warn(`Dropped legacy submission assignment index: ${LEGACY_GLOBAL_SUBMISSION_INDEX}`);
     }
     if (droppedLegacy) {
       console.warn(`Dropped legacy submission assignment index: ${LEGACY_SINGLE_ASSIGNMENT_INDEX}`);
     }
-    return droppedGlobal || droppedLegacy;
+    if (droppedScoped) {
+      console.warn(`Dropped legacy submission assignment index: ${LEGACY_SCOPED_ASSIGNMENT_INDEX}`);
+    }
+    return droppedGlobal || droppedLegacy || droppedScoped;
   } catch (error) {
     if (
       error.code === 26
@@ -350,7 +361,7 @@ const getNationalAreaSubmissionsForAssignment = async (round, sourceSubmission)
   }
 
   const normalizedAreaOfFocus = normalizeAreaOfFocus(sourceSubmission.areaOfFocus || '');
-  const submissions = await Submission.find(query).select('_id areaOfFocus region council status disqualified');
+  const submissions = await Submission.find(query).select(`_id areaOfFocus region council status disqualified ${SUBMISSION_CONFLICT_FIELDS}`);
   return submissions.filter((submission) =>
     normalizeAreaOfFocus(submission.areaOfFocus || '') === normalizedAreaOfFocus
   );
@@ -517,8 +528,32 @@ const isSubmissionEligibleForRoundChunkSchedule = async (submission, round) => {
 };
 
 /**
- * Assign a judge to a submission using round-robin algorithm.
- * Council/Regional get one current assignment; National can have multiple judges.
+ * Judges who recused themselves from submissions in a round.
+ * @param {ObjectId|string} roundId
+ * @param {Array<ObjectId|string>} submissionIds
+ * @returns {Promise<Map<string, Set<string>>>} submissionId -> recused judge IDs
+ */
+const getRecusedJudgeIdsBySubmission = async (roundId, submissionIds) => {
+  const recusals = await JudgeReassignment.find({
+    roundId,
+    submissionId: { $in: submissionIds },
+    reason: 'judge_recused'
+  }).select('submissionId fromJudgeId').lean();
+
+  const recusedBySubmission = new Map();
+  for (const recusal of recusals) {
+    const key = String(recusal.submissionId);
+    if (!recusedBySubmission.has(key)) recusedBySubmission.set(key, new Set());
+    recusedBySubmission.get(key).add(String(recusal.fromJudgeId));
+  }
+  return recusedBySubmission;
+};
+
+/**
+ * Assign judges to a submission, picking the eligible judges with the lightest
+ * workload (see utils/judgeWorkload.js).
+ * Council/Regional fill the open seats of the round's panel (one judge by
+ * default), limited by judge capacity; National adds one judge per call.
  *
  * @param {Object} submission - Submission document
  * @param {Object} options - { roundId }
@@ -568,10 +603,12 @@ async function assignJudgeToSubmission(submission, options = {}) {
 
     const existingSubmissionAssignments = await SubmissionAssignment.find({
       roundId,
-      submissionId: submission._id
+      submissionId: submission._id,
+      isModeration: { $ne: true }
     }).select('judgeId');
 
-    if (assignmentLevel !== 'National' && existingSubmissionAssignments.length > 0) {
+    const panelSize = resolvePanelSize(round);
+    if (assignmentLevel !== 'National' && existingSubmissionAssignments.length >= panelSize) {
       return {
         success: true,
         assignment: existingSubmissionAssignments[0],
@@ -591,115 +628,131 @@ async function assignJudgeToSubmission(submission, options = {}) {
     const judgeQuery = {
       role: 'judge',
       status: 'active',
+      isDeleted: { $ne: true },
       assignedLevel: assignmentLevel,
       ...areaQuery
     };
 
-    const availableJudges = await User.find(judgeQuery).select('_id name email areasOfFocus');
+    const availableJudges = await User.find(judgeQuery)
+      .select(`_id email areasOfFocus ${JUDGE_CONFLICT_FIELDS} ${JUDGE_CAPACITY_FIELDS}`);
     const submissionAreaOfFocus = submission.areaOfFocus || '';
     const assignedJudgeIdsForSubmission = new Set(
       existingSubmissionAssignments.map((assignment) => String(assignment.judgeId))
     );
-    const scopedAvailableJudges = availableJudges.filter((judge) =>
+    const recusedJudgeIds = (await getRecusedJudgeIdsBySubmission(roundId, [submission._id]))
+      .get(String(submission._id)) || new Set();
+    const focusMatchedJudges = availableJudges.filter((judge) =>
       judgeMatchesAreaOfFocus(judge, submissionAreaOfFocus)
-      && (assignmentLevel !== 'National' || !assignedJudgeIdsForSubmission.has(String(judge._id)))
+      && !recusedJudgeIds.has(String(judge._id))
+      && !assignedJudgeIdsForSubmission.has(String(judge._id))
     );
+    const areaMatchedJudges = filterCalibratedJudges(focusMatchedJudges, await getCalibrationClearedJudgeIds(round));
+    const {
+      eligible: scopedAvailableJudges,
+      exclusions: conflictExclusions
+    } = partitionJudgesByConflict(areaMatchedJudges, submission);
 
     if (scopedAvailableJudges.length === 0) {
       return {
         success: false,
         assignment: null,
-        error: assignmentLevel === 'National'
+        conflictExclusions,
+        error: areaMatchedJudges.length > 0
+          ? `All ${areaMatchedJudges.length} matching judge(s) have a conflict of interest with this submission`
+          : focusMatchedJudges.length > 0
+          ? `None of the ${focusMatchedJudges.length} matching judge(s) has passed calibration for this round`
+          : assignmentLevel === 'National'
           ? `No unassigned active National judges match area of focus "${submissionAreaOfFocus || 'N/A'}"`
+          : assignedJudgeIdsForSubmission.size > 0
+          ? `No further eligible judges to complete the ${panelSize}-judge panel for this submission`
           : `No active judges found for ${assignmentLevel} level at ${submission.region}${assignmentCouncil ? ` - ${assignmentCouncil}` : ''} with area of focus "${submissionAreaOfFocus || 'N/A'}"`
       };
     }
 
-    const locationAssignmentQuery = {
-      roundId,
-      level: assignmentLevel,
-      region: submission.region,
-      ...(assignmentLevel === 'Council' ? { council: assignmentCouncil } : {})
-    };
-
-    const existingAssignments = await SubmissionAssignment.find(locationAssignmentQuery).select('judgeId');
-
-    const assignmentCounts = {};
-    scopedAvailableJudges.forEach((judge) => {
-      assignmentCounts[judge._id.toString()] = 0;
+    // Capacity limits apply to Council/Regional; National panels are sized separately
+    const balancer = await createWorkloadBalancer(round, scopedAvailableJudges, {
+      enforceCapacity: assignmentLevel !== 'National'
     });
+    const openSeats = assignmentLevel === 'National'
+      ? 1
+      : panelSize - existingSubmissionAssignments.length;
+
+    const assignments = [];
+    const selectedJudges = [];
+    let candidates = scopedAvailableJudges;
+    while (assignments.length < openSeats) {
+      const selectedJudge = balancer.pick(candidates);
+      if (!selectedJudge) break;
+      candidates = candidates.filter((judge) => judge !== selectedJudge);
+      balancer.record(selectedJudge);
+
+      let assignment;
+      try {
+        assignment = await createSubmissionAssignment({
+          roundId,
+          submissionId: submission._id,
+          judgeId: selectedJudge._id,
+          level: assignmentLevel,
+          region: submission.region,
+          council: assignmentCouncil || null,
+          judgeNotified: false,
+          metadata: conflictExclusions.length > 0 ? { conflictExclusions } : {}
+        });
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) {
+          throw error;
+        }
 
-    existingAssignments.forEach((assignment) => {
-      const judgeId = assignment.judgeId.toString();
-      if (assignmentCounts[judgeId] !== undefined) {
-        assignmentCounts[judgeId] += 1;
-      }
-    });
-
-    let selectedJudge = scopedAvailableJudges[0];
-    let minCount = assignmentCounts[selectedJudge._id.toString()];
-
-    for (const judge of scopedAvailableJudges) {
-      const count = assignmentCounts[judge._id.toString()];
-      if (count < minCount) {
-        minCount = count;
-        selectedJudge = judge;
+        // Assigned by a concurrent request; the seat is filled either way
+        const concurrentAssignment = await SubmissionAssignment.findOne({
+          roundId,
+          submissionId: submission._id,
+          judgeId: selectedJudge._id
+        });
+        if (!concurrentAssignment) {
+          throw error;
+        }
+        assignments.push(concurrentAssignment);
+        continue;
       }
-    }
 
-    let assignment;
-    try {
-      assignment = await createSubmissionAssignment({
-        roundId,
-        submissionId: submission._id,
-        judgeId: selectedJudge._id,
+      notificationService.handleJudgeAssigned({
+        userId: selectedJudge._id.toString(),
+        submissionId: submission._id.toString(),
+        teacherName: round.blindJudging ? undefined : submission.teacherName,
+        subject: submission.subject,
+        areaOfFocus: submission.areaOfFocus,
         level: assignmentLevel,
         region: submission.region,
-        council: assignmentCouncil || null,
-        judgeNotified: false
+        council: assignmentCouncil
+      }).catch((error) => {
+        console.error('Error sending judge assignment notification:', error);
       });
-    } catch (error) {
-      if (!isDuplicateKeyError(error)) {
-        throw error;
-      }
 
-      const concurrentAssignment = await SubmissionAssignment.findOne({
-        roundId,
-        submissionId: submission._id,
-        ...(assignmentLevel === 'National' ? { judgeId: selectedJudge._id } : {})
-      });
-
-      if (concurrentAssignment) {
-        return {
-          success: true,
-          assignment: concurrentAssignment,
-          message: 'Submission already assigned for this round'
-        };
-      }
-
-      throw error;
+      assignment.judgeNotified = true;
+      await assignment.save();
+      assignments.push(assignment);
+      selectedJudges.push(selectedJudge);
     }
 
-    notificationService.handleJudgeAssigned({
-      userId: selectedJudge._id.toString(),
-      submissionId: submission._id.toString(),
-      teacherName: submission.teacherName,
-      subject: submission.subject,
-      areaOfFocus: submission.areaOfFocus,
-      level: assignmentLevel,
-      region: submission.region,
-      council: assignmentCouncil
-    }).catch((error) => {
-      console.error('Error sending judge assignment notification:', error);
-    });
-
-    assignment.judgeNotified = true;
-    await assignment.save();
+    if (assignments.length === 0) {
+      return {
+        success: false,
+        assignment: null,
+        conflictExclusions,
+        capacityExhausted: true,
+        error: `All ${scopedAvailableJudges.length} eligible judge(s) have reached their assignment capacity for this round`
+      };
+    }
 
     return {
       success: true,
-      assignment,
-      judge: selectedJudge,
+      assignment: assignments[0],
+      assignments,
+      judge: selectedJudges[0] || null,
+      conflictExclusions,
+      panelSize,
+      panelIncomplete: assignments.length < openSeats,
       roundId: roundId.toString()
     };
   } catch (error) {
@@ -873,7 +926,8 @@ async function resolveJudgeEvaluationAuthorization(submissionId, judgeId, roundI
 
 /**
  * Assign pending submissions from active rounds to judges in the same location.
- * This is useful when a new judge is created.
+ * This is useful when a new judge is created. Submissions are spread across
+ * the area's judges by workload, so a late joiner is not handed the whole backlog.
  */
 async function assignUnassignedSubmissionsToJudge(judge) {
   try {
@@ -884,13 +938,14 @@ async function assignUnassignedSubmissionsToJudge(judge) {
     const rounds = await CompetitionRound.find({
       level: judge.assignedLevel,
       status: 'active'
-    }).select('_id year level pendingSubmissionsSnapshot');
+    }).select('_id year level pendingSubmissionsSnapshot panelSize');
 
     if (rounds.length === 0) {
       return { success: true, assignedCount: 0, message: 'No active rounds found for judge level' };
     }
 
     let assignedCount = 0;
+    let capacityExhausted = 0;
     for (const round of rounds) {
       const areaQuery = buildSubmissionAreaQueryByLevel(
         judge.assignedLevel,
@@ -905,6 +960,7 @@ async function assignUnassignedSubmissionsToJudge(judge) {
         status: { $nin: ['promoted', 'eliminated'] }
       });
 
+      const panelSize = resolvePanelSize(round);
       for (const submission of submissions) {
         const existingQuery = {
           roundId: round._id,
@@ -914,13 +970,15 @@ async function assignUnassignedSubmissionsToJudge(judge) {
           existingQuery.judgeId = judge._id;
         }
 
-        const existing = await SubmissionAssignment.findOne(existingQuery).select('_id');
-
-        if (existing) continue;
+        const existingCount = await SubmissionAssignment.countDocuments(existingQuery);
+        const seatsFilled = judge.assignedLevel === 'National' ? existingCount > 0 : existingCount >= panelSize;
+        if (seatsFilled) continue;
 
         const assignmentResult = await assignJudgeToSubmission(submission, { roundId: round._id });
         if (assignmentResult.success && assignmentResult.assignment) {
           assignedCount += 1;
+        } else if (assignmentResult.capacityExhausted) {
+          capacityExhausted += 1;
         }
       }
     }
@@ -928,7 +986,9 @@ async function assignUnassignedSubmissionsToJudge(judge) {
     return {
       success: true,
       assignedCount,
+      capacityExhausted,
       message: `Assigned ${assignedCount} submission(s) across active rounds`
+        + (capacityExhausted > 0 ? `; ${capacityExhausted} left unassigned because judges are at capacity` : '')
     };
   } catch (error) {
     console.error('Error assigning unassigned submissions to judge:', error);
@@ -940,11 +1000,206 @@ async function assignUnassignedSubmissionsToJudge(judge) {
   }
 }
 
+/**
+ * Take a judge off a submission at their own request and hand it to another
+ * eligible judge. The recusal is recorded in JudgeReassignment and keeps the
+ * judge from being assigned this submission again in the round.
+ * @param {Object} submission - Submission document
+ * @param {Object} judge - Recusing judge
+ * @param {Object} options - { round, reason }
+ * @returns {Promise<{ success: boolean, statusCode?: number, message?: string, recusal?: Object, reassignment?: Object }>}
+ */
+async function recuseJudgeFromSubmission(submission, judge, { round, reason }) {
+  const assignment = await SubmissionAssignment.findOne({
+    roundId: round._id,
+    submissionId: submission._id,
+    judgeId: judge._id
+  });
+  if (!assignment) {
+    return { success: false, statusCode: 403, message: 'You are not assigned to evaluate this submission' };
+  }
+
+  const evaluated = await Evaluation.exists({
+    roundId: round._id,
+    submissionId: submission._id,
+    judgeId: judge._id
+  });
+  if (evaluated) {
+    return { success: false, statusCode: 409, message: 'You have already evaluated this submission' };
+  }
+
+  await SubmissionAssignment.deleteOne({ _id: assignment._id });
+  const recusal = await JudgeReassignment.create({
+    roundId: round._id,
+    submissionId: submission._id,
+    level: assignment.level,
+    region: assignment.region || null,
+    council: assignment.council || null,
+    fromJudgeId: judge._id,
+    toJudgeIds: [],
+    reason: 'judge_recused',
+    note: reason,
+    status: 'unassigned',
+    triggeredBy: judge._id
+  });
+
+  const assignmentResult = assignment.isModeration
+    ? await assignModeratorToSubmission(submission, round)
+    : await assignJudgeToSubmission(submission, { roundId: round._id });
+  const newJudgeId = assignmentResult.success ? assignmentResult.assignment?.judgeId : null;
+  if (newJudgeId) {
+    recusal.toJudgeIds = [newJudgeId];
+    recusal.status = 'reassigned';
+    await recusal.save();
+  }
+
+  return {
+    success: true,
+    recusal,
+    reassignment: {
+      reassigned: Boolean(newJudgeId),
+      judgeId: newJudgeId ? String(newJudgeId) : null,
+      capacityExhausted: Boolean(assignmentResult.capacityExhausted),
+      error: newJudgeId ? null : assignmentResult.error || null
+    }
+  };
+}
+
+/**
+ * Pick one judge from outside a submission's panel: same level, area and area
+ * of focus, not excluded and not conflicted, least loaded first.
+ * @param {Object} submission
+ * @param {Object} round
+ * @param {Object} options - { excludedJudgeIds: Set<string>, enforceCapacity, noJudgeMessage }
+ * @returns {Promise<{ judge: Object|null, assignmentLevel?: string, assignmentCouncil?: string|null, error?: string }>}
+ */
+async function selectJudgeOutsidePanel(submission, round, options = {}) {
+  const {
+    excludedJudgeIds = new Set(),
+    enforceCapacity = true,
+    noJudgeMessage = 'No eligible judge outside the panel is available'
+  } = options;
+  const assignmentLevel = round.level || submission.level;
+  const assignmentCouncil = assignmentLevel === 'Council' ? submission.council : null;
+  const areaQuery = buildJudgeAreaQueryByLevel(assignmentLevel, submission.region, assignmentCouncil);
+  if (areaQuery === null) {
+    return { judge: null, error: 'Submission location is incomplete for judge assignment' };
+  }
+
+  const availableJudges = await User.find({
+    role: 'judge',
+    status: 'active',
+    isDeleted: { $ne: true },
+    assignedLevel: assignmentLevel,
+    ...areaQuery
+  }).select(`_id email areasOfFocus ${JUDGE_CONFLICT_FIELDS} ${JUDGE_CAPACITY_FIELDS}`);
+  const calibratedJudges = filterCalibratedJudges(availableJudges, await getCalibrationClearedJudgeIds(round));
+  const { eligible } = partitionJudgesByConflict(
+    calibratedJudges.filter((judge) => (
+      judgeMatchesAreaOfFocus(judge, submission.areaOfFocus || '')
+      && !excludedJudgeIds.has(String(judge._id))
+    )),
+    submission
+  );
+
+  const balancer = await createWorkloadBalancer(round, eligible, {
+    enforceCapacity: enforceCapacity && assignmentLevel !== 'National'
+  });
+  const judge = balancer.pick(eligible);
+  if (!judge) {
+    return {
+      judge: null,
+      error: eligible.length > 0
+        ? `All ${eligible.length} eligible judge(s) have reached their assignment capacity for this round`
+        : noJudgeMessage
+    };
+  }
+  return { judge, assignmentLevel, assignmentCouncil };
+}
+
+/**
+ * Bring in one extra judge to moderate a submission whose panel scores
+ * diverged. The moderator comes from the same area and area of focus, and is
+ * not on the panel, recused or conflicted. Capacity limits apply as for
+ * Council/Regional panel seats.
+ * @param {Object} submission
+ * @param {Object} round
+ * @returns {Promise<{ success: boolean, assignment?: Object, judge?: Object, error?: string }>}
+ */
+async function assignModeratorToSubmission(submission, round) {
+  try {
+    const [existingAssignments, evaluatedJudgeIds, recusedBySubmission] = await Promise.all([
+      SubmissionAssignment.find({ roundId: round._id, submissionId: submission._id }).select('judgeId').lean(),
+      Evaluation.distinct('judgeId', { roundId: round._id, submissionId: submission._id }),
+      getRecusedJudgeIdsBySubmission(round._id, [submission._id])
+    ]);
+    const excludedJudgeIds = new Set([
+      ...existingAssignments.map((assignment) => String(assignment.judgeId)),
+      ...evaluatedJudgeIds.map((judgeId) => String(judgeId)),
+      ...(recusedBySubmission.get(String(submission._id)) || [])
+    ]);
+
+    const selection = await selectJudgeOutsidePanel(submission, round, {
+      excludedJudgeIds,
+      noJudgeMessage: 'No eligible judge outside the panel is available to moderate this submission'
+    });
+    if (!selection.judge) {
+      return { success: false, error: selection.error };
+    }
+    const { judge: moderator, assignmentLevel, assignmentCouncil } = selection;
+
+    let assignment;
+    try {
+      assignment = await createSubmissionAssignment({
+        roundId: round._id,
+        submissionId: submission._id,
+        judgeId: moderator._id,
+        level: assignmentLevel,
+        region: submission.region,
+        council: assignmentCouncil || null,
+        isModeration: true,
+        judgeNotified: false
+      });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      assignment = await SubmissionAssignment.findOne({
+        roundId: round._id,
+        submissionId: submission._id,
+        isModeration: true
+      });
+      return { success: Boolean(assignment), assignment, judge: null, error: assignment ? null : error.message };
+    }
+
+    notificationService.handleJudgeAssigned({
+      userId: moderator._id.toString(),
+      submissionId: submission._id.toString(),
+      teacherName: round.blindJudging ? undefined : submission.teacherName,
+      subject: submission.subject,
+      areaOfFocus: submission.areaOfFocus,
+      level: assignmentLevel,
+      region: submission.region,
+      council: assignmentCouncil
+    }).catch((error) => {
+      console.error('Error sending judge assignment notification:', error);
+    });
+    assignment.judgeNotified = true;
+    await assignment.save();
+
+    return { success: true, assignment, judge: moderator };
+  } catch (error) {
+    console.error('Error assigning moderator to submission:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Manually assign or reassign a submission to a specific judge.
+ * For Council/Regional the judge fills an open panel seat; on a full panel
+ * they replace options.replaceJudgeId, or else the most recently assigned
+ * judge who has not evaluated the submission.
  * @param {ObjectId} submissionId
  * @param {ObjectId} judgeId
- * @param {Object} options - { roundId }
+ * @param {Object} options - { roundId, replaceJudgeId }
  */
 async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
   try {
@@ -982,7 +1237,7 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
     }
 
     const judge = await User.findById(judgeId);
-    if (!judge || judge.role !== 'judge' || judge.status !== 'active') {
+    if (!judge || judge.role !== 'judge' || judge.status !== 'active' || judge.isDeleted) {
       return { success: false, assignment: null, error: 'Invalid or inactive judge' };
     }
 
@@ -1004,6 +1259,20 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
       return { success: false, assignment: null, error: 'Judge area of focus does not match submission area of focus' };
     }
 
+    if (filterCalibratedJudges([judge], await getCalibrationClearedJudgeIds(round)).length === 0) {
+      return { success: false, assignment: null, error: 'Judge has not passed calibration for this round' };
+    }
+
+    const judgeConflicts = getJudgeConflicts(judge, submission);
+    if (judgeConflicts.length > 0) {
+      return {
+        success: false,
+        assignment: null,
+        conflictExclusions: [buildConflictExclusion(judge, judgeConflicts)],
+        error: `Judge has a conflict of interest with this submission (${describeConflicts(judgeConflicts)})`
+      };
+    }
+
     if (!submission.roundId || String(submission.roundId) !== String(round._id)) {
       await Submission.updateOne({ _id: submissionId }, { $set: { roundId: round._id } });
       submission.roundId = round._id;
@@ -1024,20 +1293,34 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
         ...new Set(existingAreaAssignments.map((item) => String(item.judgeId)))
       ];
       const judgeAlreadyInPanel = panelJudgeIds.includes(String(judgeId));
+      const panelSize = resolvePanelSize(round);
 
-      if (!judgeAlreadyInPanel && panelJudgeIds.length >= 3) {
+      if (!judgeAlreadyInPanel && panelJudgeIds.length >= panelSize) {
         return {
           success: false,
           assignment: null,
-          error: 'This National area of competition already has 3 assigned judges'
+          error: `This National area of competition already has ${panelSize} assigned judges`
         };
       }
 
       const createdAssignments = [];
+      const conflictSkipped = [];
       let existingCount = 0;
       let assignment = null;
 
       for (const areaSubmission of areaSubmissions) {
+        // The judge joins the area panel but sits out submissions they are conflicted on
+        const areaConflicts = getJudgeConflicts(judge, areaSubmission);
+        if (areaConflicts.length > 0) {
+          const exclusion = buildConflictExclusion(judge, areaConflicts);
+          await SubmissionAssignment.updateMany(
+            { roundId: round._id, submissionId: areaSubmission._id },
+            { $push: { 'metadata.conflictExclusions': exclusion } }
+          );
+          conflictSkipped.push({ submissionId: areaSubmission._id, ...exclusion });
+          continue;
+        }
+
         const nationalAssignmentQuery = {
           roundId: round._id,
           submissionId: areaSubmission._id,
@@ -1088,7 +1371,7 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
         notificationService.handleJudgeAssigned({
           userId: judgeId.toString(),
           submissionId: createdAssignment.submissionId.toString(),
-          teacherName: submission.teacherName,
+          teacherName: round.blindJudging ? undefined : submission.teacherName,
           subject: submission.subject,
           areaOfFocus: submission.areaOfFocus,
           level: assignmentLevel,
@@ -1103,6 +1386,7 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
         success: true,
         assignment,
         assignments: createdAssignments,
+        conflictSkipped,
         message: createdAssignments.length > 0
           ? `Judge assigned to ${createdAssignments.length} submission(s) in this National area of competition`
           : `Judge already assigned to ${existingCount} submission(s) in this National area of competition`,
@@ -1110,15 +1394,46 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
       };
     }
 
-    const assignmentQuery = {
+    const panelSize = resolvePanelSize(round);
+    const currentAssignments = await SubmissionAssignment.find({
       roundId: round._id,
       submissionId
-    };
+    }).sort({ assignedAt: 1, createdAt: 1, _id: 1 });
 
-    let assignment = await SubmissionAssignment.findOne(assignmentQuery);
+    const existingJudgeAssignment = currentAssignments.find(
+      (item) => String(item.judgeId) === String(judgeId)
+    );
+    if (existingJudgeAssignment) {
+      return {
+        success: true,
+        assignment: existingJudgeAssignment,
+        message: 'Judge is already assigned to this submission',
+        roundId: round._id.toString()
+      };
+    }
+
+    let assignment = null;
+    let replacedJudgeId = null;
     let message = 'Submission assigned successfully';
 
-    if (assignment) {
+    if (currentAssignments.length >= panelSize) {
+      if (options.replaceJudgeId) {
+        assignment = currentAssignments.find(
+          (item) => String(item.judgeId) === String(options.replaceJudgeId)
+        );
+        if (!assignment) {
+          return { success: false, assignment: null, error: 'The judge to replace is not assigned to this submission' };
+        }
+      } else {
+        const evaluatedJudgeIds = new Set(
+          (await Evaluation.find({ roundId: round._id, submissionId }).select('judgeId'))
+            .map((evaluation) => String(evaluation.judgeId))
+        );
+        assignment = [...currentAssignments].reverse()
+          .find((item) => !evaluatedJudgeIds.has(String(item.judgeId)))
+          || currentAssignments[currentAssignments.length - 1];
+      }
+      replacedJudgeId = assignment.judgeId;
       assignment.judgeId = judgeId;
       assignment.judgeNotified = false;
       await assignment.save();
@@ -1139,21 +1454,23 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
           throw error;
         }
 
-        assignment = await SubmissionAssignment.findOne(assignmentQuery);
+        assignment = await SubmissionAssignment.findOne({ roundId: round._id, submissionId, judgeId });
         if (!assignment) {
           throw error;
         }
-        assignment.judgeId = judgeId;
-        assignment.judgeNotified = false;
-        await assignment.save();
-        message = 'Submission reassigned successfully';
+        return {
+          success: true,
+          assignment,
+          message: 'Judge is already assigned to this submission',
+          roundId: round._id.toString()
+        };
       }
     }
 
     notificationService.handleJudgeAssigned({
       userId: judgeId.toString(),
       submissionId: submissionId.toString(),
-      teacherName: submission.teacherName,
+      teacherName: round.blindJudging ? undefined : submission.teacherName,
       subject: submission.subject,
       areaOfFocus: submission.areaOfFocus,
       level: assignmentLevel,
@@ -1166,6 +1483,7 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
     return {
       success: true,
       assignment,
+      replacedJudgeId,
       message,
       roundId: round._id.toString()
     };
@@ -1184,7 +1502,7 @@ async function manuallyAssignSubmission(submissionId, judgeId, options = {}) {
  */
 async function getEligibleJudges(submissionId, options = {}) {
   try {
-    const submission = await Submission.findById(submissionId).select('_id year level roundId promotedFromRoundId region council status disqualified areaOfFocus');
+    const submission = await Submission.findById(submissionId).select(`_id year level roundId promotedFromRoundId region council status disqualified areaOfFocus ${SUBMISSION_CONFLICT_FIELDS}`);
 
     if (!submission) {
       return { success: false, judges: [], error: 'Submission not found' };
@@ -1225,12 +1543,13 @@ async function getEligibleJudges(submissionId, options = {}) {
     const judgeQuery = {
       role: 'judge',
       status: 'active',
+      isDeleted: { $ne: true },
       assignedLevel: assignmentLevel,
       ...areaQuery
     };
 
     const judges = await User.find(judgeQuery)
-      .select('_id name email username assignedLevel assignedRegion assignedCouncil areasOfFocus')
+      .select(`_id email username assignedLevel assignedRegion assignedCouncil areasOfFocus ${JUDGE_CONFLICT_FIELDS}`)
       .sort({ name: 1 });
 
     const existingAssignments = assignmentLevel === 'National'
@@ -1240,6 +1559,7 @@ async function getEligibleJudges(submissionId, options = {}) {
         }).select('judgeId')
       : [];
     const assignedJudgeIds = new Set(existingAssignments.map((assignment) => String(assignment.judgeId)));
+    const panelSize = resolvePanelSize(roundResolution.round);
     let nationalAreaPanelJudgeIds = null;
     if (assignmentLevel === 'National') {
       const areaSubmissions = await getNationalAreaSubmissionsForAssignment(roundResolution.round, submission);
@@ -1253,23 +1573,37 @@ async function getEligibleJudges(submissionId, options = {}) {
       nationalAreaPanelJudgeIds = new Set(areaAssignments.map((assignment) => String(assignment.judgeId)));
     }
 
-    const eligibleJudges = judges.filter((judge) =>
+    const calibratedJudges = filterCalibratedJudges(
+      judges,
+      await getCalibrationClearedJudgeIds(roundResolution.round)
+    );
+    const candidateJudges = calibratedJudges.filter((judge) =>
       judgeMatchesAreaOfFocus(judge, submission.areaOfFocus || '')
       && (assignmentLevel !== 'National' || !assignedJudgeIds.has(String(judge._id)))
       && (
         assignmentLevel !== 'National'
-        || nationalAreaPanelJudgeIds.size < 3
+        || nationalAreaPanelJudgeIds.size < panelSize
         || nationalAreaPanelJudgeIds.has(String(judge._id))
       )
     );
+    const { eligible, exclusions: conflictExclusions } = partitionJudgesByConflict(candidateJudges, submission);
+    // Declarations stay on the server; callers only see who was excluded and why
+    const eligibleJudges = eligible.map((judge) => {
+      const plain = judge.toObject();
+      delete plain.conflictsOfInterest;
+      return plain;
+    });
 
     return {
       success: true,
       judges: eligibleJudges,
-      message: assignmentLevel === 'National' && eligibleJudges.length === 0 && assignedJudgeIds.size > 0
+      conflictExclusions: conflictExclusions.map(({ judgeId, judgeName, reasons }) => ({ judgeId, judgeName, reasons })),
+      message: eligibleJudges.length === 0 && conflictExclusions.length > 0
+        ? `All ${conflictExclusions.length} matching judge(s) have a conflict of interest with this submission`
+        : assignmentLevel === 'National' && eligibleJudges.length === 0 && assignedJudgeIds.size > 0
         ? 'All National area panel judges are already assigned to this submission'
-        : assignmentLevel === 'National' && eligibleJudges.length === 0 && nationalAreaPanelJudgeIds?.size >= 3
-          ? 'This National area of competition already has 3 assigned judges'
+        : assignmentLevel === 'National' && eligibleJudges.length === 0 && nationalAreaPanelJudgeIds?.size >= panelSize
+          ? `This National area of competition already has ${panelSize} assigned judges`
         : buildEligibleJudgeEmptyMessage({
             assignmentLevel,
             submission,
@@ -1300,6 +1634,10 @@ module.exports = {
   isJudgeAssigned,
   resolveJudgeEvaluationAuthorization,
   assignUnassignedSubmissionsToJudge,
+  recuseJudgeFromSubmission,
+  assignModeratorToSubmission,
+  selectJudgeOutsidePanel,
+  getRecusedJudgeIdsBySubmission,
   manuallyAssignSubmission,
   getEligibleJudges,
   ensureSubmissionAssignmentIndexesReady
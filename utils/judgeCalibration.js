@@ -0,0 +1,379 @@
+const CalibrationExemplar = require('../models/CalibrationExemplar');
+const CalibrationScore = require('../models/CalibrationScore');
+const CompetitionRound = require('../models/CompetitionRound');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { validateSubmissionScores } = require('./evaluationCriteria');
+
+// Calibration runs before activation gives judges real assignments
+const CALIBRATION_OPEN_STATUSES = ['draft', 'pending'];
+
+const roundStat = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const mean = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const toScoreEntries = (scores) => {
+  if (scores instanceof Map) return [...scores.entries()];
+  return scores && typeof scores === 'object' ? Object.entries(scores) : [];
+};
+
+/**
+ * The round's calibration settings with defaults applied.
+ * @param {Object} round - Round with calibration
+ * @returns {{ maxDeviation: number|null, blockFailedJudges: boolean }}
+ */
+const resolveCalibrationSettings = (round) => {
+  const maxDeviation = Number(round?.calibration?.maxDeviation);
+  return {
+    maxDeviation: round?.calibration?.maxDeviation !== null
+      && round?.calibration?.maxDeviation !== undefined
+      && Number.isFinite(maxDeviation)
+      && maxDeviation >= 0
+      ? maxDeviation
+      : null,
+    blockFailedJudges: round?.calibration?.blockFailedJudges === true
+  };
+};
+
+const isCalibrationOpen = (round) => CALIBRATION_OPEN_STATUSES.includes(round?.status);
+
+/**
+ * One judge's calibration result from their exemplar scores.
+ * Status is 'not_started' or 'incomplete' until every exemplar is scored,
+ * then 'passed'/'failed' against maxDeviation, or 'completed' when the round
+ * sets no maxDeviation.
+ * @param {Array} judgeScores - CalibrationScore documents for the judge
+ * @param {Map<string, Object>} exemplarsById
+ * @param {{ maxDeviation: number|null }} settings
+ * @returns {Object}
+ */
+const summarizeJudgeCalibration = (judgeScores, exemplarsById, settings) => {
+  const scored = judgeScores.filter((score) => exemplarsById.has(String(score.exemplarId)));
+  const deviations = scored.map((score) => Number(score.deviation));
+  const meanAbsoluteDeviation = mean(deviations.map((deviation) => Math.abs(deviation)));
+
+  const criterionGaps = new Map();
+  for (const score of scored) {
+    const reference = new Map(toScoreEntries(exemplarsById.get(String(score.exemplarId)).referenceScores));
+    for (const [key, value] of toScoreEntries(score.scores)) {
+      if (!reference.has(key)) continue;
+      if (!criterionGaps.has(key)) criterionGaps.set(key, []);
+      criterionGaps.get(key).push(Math.abs(Number(value) - Number(reference.get(key))));
+    }
+  }
+
+  let status;
+  if (scored.length === 0) {
+    status = 'not_started';
+  } else if (scored.length < exemplarsById.size) {
+    status = 'incomplete';
+  } else if (settings.maxDeviation === null) {
+    status = 'completed';
+  } else {
+    status = meanAbsoluteDeviation <= settings.maxDeviation ? 'passed' : 'failed';
+  }
+
+  return {
+    exemplarsScored: scored.length,
+    exemplarCount: exemplarsById.size,
+    meanDeviation: roundStat(mean(deviations)),
+    meanAbsoluteDeviation: roundStat(meanAbsoluteDeviation),
+    criteria: [...criterionGaps.entries()]
+      .map(([key, gaps]) => ({ key, meanAbsoluteDeviation: roundStat(mean(gaps)) }))
+      .sort((a, b) => a.key.localeCompare(b.key)),
+    status
+  };
+};
+
+const loadRoundCalibration = async (round) => {
+  const [exemplars, scores] = await Promise.all([
+    CalibrationExemplar.find({ roundId: round._id }).sort({ createdAt: 1, _id: 1 }).lean(),
+    CalibrationScore.find({ roundId: round._id }).lean()
+  ]);
+  const scoresByJudge = new Map();
+  for (const score of scores) {
+    const key = String(score.judgeId);
+    if (!scoresByJudge.has(key)) scoresByJudge.set(key, []);
+    scoresByJudge.get(key).push(score);
+  }
+  return {
+    exemplars,
+    exemplarsById: new Map(exemplars.map((exemplar) => [String(exemplar._id), exemplar])),
+    scoresByJudge
+  };
+};
+
+/**
+ * Calibration report for a round: the exemplars with their reference scores
+ * and, for every active judge at the round's level, their deviation from the
+ * reference and pass/fail status.
+ * @param {Object} round - CompetitionRound document
+ * @returns {Promise<Object>}
+ */
+const getCalibrationReport = async (round) => {
+  const settings = resolveCalibrationSettings(round);
+  const { exemplars, exemplarsById, scoresByJudge } = await loadRoundCalibration(round);
+  const judgeUsers = await User.find({
+    $or: [
+      { role: 'judge', status: 'active', isDeleted: { $ne: true }, assignedLevel: round.level },
+      { _id: { $in: [...scoresByJudge.keys()] } }
+    ]
+  }).select('name email assignedRegion assignedCouncil').lean();
+
+  const judges = judgeUsers.map((judge) => ({
+    judgeId: String(judge._id),
+    judgeName: judge.name || 'Unknown',
+    judgeEmail: judge.email || '',
+    region: judge.assignedRegion || null,
+    council: judge.assignedCouncil || null,
+    ...summarizeJudgeCalibration(scoresByJudge.get(String(judge._id)) || [], exemplarsById, settings)
+  })).sort((a, b) => (
+    (b.meanAbsoluteDeviation ?? -1) - (a.meanAbsoluteDeviation ?? -1) || a.judgeName.localeCompare(b.judgeName)
+  ));
+
+  const countByStatus = (status) => judges.filter((judge) => judge.status === status).length;
+  return {
+    settings,
+    open: isCalibrationOpen(round),
+    exemplars: exemplars.map((exemplar) => ({
+      ...exemplar,
+      scoredBy: [...scoresByJudge.values()]
+        .filter((judgeScores) => judgeScores.some((score) => String(score.exemplarId) === String(exemplar._id)))
+        .length
+    })),
+    summary: {
+      judges: judges.length,
+      passed: countByStatus('passed'),
+      failed: countByStatus('failed'),
+      completed: countByStatus('completed'),
+      incomplete: countByStatus('incomplete'),
+      notStarted: countByStatus('not_started')
+    },
+    judges
+  };
+};
+
+/**
+ * Judges calibration lets onto a round's assignments: null when the round
+ * does not block on calibration (blocking needs exemplars and a
+ * maxDeviation), otherwise the ids of judges who passed.
+ * @param {Object} round
+ * @returns {Promise<Set<string>|null>}
+ */
+const getCalibrationClearedJudgeIds = async (round) => {
+  const settings = resolveCalibrationSettings(round);
+  if (!round?._id || !settings.blockFailedJudges || settings.maxDeviation === null) return null;
+
+  const { exemplarsById, scoresByJudge } = await loadRoundCalibration(round);
+  if (exemplarsById.size === 0) return null;
+
+  const cleared = new Set();
+  for (const [judgeId, judgeScores] of scoresByJudge.entries()) {
+    if (summarizeJudgeCalibration(judgeScores, exemplarsById, settings).status === 'passed') {
+      cleared.add(judgeId);
+    }
+  }
+  return cleared;
+};
+
+/**
+ * Drop judges calibration keeps off the round.
+ * @param {Array} judges - Judge documents
+ * @param {Set<string>|null} clearedJudgeIds - From getCalibrationClearedJudgeIds
+ * @returns {Array}
+ */
+const filterCalibratedJudges = (judges, clearedJudgeIds) => (
+  clearedJudgeIds ? judges.filter((judge) => clearedJudgeIds.has(String(judge._id))) : judges
+);
+
+/**
+ * Add or replace an exemplar's reference scores. Only while calibration is
+ * open and before any judge has scored the exemplar.
+ * @param {Object} round
+ * @param {Object} submission
+ * @param {Object} options - { scores, notes, createdBy }
+ * @returns {Promise<{ success: boolean, exemplar?: Object, status?: number, message?: string }>}
+ */
+const saveCalibrationExemplar = async (round, submission, { scores, notes = '', createdBy }) => {
+  if (!isCalibrationOpen(round)) {
+    return { success: false, status: 400, message: 'Calibration can only be set up before the round is activated' };
+  }
+  if (submission.isDeleted || submission.disqualified === true) {
+    return { success: false, status: 400, message: 'Deleted or disqualified submissions cannot be exemplars' };
+  }
+
+  const verdict = await validateSubmissionScores(submission, scores || {});
+  if (!verdict.ok) {
+    return { success: false, status: 400, message: verdict.message };
+  }
+
+  const existing = await CalibrationExemplar.findOne({ roundId: round._id, submissionId: submission._id });
+  if (existing && await CalibrationScore.exists({ exemplarId: existing._id })) {
+    return { success: false, status: 409, message: 'Judges have already scored this exemplar; its reference can no longer change' };
+  }
+
+  const exemplar = await CalibrationExemplar.findOneAndUpdate(
+    { roundId: round._id, submissionId: submission._id },
+    {
+      roundId: round._id,
+      submissionId: submission._id,
+      referenceScores: scores,
+      referenceTotalScore: verdict.totalScore,
+      referenceAverageScore: verdict.averageScore,
+      notes,
+      createdBy
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return { success: true, exemplar, created: !existing };
+};
+
+/**
+ * Remove an exemplar and the judges' scores for it while calibration is open;
+ * judge results are recomputed from the remaining exemplars.
+ * @param {Object} round
+ * @param {ObjectId|string} exemplarId
+ * @returns {Promise<{ success: boolean, removedScores?: number, status?: number, message?: string }>}
+ */
+const removeCalibrationExemplar = async (round, exemplarId) => {
+  if (!isCalibrationOpen(round)) {
+    return { success: false, status: 400, message: 'Calibration can only be changed before the round is activated' };
+  }
+  const exemplar = await CalibrationExemplar.findOneAndDelete({ _id: exemplarId, roundId: round._id });
+  if (!exemplar) {
+    return { success: false, status: 404, message: 'Calibration exemplar not found' };
+  }
+  const { deletedCount } = await CalibrationScore.deleteMany({ exemplarId: exemplar._id });
+  return { success: true, removedScores: deletedCount || 0 };
+};
+
+/**
+ * Record a judge's score for an exemplar and return their updated result.
+ * Each exemplar is scored once, while calibration is open, by judges at the
+ * round's level.
+ * @param {Object} exemplar - CalibrationExemplar document
+ * @param {Object} judge - Judge user
+ * @param {Object} options - { scores }
+ * @returns {Promise<{ success: boolean, calibrationScore?: Object, result?: Object, status?: number, message?: string }>}
+ */
+const submitCalibrationScore = async (exemplar, judge, { scores }) => {
+  const round = await CompetitionRound.findById(exemplar.roundId);
+  if (!round || !isCalibrationOpen(round)) {
+    return { success: false, status: 400, message: 'Calibration for this round is closed' };
+  }
+  if (judge.assignedLevel !== round.level) {
+    return { success: false, status: 403, message: `Calibration for this round is for ${round.level} judges` };
+  }
+  if (await CalibrationScore.exists({ exemplarId: exemplar._id, judgeId: judge._id })) {
+    return { success: false, status: 409, message: 'You have already scored this exemplar' };
+  }
+
+  const submission = await Submission.findById(exemplar.submissionId);
+  if (!submission) {
+    return { success: false, status: 404, message: 'Exemplar submission not found' };
+  }
+  const verdict = await validateSubmissionScores(submission, scores || {});
+  if (!verdict.ok) {
+    return { success: false, status: 400, message: verdict.message };
+  }
+
+  const calibrationScore = await CalibrationScore.create({
+    roundId: round._id,
+    exemplarId: exemplar._id,
+    judgeId: judge._id,
+    scores,
+    totalScore: verdict.totalScore,
+    averageScore: verdict.averageScore,
+    deviation: roundStat(verdict.totalScore - exemplar.referenceTotalScore)
+  });
+
+  return {
+    success: true,
+    calibrationScore,
+    result: await getJudgeCalibrationResult(round, judge._id)
+  };
+};
+
+/**
+ * A judge's own calibration result for a round.
+ * @param {Object} round
+ * @param {ObjectId|string} judgeId
+ * @returns {Promise<Object>}
+ */
+const getJudgeCalibrationResult = async (round, judgeId) => {
+  const settings = resolveCalibrationSettings(round);
+  const { exemplarsById, scoresByJudge } = await loadRoundCalibration(round);
+  return {
+    ...summarizeJudgeCalibration(scoresByJudge.get(String(judgeId)) || [], exemplarsById, settings),
+    maxDeviation: settings.maxDeviation,
+    blocksAssignment: settings.blockFailedJudges && settings.maxDeviation !== null
+  };
+};
+
+/**
+ * Calibration a judge can take now: every round at their level that has not
+ * been activated and has exemplars. The reference scores and notes of an
+ * exemplar are only included once the judge has scored it.
+ * @param {Object} judge - Judge user
+ * @returns {Promise<Array<{ round: Object, exemplars: Array, result: Object }>>}
+ */
+const getJudgeCalibrationWork = async (judge) => {
+  if (!judge?.assignedLevel) return [];
+  const rounds = await CompetitionRound.find({
+    level: judge.assignedLevel,
+    status: { $in: CALIBRATION_OPEN_STATUSES }
+  }).sort({ year: -1, createdAt: -1 });
+
+  const work = [];
+  for (const round of rounds) {
+    const settings = resolveCalibrationSettings(round);
+    const { exemplars, exemplarsById, scoresByJudge } = await loadRoundCalibration(round);
+    if (exemplars.length === 0) continue;
+
+    const judgeScores = scoresByJudge.get(String(judge._id)) || [];
+    const scoreByExemplar = new Map(judgeScores.map((score) => [String(score.exemplarId), score]));
+    const submissions = await Submission.find({ _id: { $in: exemplars.map((exemplar) => exemplar.submissionId) } });
+    const submissionsById = new Map(submissions.map((submission) => [String(submission._id), submission]));
+
+    work.push({
+      round: { _id: round._id, year: round.year, level: round.level, status: round.status },
+      exemplars: exemplars.map((exemplar) => {
+        const score = scoreByExemplar.get(String(exemplar._id)) || null;
+        return {
+          _id: exemplar._id,
+          submission: submissionsById.get(String(exemplar.submissionId)) || null,
+          scored: Boolean(score),
+          score: score
+            ? { scores: score.scores, totalScore: score.totalScore, deviation: score.deviation, submittedAt: score.submittedAt }
+            : null,
+          reference: score
+            ? { scores: exemplar.referenceScores, totalScore: exemplar.referenceTotalScore, notes: exemplar.notes }
+            : null
+        };
+      }),
+      result: {
+        ...summarizeJudgeCalibration(judgeScores, exemplarsById, settings),
+        maxDeviation: settings.maxDeviation,
+        blocksAssignment: settings.blockFailedJudges && settings.maxDeviation !== null
+      }
+    });
+  }
+  return work;
+};
+
+module.exports = {
+  CALIBRATION_OPEN_STATUSES,
+  resolveCalibrationSettings,
+  isCalibrationOpen,
+  summarizeJudgeCalibration,
+  getCalibrationReport,
+  getCalibrationClearedJudgeIds,
+  filterCalibratedJudges,
+  saveCalibrationExemplar,
+  removeCalibrationExemplar,
+  submitCalibrationScore,
+  getJudgeCalibrationResult,
+  getJudgeCalibrationWork
+};
@@ -0,0 +1,48 @@
+// Judges per submission when a round does not set panelSize
+const DEFAULT_PANEL_SIZE_BY_LEVEL = {
+  Council: 1,
+  Regional: 1,
+  National: 3
+};
+
+/**
+ * How many judges score each submission in a round: the round's panelSize,
+ * or the level default (one judge for Council/Regional, three for National).
+ * @param {Object} round - Round with level and panelSize
+ * @returns {number}
+ */
+const resolvePanelSize = (round) => {
+  const configured = Number(round?.panelSize);
+  if (Number.isFinite(configured) && configured >= 1) {
+    return Math.floor(configured);
+  }
+  return DEFAULT_PANEL_SIZE_BY_LEVEL[round?.level] || 1;
+};
+
+/**
+ * The first panelSize distinct judges assigned to each submission, in
+ * assignment order. Later assignments beyond the panel are ignored.
+ * @param {Array} assignments - { submissionId, judgeId } sorted oldest first
+ * @param {number} panelSize
+ * @returns {Map<string, Set<string>>}
+ */
+const groupPanelJudgeIdsBySubmission = (assignments, panelSize) => {
+  const panelJudgeIdsBySubmission = new Map();
+  for (const assignment of assignments) {
+    const judgeId = assignment.judgeId ? String(assignment.judgeId) : null;
+    if (!judgeId) continue;
+    const submissionId = String(assignment.submissionId);
+    if (!panelJudgeIdsBySubmission.has(submissionId)) {
+      panelJudgeIdsBySubmission.set(submissionId, new Set());
+    }
+    const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId);
+    if (panelJudgeIds.size < panelSize) panelJudgeIds.add(judgeId);
+  }
+  return panelJudgeIdsBySubmission;
+};
+
+module.exports = {
+  DEFAULT_PANEL_SIZE_BY_LEVEL,
+  resolvePanelSize,
+  groupPanelJudgeIdsBySubmission
+};
@@ -0,0 +1,228 @@
+const CompetitionRound = require('../models/CompetitionRound');
+const Submission = require('../models/Submission');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+const Evaluation = require('../models/Evaluation');
+const JudgeReassignment = require('../models/JudgeReassignment');
+const notificationService = require('../services/notificationService');
+const { assignRoundSubmissionsToJudges } = require('./roundJudgementService');
+const { assignModeratorToSubmission } = require('./judgeAssignment');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('./logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+const REASON_LABELS = {
+  judge_suspended: 'suspended',
+  judge_inactive: 'deactivated',
+  judge_deleted: 'removed'
+};
+
+/**
+ * Why a judge update makes them unavailable for judging, or null if it does not.
+ * @param {Object} before - Judge before the change
+ * @param {Object} after - Judge after the change
+ * @returns {string|null} JudgeReassignment reason
+ */
+const getUnavailabilityReason = (before, after) => {
+  if (!before || before.role !== 'judge') return null;
+  if (after.isDeleted && !before.isDeleted) return 'judge_deleted';
+  if (before.status === 'active' && after.status === 'suspended') return 'judge_suspended';
+  if (before.status === 'active' && after.status === 'inactive') return 'judge_inactive';
+  return null;
+};
+
+const notifyNewJudges = async (round, assignments, submissionsById) => {
+  for (const assignment of assignments) {
+    const submission = submissionsById.get(String(assignment.submissionId));
+    notificationService.handleJudgeAssigned({
+      userId: String(assignment.judgeId),
+      submissionId: String(assignment.submissionId),
+      teacherName: round.blindJudging ? undefined : submission?.teacherName,
+      subject: submission?.subject,
+      areaOfFocus: submission?.areaOfFocus,
+      level: assignment.level,
+      region: assignment.region,
+      council: assignment.council
+    }).catch((error) => {
+      console.error('Error sending judge assignment notification:', error);
+    });
+  }
+  if (assignments.length > 0) {
+    await SubmissionAssignment.updateMany(
+      { _id: { $in: assignments.map((assignment) => assignment._id) } },
+      { $set: { judgeNotified: true } }
+    );
+  }
+};
+
+/**
+ * Move a judge's unevaluated assignments in active rounds to eligible judges,
+ * using the same rules as round assignment (conflicts, workload, capacity,
+ * panel size); a pending moderation assignment goes to a new moderator from
+ * outside the panel. Evaluated assignments stay with the judge. The judge
+ * must already be unavailable (not active, or soft-deleted) so they are not
+ * picked again.
+ * @param {Object} judge - Judge user document
+ * @param {Object} options - { reason, triggeredBy }
+ * @returns {Promise<{ judgeId: string, reason: string, moved: number, reassigned: number, unassigned: number, keptEvaluated: number, rounds: Array }>}
+ */
+const reassignAssignmentsFromJudge = async (judge, { reason, triggeredBy = null } = {}) => {
+  const report = {
+    judgeId: String(judge._id),
+    reason,
+    moved: 0,
+    reassigned: 0,
+    unassigned: 0,
+    keptEvaluated: 0,
+    rounds: []
+  };
+
+  const activeRoundIds = await CompetitionRound.find({ status: 'active' }).distinct('_id');
+  if (activeRoundIds.length === 0) return report;
+
+  const assignments = await SubmissionAssignment.find({
+    judgeId: judge._id,
+    roundId: { $in: activeRoundIds }
+  }).lean();
+  if (assignments.length === 0) return report;
+
+  const evaluated = new Set(
+    (await Evaluation.find({
+      judgeId: judge._id,
+      roundId: { $in: activeRoundIds },
+      submissionId: { $in: assignments.map((assignment) => assignment.submissionId) }
+    }).select('roundId submissionId').lean())
+      .map((evaluation) => `${evaluation.roundId}:${evaluation.submissionId}`)
+  );
+  const pendingAssignments = assignments.filter(
+    (assignment) => !evaluated.has(`${assignment.roundId}:${assignment.submissionId}`)
+  );
+  report.keptEvaluated = assignments.length - pendingAssignments.length;
+  if (pendingAssignments.length === 0) return report;
+
+  await SubmissionAssignment.deleteMany({ _id: { $in: pendingAssignments.map((assignment) => assignment._id) } });
+
+  const assignmentsByRound = new Map();
+  for (const assignment of pendingAssignments) {
+    const key = String(assignment.roundId);
+    if (!assignmentsByRound.has(key)) assignmentsByRound.set(key, []);
+    assignmentsByRound.get(key).push(assignment);
+  }
+
+  const records = [];
+  for (const [roundId, roundAssignments] of assignmentsByRound.entries()) {
+    const round = await CompetitionRound.findById(roundId);
+    const submissionIds = roundAssignments
+      .filter((assignment) => !assignment.isModeration)
+      .map((assignment) => assignment.submissionId);
+    const submissions = submissionIds.length > 0
+      ? await Submission.find({ _id: { $in: submissionIds } })
+        .select('_id region council areaOfFocus status disqualified teacherName subject')
+      : [];
+    const submissionsById = new Map(submissions.map((submission) => [String(submission._id), submission]));
+
+    const startedAt = new Date();
+    const result = submissions.length > 0
+      ? await assignRoundSubmissionsToJudges(round, submissions)
+      : {};
+    const newAssignments = submissions.length > 0
+      ? await SubmissionAssignment.find({
+        roundId: round._id,
+        submissionId: { $in: submissionIds },
+        judgeId: { $ne: judge._id },
+        isModeration: { $ne: true },
+        createdAt: { $gte: startedAt }
+      }).select('submissionId judgeId level region council').lean()
+      : [];
+    await notifyNewJudges(round, newAssignments, submissionsById);
+
+    const newJudgeIdsBySubmission = new Map();
+    for (const assignment of newAssignments) {
+      const key = String(assignment.submissionId);
+      if (!newJudgeIdsBySubmission.has(key)) newJudgeIdsBySubmission.set(key, []);
+      newJudgeIdsBySubmission.get(key).push(assignment.judgeId);
+    }
+
+    // Round assignment only fills panel seats; moderators are replaced one by one
+    for (const assignment of roundAssignments.filter((item) => item.isModeration)) {
+      const submission = await Submission.findById(assignment.submissionId);
+      const moderation = submission ? await assignModeratorToSubmission(submission, round) : null;
+      if (moderation?.success && moderation.assignment) {
+        newJudgeIdsBySubmission.set(String(assignment.submissionId), [moderation.assignment.judgeId]);
+      }
+    }
+
+    let roundReassigned = 0;
+    for (const assignment of roundAssignments) {
+      const toJudgeIds = newJudgeIdsBySubmission.get(String(assignment.submissionId)) || [];
+      if (toJudgeIds.length > 0) roundReassigned += 1;
+      records.push({
+        roundId: round._id,
+        submissionId: assignment.submissionId,
+        level: assignment.level,
+        region: assignment.region || null,
+        council: assignment.council || null,
+        fromJudgeId: judge._id,
+        toJudgeIds,
+        reason,
+        status: toJudgeIds.length > 0 ? 'reassigned' : 'unassigned',
+        triggeredBy
+      });
+    }
+
+    report.rounds.push({
+      roundId,
+      level: round.level,
+      moved: roundAssignments.length,
+      reassigned: roundReassigned,
+      unassigned: roundAssignments.length - roundReassigned,
+      capacityExhausted: result.capacityExhausted || 0
+    });
+  }
+
+  await JudgeReassignment.insertMany(records);
+  report.moved = records.length;
+  report.reassigned = records.filter((record) => record.status === 'reassigned').length;
+  report.unassigned = report.moved - report.reassigned;
+
+  await notificationService.emit('SYSTEM_NOTIFICATION', {
+    userId: judge._id,
+    title: 'Judging assignments reassigned',
+    message: `Your account was ${REASON_LABELS[reason] || 'made unavailable'}, so ${report.moved} submission(s) you had not yet evaluated were reassigned to other judges.`,
+    metadata: {
+      event: 'judge_assignments_reassigned',
+      reason,
+      moved: report.moved
+    },
+    sendEmail: true
+  });
+
+  logger.logSystemEvent(
+    'Reassigned submissions from unavailable judge',
+    null,
+    {
+      judgeId: report.judgeId,
+      reason,
+      moved: report.moved,
+      reassigned: report.reassigned,
+      unassigned: report.unassigned,
+      rounds: report.rounds
+    },
+    report.unassigned > 0 ? 'warning' : 'success',
+    'update'
+  ).catch(() => {});
+
+  return report;
+};
+
+module.exports = {
+  getUnavailabilityReason,
+  reassignAssignmentsFromJudge
+};
@@ -0,0 +1,221 @@
+const Evaluation = require('../models/Evaluation');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { parseAreaId } = require('./roundJudgementService');
+const { normalizeAreaOfFocus, matchesAreaOfFocus } = require('./areaOfFocus');
+
+// A judge needs this many panel submissions shared with other judges before they can be flagged
+const MIN_PANEL_COMPARISONS_FOR_FLAG = 3;
+// Bias of at least this many standard deviations of all panel deviations marks a judge as an outlier
+const OUTLIER_BIAS_THRESHOLD = 1;
+// Share of a flagged judge's panel deviations that must point the same way as their bias
+const OUTLIER_CONSISTENCY_THRESHOLD = 0.75;
+
+// Krippendorff's guideline cut-offs for alpha
+const AGREEMENT_RATINGS = [
+  { min: 0.8, rating: 'good' },
+  { min: 0.667, rating: 'tentative' }
+];
+
+const roundStat = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const mean = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return null;
+  const valuesMean = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + ((value - valuesMean) ** 2), 0) / (values.length - 1));
+};
+
+const toScoreEntries = (scores) => {
+  if (scores instanceof Map) return [...scores.entries()];
+  return scores && typeof scores === 'object' ? Object.entries(scores) : [];
+};
+
+// Sum of squared differences over ordered pairs of distinct values: 2 * (m * Σv² - (Σv)²)
+const pairwiseSquaredDifferences = (values) => {
+  const sum = values.reduce((total, value) => total + value, 0);
+  const sumOfSquares = values.reduce((total, value) => total + (value * value), 0);
+  return 2 * ((values.length * sumOfSquares) - (sum * sum));
+};
+
+/**
+ * Krippendorff's alpha with the interval metric. Each unit is the list of
+ * scores judges gave one submission; units with fewer than two scores are
+ * not pairable and are skipped, so uneven panels are handled.
+ * @param {Array<number[]>} units
+ * @returns {{ alpha: number|null, units: number, pairableValues: number, rating: string|null }}
+ */
+const krippendorffAlphaInterval = (units) => {
+  const pairableUnits = units.filter((values) => values.length >= 2);
+  const allValues = pairableUnits.flat();
+  const n = allValues.length;
+  if (pairableUnits.length < 2 || n < 3) {
+    return { alpha: null, units: pairableUnits.length, pairableValues: n, rating: null };
+  }
+
+  const observed = pairableUnits.reduce(
+    (total, values) => total + (pairwiseSquaredDifferences(values) / (values.length - 1)),
+    0
+  ) / n;
+  const expected = pairwiseSquaredDifferences(allValues) / (n * (n - 1));
+
+  // Every score identical: judges agree perfectly but alpha is undefined
+  const alpha = expected === 0 ? (observed === 0 ? 1 : null) : 1 - (observed / expected);
+  const rating = alpha === null
+    ? null
+    : (AGREEMENT_RATINGS.find((band) => alpha >= band.min)?.rating || 'poor');
+  return { alpha: roundStat(alpha), units: pairableUnits.length, pairableValues: n, rating };
+};
+
+/**
+ * Per-judge score statistics and panel agreement for a round, optionally
+ * limited to one leaderboard area and/or area of focus. Only submissions
+ * scored by two or more judges feed the bias and agreement figures.
+ *
+ * For each judge: mean and spread of their total scores, and bias = the mean
+ * of (their score - the other panel judges' mean) across shared submissions.
+ * A judge is flagged 'lenient' or 'harsh' when their bias is large against
+ * the spread of all panel deviations and points the same way on most of
+ * their submissions.
+ * @param {Object} round - CompetitionRound document
+ * @param {Object} options - { areaId, areaOfFocus }
+ * @returns {Promise<Object>}
+ */
+const getJudgeReliabilityReport = async (round, { areaId = null, areaOfFocus = null } = {}) => {
+  const evaluationQuery = round.level === 'National'
+    ? { roundId: round._id }
+    : { year: round.year, level: round.level };
+  const evaluations = await Evaluation.find(evaluationQuery)
+    .select('submissionId judgeId scores totalScore averageScore submittedAt updatedAt')
+    .sort({ submittedAt: -1, updatedAt: -1, _id: -1 })
+    .lean();
+
+  const submissionIds = [...new Set(evaluations.map((evaluation) => String(evaluation.submissionId)))];
+  const submissionQuery = { _id: { $in: submissionIds } };
+  if (areaId && round.level !== 'National') {
+    const { region, council } = parseAreaId(round.level, areaId);
+    submissionQuery.region = region;
+    if (round.level === 'Council') submissionQuery.council = council;
+  }
+  const normalizedAreaOfFocus = normalizeAreaOfFocus(areaOfFocus);
+  const scopedSubmissionIds = new Set(
+    (await Submission.find(submissionQuery).select('_id areaOfFocus').lean())
+      .filter((submission) => matchesAreaOfFocus(submission.areaOfFocus, normalizedAreaOfFocus))
+      .map((submission) => String(submission._id))
+  );
+
+  // Latest evaluation per judge and submission, grouped into panels
+  const panels = new Map();
+  for (const evaluation of evaluations) {
+    const submissionId = String(evaluation.submissionId);
+    if (!scopedSubmissionIds.has(submissionId)) continue;
+    if (!panels.has(submissionId)) panels.set(submissionId, new Map());
+    const panel = panels.get(submissionId);
+    const judgeId = String(evaluation.judgeId);
+    if (panel.has(judgeId)) continue;
+    panel.set(judgeId, {
+      total: Number(evaluation.totalScore || 0),
+      criteria: new Map(
+        toScoreEntries(evaluation.scores)
+          .map(([key, value]) => [key, Number(value)])
+          .filter(([, value]) => Number.isFinite(value))
+      )
+    });
+  }
+
+  const judgeStats = new Map();
+  const allDeviations = [];
+  const criterionUnits = new Map();
+  const totalUnits = [];
+  for (const panel of panels.values()) {
+    const panelScores = [...panel.entries()];
+    for (const [judgeId, score] of panelScores) {
+      if (!judgeStats.has(judgeId)) judgeStats.set(judgeId, { scores: [], deviations: [] });
+      judgeStats.get(judgeId).scores.push(score.total);
+    }
+    if (panelScores.length < 2) continue;
+
+    totalUnits.push(panelScores.map(([, score]) => score.total));
+    const panelSum = panelScores.reduce((sum, [, score]) => sum + score.total, 0);
+    for (const [judgeId, score] of panelScores) {
+      const othersMean = (panelSum - score.total) / (panelScores.length - 1);
+      const deviation = score.total - othersMean;
+      judgeStats.get(judgeId).deviations.push(deviation);
+      allDeviations.push(deviation);
+    }
+
+    const criterionKeys = new Set(panelScores.flatMap(([, score]) => [...score.criteria.keys()]));
+    for (const key of criterionKeys) {
+      if (!criterionUnits.has(key)) criterionUnits.set(key, []);
+      criterionUnits.get(key).push(
+        panelScores
+          .map(([, score]) => score.criteria.get(key))
+          .filter((value) => value !== undefined)
+      );
+    }
+  }
+
+  const deviationSpread = standardDeviation(allDeviations);
+  const judgeIds = [...judgeStats.keys()];
+  const judgeUsers = await User.find({ _id: { $in: judgeIds } }).select('name email').lean();
+  const judgeUserById = new Map(judgeUsers.map((judge) => [String(judge._id), judge]));
+
+  const judges = judgeIds.map((judgeId) => {
+    const { scores, deviations } = judgeStats.get(judgeId);
+    const bias = mean(deviations);
+    let flag = null;
+    if (
+      deviations.length >= MIN_PANEL_COMPARISONS_FOR_FLAG
+      && deviationSpread
+      && Math.abs(bias) >= OUTLIER_BIAS_THRESHOLD * deviationSpread
+    ) {
+      const sameDirection = deviations.filter((deviation) => Math.sign(deviation) === Math.sign(bias)).length;
+      if (sameDirection / deviations.length >= OUTLIER_CONSISTENCY_THRESHOLD) {
+        flag = bias > 0 ? 'lenient' : 'harsh';
+      }
+    }
+    const judge = judgeUserById.get(judgeId);
+    return {
+      judgeId,
+      judgeName: judge?.name || 'Unknown',
+      judgeEmail: judge?.email || '',
+      evaluations: scores.length,
+      mean: roundStat(mean(scores)),
+      standardDeviation: roundStat(standardDeviation(scores)),
+      panelComparisons: deviations.length,
+      bias: roundStat(bias),
+      meanAbsoluteDeviation: roundStat(mean(deviations.map((deviation) => Math.abs(deviation)))),
+      flag
+    };
+  }).sort((a, b) => Math.abs(b.bias || 0) - Math.abs(a.bias || 0) || a.judgeName.localeCompare(b.judgeName));
+
+  return {
+    areaId: areaId || null,
+    areaOfFocus: areaOfFocus || null,
+    summary: {
+      submissions: panels.size,
+      panelSubmissions: totalUnits.length,
+      judges: judges.length,
+      flaggedJudges: judges.filter((judge) => judge.flag).length,
+      deviationSpread: roundStat(deviationSpread)
+    },
+    agreement: {
+      metric: 'krippendorff_alpha_interval',
+      overall: krippendorffAlphaInterval(totalUnits),
+      criteria: [...criterionUnits.entries()]
+        .map(([key, units]) => ({ key, ...krippendorffAlphaInterval(units) }))
+        .sort((a, b) => a.key.localeCompare(b.key))
+    },
+    judges
+  };
+};
+
+module.exports = {
+  MIN_PANEL_COMPARISONS_FOR_FLAG,
+  OUTLIER_BIAS_THRESHOLD,
+  krippendorffAlphaInterval,
+  getJudgeReliabilityReport
+};
@@ -0,0 +1,127 @@
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+const Evaluation = require('../models/Evaluation');
+
+// Judge fields needed to resolve per-judge capacity
+const JUDGE_CAPACITY_FIELDS = 'maxAssignmentsPerRound';
+
+// How many pending submissions a judge who has completed none of their
+// assignments counts as carrying on top of their actual pending load
+const COMPLETION_RATE_WEIGHT = 2;
+
+const toPositiveLimit = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 1 ? Math.floor(parsed) : null;
+};
+
+/**
+ * Most submissions a judge may hold in a round: the lower of the round's
+ * maxAssignmentsPerJudge and the judge's maxAssignmentsPerRound.
+ * @param {Object} judge
+ * @param {Object} round
+ * @returns {number|null} null when neither sets a limit
+ */
+const resolveJudgeCapacity = (judge, round) => {
+  const limits = [
+    toPositiveLimit(round?.maxAssignmentsPerJudge),
+    toPositiveLimit(judge?.maxAssignmentsPerRound)
+  ].filter((limit) => limit !== null);
+  return limits.length > 0 ? Math.min(...limits) : null;
+};
+
+const emptyWorkload = () => ({ assigned: 0, completed: 0, pending: 0, completionRate: null });
+
+/**
+ * Current workload of judges in a round. An assignment is completed once the
+ * judge has an evaluation for that submission in the round.
+ * @param {ObjectId|string} roundId
+ * @param {Array<ObjectId|string>} judgeIds
+ * @returns {Promise<Map<string, { assigned: number, completed: number, pending: number, completionRate: number|null }>>}
+ */
+const getJudgeWorkloads = async (roundId, judgeIds) => {
+  const workloads = new Map(judgeIds.map((judgeId) => [String(judgeId), emptyWorkload()]));
+  if (!roundId || workloads.size === 0) return workloads;
+
+  const [assignments, evaluations] = await Promise.all([
+    SubmissionAssignment.find({ roundId, judgeId: { $in: judgeIds } }).select('judgeId submissionId').lean(),
+    Evaluation.find({ roundId, judgeId: { $in: judgeIds } }).select('judgeId submissionId').lean()
+  ]);
+
+  const evaluated = new Set(evaluations.map((evaluation) => `${evaluation.judgeId}:${evaluation.submissionId}`));
+  for (const assignment of assignments) {
+    const workload = workloads.get(String(assignment.judgeId));
+    if (!workload) continue;
+    workload.assigned += 1;
+    if (evaluated.has(`${assignment.judgeId}:${assignment.submissionId}`)) {
+      workload.completed += 1;
+    } else {
+      workload.pending += 1;
+    }
+  }
+
+  for (const workload of workloads.values()) {
+    workload.completionRate = workload.assigned > 0 ? workload.completed / workload.assigned : null;
+  }
+  return workloads;
+};
+
+/**
+ * Lower is lighter. Judges with no assignments yet are treated as fully up to date.
+ * @param {{ pending: number, completionRate: number|null }} workload
+ * @returns {number}
+ */
+const computeLoadScore = (workload) => (
+  workload.pending + (1 - (workload.completionRate ?? 1)) * COMPLETION_RATE_WEIGHT
+);
+
+/**
+ * Load-aware judge picker for one round. Picks the candidate with the lowest
+ * load score who still has capacity, and tracks assignments made through it.
+ * @param {Object} round - Round with _id and maxAssignmentsPerJudge
+ * @param {Array} judges - Candidate judges (with maxAssignmentsPerRound)
+ * @param {Object} options - { enforceCapacity } (default true)
+ * @returns {Promise<{ pick: Function, record: Function, hasCapacity: Function, getWorkload: Function, getCapacity: Function }>}
+ */
+const createWorkloadBalancer = async (round, judges, { enforceCapacity = true } = {}) => {
+  const workloads = await getJudgeWorkloads(round._id, judges.map((judge) => judge._id));
+  const getWorkload = (judgeId) => {
+    const key = String(judgeId);
+    if (!workloads.has(key)) workloads.set(key, emptyWorkload());
+    return workloads.get(key);
+  };
+  const getCapacity = (judge) => (enforceCapacity ? resolveJudgeCapacity(judge, round) : null);
+  const hasCapacity = (judge) => {
+    const capacity = getCapacity(judge);
+    return capacity === null || getWorkload(judge._id).assigned < capacity;
+  };
+
+  const pick = (candidates) => {
+    const available = candidates.filter(hasCapacity);
+    if (available.length === 0) return null;
+
+    return available
+      .map((judge) => ({ judge, workload: getWorkload(judge._id) }))
+      .sort((left, right) => (
+        computeLoadScore(left.workload) - computeLoadScore(right.workload)
+        || left.workload.assigned - right.workload.assigned
+        || String(left.judge._id).localeCompare(String(right.judge._id))
+      ))[0].judge;
+  };
+
+  const record = (judge) => {
+    const workload = getWorkload(judge._id);
+    workload.assigned += 1;
+    workload.pending += 1;
+    workload.completionRate = workload.completed / workload.assigned;
+  };
+
+  return { pick, record, hasCapacity, getWorkload, getCapacity };
+};
+
+module.exports = {
+  JUDGE_CAPACITY_FIELDS,
+  COMPLETION_RATE_WEIGHT,
+  resolveJudgeCapacity,
+  getJudgeWorkloads,
+  computeLoadScore,
+  createWorkloadBalancer
+};
@@ -0,0 +1,138 @@
+/**
+ * Conditional and partial responses for streamed media (videos, lesson plan PDFs).
+ * Supports single byte ranges (206 Partial Content), ETag / If-None-Match (304),
+ * If-Range and HEAD requests.
+ */
+
+const { getStorage } = require('../services/storage');
+
+/**
+ * Strong validator derived from object size and modification time.
+ * Uploaded media is never rewritten in place, so this is stable per file.
+ * @param {{ size: number, lastModified: Date }} stats
+ * @returns {string}
+ */
+function buildEtag(stats) {
+  return `"${stats.size.toString(16)}-${new Date(stats.lastModified).getTime().toString(16)}"`;
+}
+
+/**
+ * Check an If-None-Match header against the current ETag.
+ * @param {string|undefined} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Parse a Range header for a single byte range.
+ * @param {string|undefined} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+ * @param {number} size - Total file size
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null} null = serve whole file
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Malformed or multi-range requests are answered with the full file
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Send a stored object honouring Range, If-Range and If-None-Match.
+ * Content-Type and Content-Disposition should be set by the caller.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key, e.g. `videos/<filename>`
+ * @param {{ size: number, lastModified: Date }} [knownStats] - Result of storage.stat(key), if already fetched
+ * @returns {Promise<void>}
+ */
+async function sendMediaFile(req, res, key, knownStats = null) {
+  const storage = getStorage();
+  const stats = knownStats || await storage.stat(key);
+  if (!stats) {
+    res.sendStatus(404);
+    return;
+  }
+  const etag = buildEtag(stats);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', new Date(stats.lastModified).toUTCString());
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.status(304).end();
+    return;
+  }
+
+  // If-Range: only honour the range when the client's copy is still current
+  const ifRange = req.headers['if-range'];
+  const rangeHeader = !ifRange || ifRange.trim() === etag ? req.headers.range : undefined;
+  const range = parseRange(rangeHeader, stats.size);
+
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${stats.size}`);
+    res.status(416).end();
+    return;
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  if (range) {
+    ({ start, end } = range);
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+  } else {
+    res.status(200);
+  }
+  res.setHeader('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    res.end();
+    return;
+  }
+
+  const stream = await storage.createReadStream(key, { start, end });
+  await new Promise((resolve) => {
+    const cleanup = () => stream.destroy();
+    res.on('close', cleanup);
+    stream.on('error', (error) => {
+      console.error('Media stream error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).end();
+      } else {
+        res.destroy(error);
+      }
+      resolve();
+    });
+    stream.on('end', resolve);
+    stream.pipe(res);
+  });
+}
+
+module.exports = {
+  buildEtag,
+  parseRange,
+  sendMediaFile
+};
@@ -0,0 +1,179 @@
+const Evaluation = require('../models/Evaluation');
+const SubmissionAssignment = require('../models/SubmissionAssignment');
+const { assignModeratorToSubmission } = require('./judgeAssignment');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('./logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+/**
+ * The round's moderation threshold, or null when moderation is off.
+ * @param {Object} round - Round with moderationThreshold
+ * @returns {number|null}
+ */
+const resolveModerationThreshold = (round) => {
+  const threshold = Number(round?.moderationThreshold);
+  return round?.moderationThreshold !== null
+    && round?.moderationThreshold !== undefined
+    && Number.isFinite(threshold)
+    && threshold >= 0
+    ? threshold
+    : null;
+};
+
+/**
+ * Whether a submission's panel scores diverge beyond the threshold. The
+ * spread is the gap between the highest and lowest panel total score;
+ * moderating evaluations are not part of it. Upheld appeal regrades are
+ * saved as moderating evaluations but do not moderate the panel.
+ * @param {Array} judgeScores - { judgeId, totalScore, isModeration, isAppeal }
+ * @param {number|null} threshold
+ * @returns {{ required: boolean, moderated: boolean, spread: number|null }}
+ */
+const getPanelModerationState = (judgeScores = [], threshold = null) => {
+  const panelTotals = judgeScores
+    .filter((judgeScore) => !judgeScore.isModeration)
+    .map((judgeScore) => Number(judgeScore.totalScore))
+    .filter((value) => Number.isFinite(value));
+  const spread = panelTotals.length >= 2
+    ? Math.round((Math.max(...panelTotals) - Math.min(...panelTotals)) * 100) / 100
+    : null;
+  return {
+    required: threshold !== null && spread !== null && spread > threshold,
+    moderated: judgeScores.some((judgeScore) => judgeScore.isModeration && !judgeScore.isAppeal),
+    spread
+  };
+};
+
+const toJudgeScores = (evaluations) => evaluations.map((evaluation) => ({
+  judgeId: String(evaluation.judgeId),
+  totalScore: Number(evaluation.totalScore || 0),
+  isModeration: evaluation.isModeration === true,
+  isAppeal: Boolean(evaluation.appealId)
+}));
+
+/**
+ * Moderation state of one submission in a round, from its evaluations there.
+ * @param {ObjectId|string} submissionId
+ * @param {Object} round
+ * @returns {Promise<{ required: boolean, moderated: boolean, spread: number|null, threshold: number|null }>}
+ */
+const getSubmissionModerationState = async (submissionId, round) => {
+  const threshold = resolveModerationThreshold(round);
+  const evaluations = threshold === null
+    ? []
+    : await Evaluation.find({ roundId: round._id, submissionId })
+      .select('judgeId totalScore isModeration appealId')
+      .lean();
+  return { ...getPanelModerationState(toJudgeScores(evaluations), threshold), threshold };
+};
+
+/**
+ * Check a submission after a panel evaluation is saved. When the panel's
+ * scores diverge beyond the round's threshold and nobody has moderated yet,
+ * an extra judge is assigned to moderate. If no judge is available the area
+ * admin must add the moderating evaluation.
+ * @param {Object} submission
+ * @param {Object} round
+ * @returns {Promise<Object>} Moderation state with status:
+ *   'not_required', 'moderated', 'moderator_assigned' or 'awaiting_admin'
+ */
+const flagSubmissionForModeration = async (submission, round) => {
+  const state = await getSubmissionModerationState(submission._id, round);
+  if (!state.required) return { ...state, status: 'not_required' };
+  if (state.moderated) return { ...state, status: 'moderated' };
+
+  const existingModerator = await SubmissionAssignment.findOne({
+    roundId: round._id,
+    submissionId: submission._id,
+    isModeration: true
+  }).select('judgeId').lean();
+  if (existingModerator) {
+    return { ...state, status: 'moderator_assigned', moderatorJudgeId: String(existingModerator.judgeId) };
+  }
+
+  const result = await assignModeratorToSubmission(submission, round);
+  const moderatorJudgeId = result.success && result.assignment ? String(result.assignment.judgeId) : null;
+
+  logger.logSystemEvent(
+    moderatorJudgeId
+      ? 'Panel scores diverged; moderator assigned'
+      : 'Panel scores diverged; no moderator available',
+    null,
+    {
+      roundId: String(round._id),
+      submissionId: String(submission._id),
+      spread: state.spread,
+      threshold: state.threshold,
+      moderatorJudgeId,
+      error: moderatorJudgeId ? null : result.error || null
+    },
+    moderatorJudgeId ? 'info' : 'warning',
+    'update'
+  ).catch(() => {});
+
+  return moderatorJudgeId
+    ? { ...state, status: 'moderator_assigned', moderatorJudgeId }
+    : { ...state, status: 'awaiting_admin', error: result.error || null };
+};
+
+/**
+ * Submissions in a round whose panel scores diverge beyond the threshold,
+ * moderated or not.
+ * @param {Object} round
+ * @returns {Promise<Array<{ submissionId: string, spread: number, moderated: boolean, scores: Array, moderatorJudgeIds: Array<string> }>>}
+ */
+const listSubmissionsNeedingModeration = async (round) => {
+  const threshold = resolveModerationThreshold(round);
+  if (threshold === null) return [];
+
+  const evaluations = await Evaluation.find({ roundId: round._id })
+    .select('submissionId judgeId totalScore isModeration appealId')
+    .lean();
+  const evaluationsBySubmission = new Map();
+  for (const evaluation of evaluations) {
+    const key = String(evaluation.submissionId);
+    if (!evaluationsBySubmission.has(key)) evaluationsBySubmission.set(key, []);
+    evaluationsBySubmission.get(key).push(evaluation);
+  }
+
+  const flagged = [];
+  for (const [submissionId, submissionEvaluations] of evaluationsBySubmission.entries()) {
+    const judgeScores = toJudgeScores(submissionEvaluations);
+    const state = getPanelModerationState(judgeScores, threshold);
+    if (!state.required) continue;
+    flagged.push({ submissionId, spread: state.spread, moderated: state.moderated, scores: judgeScores });
+  }
+  if (flagged.length === 0) return [];
+
+  const moderatorAssignments = await SubmissionAssignment.find({
+    roundId: round._id,
+    submissionId: { $in: flagged.map((item) => item.submissionId) },
+    isModeration: true
+  }).select('submissionId judgeId').lean();
+  const moderatorsBySubmission = new Map();
+  for (const assignment of moderatorAssignments) {
+    const key = String(assignment.submissionId);
+    if (!moderatorsBySubmission.has(key)) moderatorsBySubmission.set(key, []);
+    moderatorsBySubmission.get(key).push(String(assignment.judgeId));
+  }
+
+  return flagged
+    .map((item) => ({ ...item, moderatorJudgeIds: moderatorsBySubmission.get(item.submissionId) || [] }))
+    .sort((a, b) => Number(a.moderated) - Number(b.moderated) || b.spread - a.spread);
+};
+
+module.exports = {
+  resolveModerationThreshold,
+  getPanelModerationState,
+  getSubmissionModerationState,
+  flagSubmissionForModeration,
+  listSubmissionsNeedingModeration
+};
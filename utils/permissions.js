@@ -0,0 +1,117 @@
+/**
+ * Permission catalogue and role defaults.
+ * A user's effective permissions are their role defaults plus any permissions
+ * granted to them (User.permissions), minus any defaults revoked from them
+ * (User.revokedPermissions). Superadmin always holds every permission.
+ */
+
+const PERMISSIONS = {
+  'rounds.manage': 'Create, update, close and extend competition rounds',
+  'rounds.activate': 'Activate competition rounds and capture submission snapshots',
+  'leaderboard.approve': 'Approve area leaderboards and promote submissions',
+  'users.delete': 'Soft delete and permanently delete user accounts',
+  'users.permissions': 'Grant or revoke permissions for other users',
+  'logs.view': 'View system logs',
+  'logs.purge': 'Delete old system logs'
+};
+
+const ROLE_DEFAULT_PERMISSIONS = {
+  superadmin: Object.keys(PERMISSIONS),
+  admin: ['users.delete'],
+  judge: [],
+  teacher: [],
+  stakeholder: []
+};
+
+// National admins manage rounds alongside superadmin
+const NATIONAL_ADMIN_DEFAULT_PERMISSIONS = ['rounds.manage', 'rounds.activate'];
+
+/**
+ * Check whether a permission name exists in the catalogue.
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function isKnownPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+/**
+ * Default permissions for a user's role (and admin level).
+ * @param {Object} user - User with role and adminLevel
+ * @returns {string[]}
+ */
+function getRoleDefaultPermissions(user) {
+  if (!user) return [];
+  const defaults = [...(ROLE_DEFAULT_PERMISSIONS[user.role] || [])];
+  if (user.role === 'admin' && user.adminLevel === 'National') {
+    defaults.push(...NATIONAL_ADMIN_DEFAULT_PERMISSIONS);
+  }
+  return [...new Set(defaults)];
+}
+
+/**
+ * Effective permissions for a user.
+ * @param {Object} user - User with role, adminLevel, permissions, revokedPermissions
+ * @returns {string[]}
+ */
+function getEffectivePermissions(user) {
+  if (!user) return [];
+  if (user.role === 'superadmin') return Object.keys(PERMISSIONS);
+
+  const revoked = new Set(user.revokedPermissions || []);
+  const effective = new Set(getRoleDefaultPermissions(user));
+  for (const permission of user.permissions || []) {
+    if (isKnownPermission(permission)) effective.add(permission);
+  }
+  for (const permission of revoked) {
+    effective.delete(permission);
+  }
+  return [...effective].sort();
+}
+
+/**
+ * Check if a user holds a permission.
+ * @param {Object} user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return getEffectivePermissions(user).includes(permission);
+}
+
+/**
+ * Apply grant/revoke changes to a user's stored permission lists.
+ * Granting clears a previous revocation; revoking a role default records it
+ * in revokedPermissions so it stays off.
+ * @param {Object} user - User document (mutated)
+ * @param {{grant?: string[], revoke?: string[]}} changes
+ * @returns {{granted: string[], revoked: string[]}}
+ */
+function applyPermissionChanges(user, { grant = [], revoke = [] } = {}) {
+  const defaults = new Set(getRoleDefaultPermissions(user));
+  const granted = new Set(user.permissions || []);
+  const revoked = new Set(user.revokedPermissions || []);
+
+  for (const permission of grant) {
+    revoked.delete(permission);
+    if (!defaults.has(permission)) granted.add(permission);
+  }
+  for (const permission of revoke) {
+    granted.delete(permission);
+    if (defaults.has(permission)) revoked.add(permission);
+  }
+
+  user.permissions = [...granted].sort();
+  user.revokedPermissions = [...revoked].sort();
+  return { granted: user.permissions, revoked: user.revokedPermissions };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_DEFAULT_PERMISSIONS,
+  isKnownPermission,
+  getRoleDefaultPermissions,
+  getEffectivePermissions,
+  hasPermission,
+  applyPermissionChanges
+};
@@ -60,7 +60,7 @@ const findRoundsByLevel = async ({ level, year = null, includeHistorical = false
   if (year !== null && year !== undefined && Number.isFinite(Number(year))) {
     query.year = Number(year);
   }
-  const rounds = await CompetitionRound.find(query).select('_id year level status createdAt endTime');
+  const rounds = await CompetitionRound.find(query).select('_id year level status createdAt endTime maxAssignmentsPerJudge blindJudging panelSize calibration');
   return sortRoundsByPriority(rounds);
 };
 
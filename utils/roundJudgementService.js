@@ -13,7 +13,19 @@ const PromotionRecord = require('../models/PromotionRecord');
 const notificationService = require('../services/notificationService');
 const { getAdminScope } = require('./adminScope');
 const { resolveSubmissionRoundContext, isRoundActionable } = require('./roundContext');
-const { ensureSubmissionAssignmentIndexesReady } = require('./judgeAssignment');
+const { ensureSubmissionAssignmentIndexesReady, getRecusedJudgeIdsBySubmission } = require('./judgeAssignment');
+const {
+  JUDGE_CONFLICT_FIELDS,
+  SUBMISSION_CONFLICT_FIELDS,
+  getJudgeConflicts,
+  buildConflictExclusion,
+  partitionJudgesByConflict
+} = require('./conflictOfInterest');
+const { JUDGE_CAPACITY_FIELDS, createWorkloadBalancer } = require('./judgeWorkload');
+const { resolvePanelSize, groupPanelJudgeIdsBySubmission } = require('./judgePanel');
+const { resolveScoreNormalization, applyScoreNormalization } = require('./scoreNormalization');
+const { resolveModerationThreshold, getPanelModerationState } = require('./panelModeration');
+const { getCalibrationClearedJudgeIds, filterCalibratedJudges } = require('./judgeCalibration');
 const {
   getCanonicalAreaOfFocusLabel,
   normalizeAreaOfFocus,
@@ -27,7 +39,6 @@ const NEXT_LEVEL = {
   Regional: 'National',
   National: null
 };
-const NATIONAL_AREA_PANEL_SIZE = 3;
 
 const hasSubmissionVideo = (submission) => {
   const videoCandidates = [
@@ -557,7 +568,9 @@ const getLatestEvaluationJudgeSetsBySubmission = async ({
         judgeId: { $first: '$judgeId' },
         roundId: { $first: '$roundId' },
         averageScore: { $first: '$resolvedAverageScore' },
-        totalScore: { $first: '$resolvedTotalScore' }
+        totalScore: { $first: '$resolvedTotalScore' },
+        isModeration: { $first: '$isModeration' },
+        appealId: { $first: '$appealId' }
       }
     },
     {
@@ -567,19 +580,39 @@ const getLatestEvaluationJudgeSetsBySubmission = async ({
         roundIds: { $addToSet: '$roundId' },
         averageScore: { $avg: '$averageScore' },
         totalScore: { $avg: '$totalScore' },
-        totalEvaluations: { $sum: 1 }
+        totalEvaluations: { $sum: 1 },
+        judgeScores: {
+          $push: {
+            judgeId: '$judgeId',
+            averageScore: '$averageScore',
+            totalScore: '$totalScore',
+            isModeration: '$isModeration',
+            appealId: '$appealId'
+          }
+        }
       }
     }
   ]);
 
   const map = new Map();
   for (const item of grouped) {
+    const judgeScores = (item.judgeScores || []).map((judgeScore) => ({
+      judgeId: String(judgeScore.judgeId),
+      averageScore: Number(judgeScore.averageScore || 0),
+      totalScore: Number(judgeScore.totalScore || 0),
+      isModeration: judgeScore.isModeration === true,
+      isAppeal: Boolean(judgeScore.appealId)
+    }));
     map.set(String(item._id), {
-      judgeIds: new Set((item.judgeIds || []).map((judgeId) => String(judgeId))),
+      // Panel judges only; moderating evaluations add to the score, not the panel
+      judgeIds: new Set(
+        judgeScores.filter((judgeScore) => !judgeScore.isModeration).map((judgeScore) => judgeScore.judgeId)
+      ),
       roundIds: new Set((item.roundIds || []).map((roundId) => String(roundId))),
       averageScore: Math.round((item.averageScore || 0) * 100) / 100,
       totalScore: Math.round((item.totalScore || 0) * 100) / 100,
-      totalEvaluations: item.totalEvaluations || 0
+      totalEvaluations: item.totalEvaluations || 0,
+      judgeScores
     });
   }
   return map;
@@ -616,50 +649,33 @@ const resolveEvaluationScores = (evaluation = {}) => {
   };
 };
 
-const getNationalPanelJudgeIdsBySubmission = async ({ roundId, submissionIds }) => {
+const getNationalPanelJudgeIdsBySubmission = async ({ roundId, submissionIds, panelSize }) => {
   const submissionObjectIds = toObjectIdList(submissionIds);
   if (submissionObjectIds.length === 0) return new Map();
 
   const assignments = await SubmissionAssignment.find({
     roundId,
     level: 'National',
-    submissionId: { $in: submissionObjectIds }
+    submissionId: { $in: submissionObjectIds },
+    isModeration: { $ne: true }
   })
     .select('submissionId judgeId assignedAt createdAt')
     .sort({ assignedAt: 1, createdAt: 1, _id: 1 })
     .lean();
 
-  const panelJudgeIdsBySubmission = new Map();
-  for (const assignment of assignments) {
-    const submissionId = String(assignment.submissionId);
-    const judgeId = assignment.judgeId ? String(assignment.judgeId) : null;
-    if (!judgeId) continue;
-    if (!panelJudgeIdsBySubmission.has(submissionId)) {
-      panelJudgeIdsBySubmission.set(submissionId, []);
-    }
-    const panelJudgeIds = panelJudgeIdsBySubmission.get(submissionId);
-    if (panelJudgeIds.includes(judgeId)) continue;
-    if (panelJudgeIds.length >= NATIONAL_AREA_PANEL_SIZE) continue;
-    panelJudgeIds.push(judgeId);
-  }
-
-  return new Map(
-    [...panelJudgeIdsBySubmission.entries()].map(([submissionId, judgeIds]) => [
-      submissionId,
-      new Set(judgeIds)
-    ])
-  );
+  return groupPanelJudgeIdsBySubmission(assignments, panelSize);
 };
 
 const getNationalPanelEvaluationMapForSubmissionIds = async ({
   roundId,
   submissionIds,
+  panelSize,
   panelJudgeIdsBySubmission = null
 }) => {
   const submissionObjectIds = toObjectIdList(submissionIds);
   const submissionKeys = submissionObjectIds.map((submissionId) => String(submissionId));
   const resolvedPanelJudgeIdsBySubmission = panelJudgeIdsBySubmission
-    || await getNationalPanelJudgeIdsBySubmission({ roundId, submissionIds: submissionObjectIds });
+    || await getNationalPanelJudgeIdsBySubmission({ roundId, submissionIds: submissionObjectIds, panelSize });
 
   if (submissionObjectIds.length === 0) {
     return {
@@ -676,21 +692,34 @@ const getNationalPanelEvaluationMapForSubmissionIds = async ({
   ];
   const judgeObjectIds = toObjectIdList(panelJudgeIds);
 
-  const evaluations = judgeObjectIds.length > 0
-    ? await Evaluation.find({
-        roundId,
-        level: 'National',
-        submissionId: { $in: submissionObjectIds },
-        judgeId: { $in: judgeObjectIds }
-      })
-        .select('submissionId judgeId averageScore totalScore scores')
-        .lean()
-    : [];
+  const evaluations = await Evaluation.find({
+    roundId,
+    level: 'National',
+    submissionId: { $in: submissionObjectIds },
+    $or: [
+      ...(judgeObjectIds.length > 0 ? [{ judgeId: { $in: judgeObjectIds } }] : []),
+      { isModeration: true }
+    ]
+  })
+    .select('submissionId judgeId averageScore totalScore scores isModeration appealId')
+    .lean();
 
   const evaluationBySubmissionJudge = new Map();
+  const moderationEvaluationsBySubmission = new Map();
   for (const evaluation of evaluations) {
     const submissionId = String(evaluation.submissionId);
     const judgeId = String(evaluation.judgeId);
+    if (evaluation.isModeration) {
+      if (!moderationEvaluationsBySubmission.has(submissionId)) {
+        moderationEvaluationsBySubmission.set(submissionId, []);
+      }
+      moderationEvaluationsBySubmission.get(submissionId).push({
+        judgeId,
+        isAppeal: Boolean(evaluation.appealId),
+        ...resolveEvaluationScores(evaluation)
+      });
+      continue;
+    }
     evaluationBySubmissionJudge.set(`${submissionId}::${judgeId}`, resolveEvaluationScores(evaluation));
   }
 
@@ -698,6 +727,7 @@ const getNationalPanelEvaluationMapForSubmissionIds = async ({
   for (const submissionId of submissionKeys) {
     const panelJudges = resolvedPanelJudgeIdsBySubmission.get(submissionId) || new Set();
     const judgedIds = [];
+    const judgeScores = [];
     let totalAverage = 0;
     let totalScore = 0;
 
@@ -705,11 +735,31 @@ const getNationalPanelEvaluationMapForSubmissionIds = async ({
       const scoreValue = evaluationBySubmissionJudge.get(`${submissionId}::${judgeId}`);
       if (!scoreValue) continue;
       judgedIds.push(judgeId);
+      judgeScores.push({
+        judgeId,
+        averageScore: Number(scoreValue.averageScore || 0),
+        totalScore: Number(scoreValue.totalScore || 0),
+        isModeration: false,
+        isAppeal: false
+      });
       totalAverage += Number(scoreValue.averageScore || 0);
       totalScore += Number(scoreValue.totalScore || 0);
     }
 
-    const totalEvaluations = judgedIds.length;
+    // Moderating evaluations are averaged in but do not fill panel seats
+    for (const moderation of moderationEvaluationsBySubmission.get(submissionId) || []) {
+      judgeScores.push({
+        judgeId: moderation.judgeId,
+        averageScore: Number(moderation.averageScore || 0),
+        totalScore: Number(moderation.totalScore || 0),
+        isModeration: true,
+        isAppeal: moderation.isAppeal
+      });
+      totalAverage += Number(moderation.averageScore || 0);
+      totalScore += Number(moderation.totalScore || 0);
+    }
+
+    const totalEvaluations = judgeScores.length;
     evaluationMap.set(submissionId, {
       judgeIds: new Set(judgedIds),
       roundIds: totalEvaluations > 0 ? new Set([String(roundId)]) : new Set(),
@@ -719,7 +769,8 @@ const getNationalPanelEvaluationMapForSubmissionIds = async ({
       totalScore: totalEvaluations > 0
         ? Math.round((totalScore / totalEvaluations) * 100) / 100
         : 0,
-      totalEvaluations
+      totalEvaluations,
+      judgeScores
     });
   }
 
@@ -782,6 +833,8 @@ const buildLeaderboardEntryFromSubmission = (submission, scoreData = null) => {
     rank: 0,
     averageScore: normalizeNumeric(resolvedScoreData.averageScore),
     totalScore: normalizeNumeric(resolvedScoreData.totalScore),
+    rawAverageScore: normalizeNumeric(resolvedScoreData.rawAverageScore ?? resolvedScoreData.averageScore),
+    rawTotalScore: normalizeNumeric(resolvedScoreData.rawTotalScore ?? resolvedScoreData.totalScore),
     totalEvaluations,
     status,
     tieBreakCreatedAt: submission?.createdAt || null
@@ -838,14 +891,21 @@ const syncLeaderboardScoresFromEvaluations = async (
     roundIdsCache.set(roundKey, roundIds);
   }
 
-  const evaluationMap = await getLatestEvaluationJudgeSetsBySubmission({
-    year: leaderboard.year,
-    level: leaderboard.level,
-    submissionIds,
-    roundIds
-  });
+  const sourceRound = await CompetitionRound.findById(
+    leaderboard.metadata?.sourceRoundId || leaderboard.roundId
+  ).select('scoreNormalization').lean();
+  const scoreNormalization = resolveScoreNormalization(sourceRound);
+  const evaluationMap = applyScoreNormalization(
+    await getLatestEvaluationJudgeSetsBySubmission({
+      year: leaderboard.year,
+      level: leaderboard.level,
+      submissionIds,
+      roundIds
+    }),
+    scoreNormalization
+  );
 
-  let changed = false;
+  let changed = (leaderboard.scoreNormalization || 'none') !== scoreNormalization;
   const updatedEntries = plainEntries.map((entry) => {
     const entryId = String(entry?.submissionId || '');
     if (!entryId) return entry;
@@ -855,9 +915,13 @@ const syncLeaderboardScoresFromEvaluations = async (
     const fallbackAverage = normalizeNumeric(entry.averageScore);
     const fallbackTotal = normalizeNumeric(entry.totalScore);
     const fallbackCount = Math.max(0, Math.floor(normalizeNumeric(entry.totalEvaluations)));
+    const fallbackRawAverage = normalizeNumeric(entry.rawAverageScore ?? entry.averageScore);
+    const fallbackRawTotal = normalizeNumeric(entry.rawTotalScore ?? entry.totalScore);
 
     const nextAverage = scoreData ? normalizeNumeric(scoreData.averageScore) : fallbackAverage;
     const nextTotal = scoreData ? normalizeNumeric(scoreData.totalScore) : fallbackTotal;
+    const nextRawAverage = scoreData ? normalizeNumeric(scoreData.rawAverageScore) : fallbackRawAverage;
+    const nextRawTotal = scoreData ? normalizeNumeric(scoreData.rawTotalScore) : fallbackRawTotal;
     const nextCount = scoreData ? Math.max(0, Math.floor(normalizeNumeric(scoreData.totalEvaluations))) : fallbackCount;
 
     let nextStatus = entry.status;
@@ -878,6 +942,8 @@ const syncLeaderboardScoresFromEvaluations = async (
     if (
       !approximatelyEqual(fallbackAverage, nextAverage)
       || !approximatelyEqual(fallbackTotal, nextTotal)
+      || !approximatelyEqual(entry.rawAverageScore, nextRawAverage)
+      || !approximatelyEqual(entry.rawTotalScore, nextRawTotal)
       || fallbackCount !== nextCount
       || String(entry.status || '') !== String(nextStatus || '')
       || String(entry.areaOfFocus || '') !== String(nextAreaOfFocus || '')
@@ -889,6 +955,8 @@ const syncLeaderboardScoresFromEvaluations = async (
       ...entry,
       averageScore: nextAverage,
       totalScore: nextTotal,
+      rawAverageScore: nextRawAverage,
+      rawTotalScore: nextRawTotal,
       totalEvaluations: nextCount,
       status: nextStatus,
       areaOfFocus: nextAreaOfFocus
@@ -949,6 +1017,7 @@ const syncLeaderboardScoresFromEvaluations = async (
   }
   const normalizedEntries = rankEntriesDeterministically(sanitizedEntries);
   leaderboard.entries = normalizedEntries;
+  leaderboard.scoreNormalization = scoreNormalization;
   leaderboard.totalSubmissions = normalizedEntries.length;
   leaderboard.totalEvaluations = normalizedEntries.reduce(
     (sum, entry) => sum + normalizeNumeric(entry.totalEvaluations),
@@ -1109,13 +1178,35 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
     isDeleted: { $ne: true },
     assignedLevel: round.level
   };
-  const judges = await User.find(judgeQuery).select('_id assignedRegion assignedCouncil areasOfFocus');
+  // Judges who have not passed calibration stay off the round when it blocks on calibration
+  const judges = filterCalibratedJudges(
+    await User.find(judgeQuery)
+      .select(`_id assignedRegion assignedCouncil areasOfFocus ${JUDGE_CONFLICT_FIELDS} ${JUDGE_CAPACITY_FIELDS}`),
+    await getCalibrationClearedJudgeIds(round)
+  );
   if (judges.length === 0) {
     return { assigned: 0, unassigned: submissions.length };
   }
 
+  // Callers select different submission fields; load what conflict checks need
+  const conflictContextById = new Map(
+    (await Submission.find({ _id: { $in: assignableSubmissions.map((submission) => submission._id) } })
+      .select(SUBMISSION_CONFLICT_FIELDS))
+      .map((submission) => [String(submission._id), submission])
+  );
+  const getConflictContext = (submission) => conflictContextById.get(String(submission._id)) || submission;
+  let conflictExclusionCount = 0;
+  const recusedBySubmission = await getRecusedJudgeIdsBySubmission(
+    round._id,
+    assignableSubmissions.map((submission) => submission._id)
+  );
+  const isRecused = (submission, judgeId) => Boolean(
+    recusedBySubmission.get(String(submission._id))?.has(String(judgeId))
+  );
+  const panelSize = resolvePanelSize(round);
+  await ensureSubmissionAssignmentIndexesReady();
+
   if (round.level === 'National') {
-    await ensureSubmissionAssignmentIndexesReady();
 
     const submissionAreaById = new Map(
       assignableSubmissions.map((submission) => [
@@ -1124,7 +1215,8 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
       ])
     );
     const existingAssignments = await SubmissionAssignment.find({
-      roundId: round._id
+      roundId: round._id,
+      isModeration: { $ne: true }
     })
       .select('submissionId judgeId assignedAt createdAt')
       .sort({ assignedAt: 1, createdAt: 1, _id: 1 });
@@ -1183,9 +1275,9 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
       const eligibleJudgeIds = new Set(eligibleJudges.map((judge) => String(judge._id)));
       const panelJudgeIds = existingPanelJudgeIds
         .filter((judgeId) => eligibleJudgeIds.has(judgeId))
-        .slice(0, NATIONAL_AREA_PANEL_SIZE);
+        .slice(0, panelSize);
 
-      if (panelJudgeIds.length < NATIONAL_AREA_PANEL_SIZE) {
+      if (panelJudgeIds.length < panelSize) {
         const additionalJudgeIds = eligibleJudges
           .map((judge) => String(judge._id))
           .filter((judgeId) => !panelJudgeIds.includes(judgeId))
@@ -1194,12 +1286,51 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
             if (countDiff !== 0) return countDiff;
             return a.localeCompare(b);
           })
-          .slice(0, NATIONAL_AREA_PANEL_SIZE - panelJudgeIds.length);
+          .slice(0, panelSize - panelJudgeIds.length);
         panelJudgeIds.push(...additionalJudgeIds);
       }
 
       for (const submission of areaSubmissions) {
+        const conflictContext = getConflictContext(submission);
+        const exclusions = [];
+        const submissionJudgeIds = [];
         for (const judgeId of panelJudgeIds) {
+          if (isRecused(submission, judgeId)) continue;
+          const judge = eligibleJudges.find((item) => String(item._id) === judgeId);
+          const conflicts = getJudgeConflicts(judge, conflictContext);
+          if (conflicts.length > 0) {
+            exclusions.push(buildConflictExclusion(judge, conflicts));
+          } else {
+            submissionJudgeIds.push(judgeId);
+          }
+        }
+
+        // Conflicted or recused panel judges are replaced for this submission
+        // only, preferring a substitute assigned on an earlier run
+        if (submissionJudgeIds.length < panelJudgeIds.length) {
+          const substitutes = partitionJudgesByConflict(
+            eligibleJudges.filter((judge) => (
+              !panelJudgeIds.includes(String(judge._id)) && !isRecused(submission, judge._id)
+            )),
+            conflictContext
+          );
+          exclusions.push(...substitutes.exclusions);
+          const substituteIds = substitutes.eligible
+            .map((judge) => String(judge._id))
+            .sort((a, b) => {
+              const assignedDiff = Number(existingAssignmentSet.has(`${submission._id}:${b}`))
+                - Number(existingAssignmentSet.has(`${submission._id}:${a}`));
+              if (assignedDiff !== 0) return assignedDiff;
+              const countDiff = (assignmentCountMap.get(a) || 0) - (assignmentCountMap.get(b) || 0);
+              if (countDiff !== 0) return countDiff;
+              return a.localeCompare(b);
+            })
+            .slice(0, panelJudgeIds.length - submissionJudgeIds.length);
+          submissionJudgeIds.push(...substituteIds);
+          conflictExclusionCount += exclusions.length;
+        }
+
+        for (const judgeId of submissionJudgeIds) {
           const key = `${submission._id}:${judgeId}`;
           if (existingAssignmentSet.has(key)) continue;
           newAssignments.push({
@@ -1209,7 +1340,8 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
             level: round.level,
             region: submission.region || null,
             council: null,
-            judgeNotified: false
+            judgeNotified: false,
+            metadata: exclusions.length > 0 ? { conflictExclusions: exclusions } : {}
           });
           existingAssignmentSet.add(key);
           assignmentCountMap.set(judgeId, (assignmentCountMap.get(judgeId) || 0) + 1);
@@ -1221,7 +1353,7 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
       await SubmissionAssignment.insertMany(newAssignments, { ordered: false });
     }
 
-    return { assigned: newAssignments.length, unassigned: 0 };
+    return { assigned: newAssignments.length, unassigned: 0, conflictExclusions: conflictExclusionCount };
   }
 
   const judgesByArea = new Map();
@@ -1235,57 +1367,82 @@ const assignRoundSubmissionsToJudges = async (round, submissions) => {
   const existingAssignments = await SubmissionAssignment.find({
     roundId: round._id,
     submissionId: { $in: submissionIds }
-  }).select('submissionId judgeId');
-  const assignedSubmissionSet = new Set(existingAssignments.map((assignment) => String(assignment.submissionId)));
-
-  const assignmentCountMap = new Map();
+  }).select('submissionId judgeId isModeration');
+  const assignedJudgeIdsBySubmission = new Map();
+  const panelSeatsBySubmission = new Map();
   for (const assignment of existingAssignments) {
-    const key = String(assignment.judgeId);
-    assignmentCountMap.set(key, (assignmentCountMap.get(key) || 0) + 1);
+    const key = String(assignment.submissionId);
+    if (!assignedJudgeIdsBySubmission.has(key)) assignedJudgeIdsBySubmission.set(key, new Set());
+    assignedJudgeIdsBySubmission.get(key).add(String(assignment.judgeId));
+    if (!assignment.isModeration) {
+      panelSeatsBySubmission.set(key, (panelSeatsBySubmission.get(key) || 0) + 1);
+    }
   }
 
+  // Spread by pending workload and completion rate within per-judge capacity
+  const balancer = await createWorkloadBalancer(round, judges);
+
   const newAssignments = [];
   let unassigned = 0;
+  let capacityExhausted = 0;
 
   for (const submission of assignableSubmissions) {
-    if (assignedSubmissionSet.has(String(submission._id))) {
+    const assignedJudgeIds = assignedJudgeIdsBySubmission.get(String(submission._id)) || new Set();
+    const openSeats = panelSize - (panelSeatsBySubmission.get(String(submission._id)) || 0);
+    if (openSeats <= 0) {
       continue;
     }
 
     const areaId = buildAreaId(round.level, submission.region, submission.council);
-    const areaJudges = judgesByArea.get(areaId) || [];
-    if (areaJudges.length === 0) {
-      unassigned += 1;
-      continue;
+    const { eligible: areaJudges, exclusions } = partitionJudgesByConflict(
+      (judgesByArea.get(areaId) || []).filter((judge) => (
+        !isRecused(submission, judge._id) && !assignedJudgeIds.has(String(judge._id))
+      )),
+      getConflictContext(submission)
+    );
+    conflictExclusionCount += exclusions.length;
+
+    // Each open seat goes to a different judge; the panel stays short when
+    // the area runs out of eligible judges or capacity
+    let candidates = areaJudges;
+    let filledSeats = 0;
+    while (filledSeats < openSeats) {
+      const selectedJudge = balancer.pick(candidates);
+      if (!selectedJudge) break;
+      candidates = candidates.filter((judge) => judge !== selectedJudge);
+
+      newAssignments.push({
+        roundId: round._id,
+        submissionId: submission._id,
+        judgeId: selectedJudge._id,
+        level: round.level,
+        region: submission.region,
+        council: submission.council || null,
+        judgeNotified: false,
+        metadata: exclusions.length > 0 ? { conflictExclusions: exclusions } : {}
+      });
+      balancer.record(selectedJudge);
+      filledSeats += 1;
     }
 
-    let selectedJudge = areaJudges[0];
-    let minAssignments = assignmentCountMap.get(String(selectedJudge._id)) || 0;
-    for (const judge of areaJudges) {
-      const judgeCount = assignmentCountMap.get(String(judge._id)) || 0;
-      if (judgeCount < minAssignments) {
-        minAssignments = judgeCount;
-        selectedJudge = judge;
+    if (filledSeats < openSeats) {
+      unassigned += 1;
+      if (candidates.length > 0) {
+        capacityExhausted += 1;
       }
     }
-
-    newAssignments.push({
-      roundId: round._id,
-      submissionId: submission._id,
-      judgeId: selectedJudge._id,
-      level: round.level,
-      region: submission.region,
-      council: submission.council || null,
-      judgeNotified: false
-    });
-    assignmentCountMap.set(String(selectedJudge._id), minAssignments + 1);
   }
 
   if (newAssignments.length > 0) {
     await SubmissionAssignment.insertMany(newAssignments, { ordered: false });
   }
 
-  return { assigned: newAssignments.length, unassigned };
+  return {
+    assigned: newAssignments.length,
+    unassigned,
+    capacityExhausted,
+    conflictExclusions: conflictExclusionCount
+  };
 };
 
 const activateRoundWithSnapshot = async (roundId, activatedBy) => {
@@ -1420,6 +1577,7 @@ const activateRoundWithSnapshot = async (roundId, activatedBy) => {
   await round.save();
 
   const assignmentResult = await assignRoundSubmissionsToJudges(round, eligibleSubmissions);
+  const calibrationClearedJudgeIds = await getCalibrationClearedJudgeIds(round);
   if (dueChunksAtActivation.length > 0) {
     await RoundChunk.updateMany(
       {
@@ -1447,6 +1605,9 @@ const activateRoundWithSnapshot = async (roundId, activatedBy) => {
     snapshotSize: snapshot.totalSubmissions,
     activeAreas: snapshot.activeAreas,
     assignments: assignmentResult,
+    calibration: calibrationClearedJudgeIds
+      ? { blocksAssignment: true, clearedJudges: calibrationClearedJudgeIds.size }
+      : { blocksAssignment: false, clearedJudges: null },
     chunkSchedule: {
       configured: configuredChunks.length,
       activatedNow: dueChunksAtActivation.length,
@@ -1753,7 +1914,7 @@ const getRoundBySubmissionForEvaluation = async (submission) => {
 };
 
 const recalculateSubmissionAverageForRound = async (submissionId, roundId) => {
-  const round = await CompetitionRound.findById(roundId).select('_id year level');
+  const round = await CompetitionRound.findById(roundId).select('_id year level panelSize');
   if (!round) {
     return { averageScore: 0, totalEvaluations: 0 };
   }
@@ -1762,7 +1923,8 @@ const recalculateSubmissionAverageForRound = async (submissionId, roundId) => {
   if (round.level === 'National') {
     const panelResult = await getNationalPanelEvaluationMapForSubmissionIds({
       roundId: round._id,
-      submissionIds: [submissionId]
+      submissionIds: [submissionId],
+      panelSize: resolvePanelSize(round)
     });
     evaluationBySubmission = panelResult.evaluationMap;
   } else {
@@ -1867,7 +2029,8 @@ const rebuildAreaLeaderboard = async (roundId, areaId, options = {}) => {
   if (round.level === 'National') {
     const panelResult = await getNationalPanelEvaluationMapForSubmissionIds({
       roundId: round._id,
-      submissionIds
+      submissionIds,
+      panelSize: resolvePanelSize(round)
     });
     evaluationMap = panelResult.evaluationMap;
   } else {
@@ -1879,11 +2042,15 @@ const rebuildAreaLeaderboard = async (roundId, areaId, options = {}) => {
       roundIds
     });
   }
+  const scoreNormalization = resolveScoreNormalization(round);
+  evaluationMap = applyScoreNormalization(evaluationMap, scoreNormalization);
 
   const entries = submissions.map((submission) => {
     const scoreData = evaluationMap.get(String(submission._id)) || {
       averageScore: 0,
       totalScore: 0,
+      rawAverageScore: 0,
+      rawTotalScore: 0,
       totalEvaluations: 0
     };
     const entry = {
@@ -1901,6 +2068,8 @@ const rebuildAreaLeaderboard = async (roundId, areaId, options = {}) => {
       rank: 0,
       averageScore: scoreData.averageScore,
       totalScore: scoreData.totalScore,
+      rawAverageScore: scoreData.rawAverageScore,
+      rawTotalScore: scoreData.rawTotalScore,
       totalEvaluations: scoreData.totalEvaluations,
       status: scoreData.totalEvaluations > 0 ? 'evaluated' : 'pending',
       tieBreakCreatedAt: submission.createdAt || null
@@ -1937,6 +2106,7 @@ const rebuildAreaLeaderboard = async (roundId, areaId, options = {}) => {
     council: parseAreaId(round.level, areaId).council,
     chunkIds: chunks.map((chunk) => chunk._id),
     entries: rankedEntries,
+    scoreNormalization,
     totalSubmissions: rankedEntries.length,
     totalEvaluations: rankedEntries.reduce((sum, entry) => sum + (entry.totalEvaluations || 0), 0),
     quota: quotaInfo.quota,
@@ -1999,7 +2169,8 @@ const checkAreaJudgeCompletion = async (roundId, areaId, options = {}) => {
   if (round.level === 'National') {
     const panelResult = await getNationalPanelEvaluationMapForSubmissionIds({
       roundId: round._id,
-      submissionIds
+      submissionIds,
+      panelSize: resolvePanelSize(round)
     });
     evaluationMap = panelResult.evaluationMap;
     nationalPanelJudgeIdsBySubmission = panelResult.panelJudgeIdsBySubmission;
@@ -2015,32 +2186,66 @@ const checkAreaJudgeCompletion = async (roundId, areaId, options = {}) => {
 
   const blockers = [];
   let pendingCount = 0;
+  const panelSize = resolvePanelSize(round);
+
+  // Panels whose scores diverged stay open until a moderating evaluation is in
+  const moderationThreshold = resolveModerationThreshold(round);
+  let moderationPendingCount = 0;
+  for (const submissionId of submissionIds) {
+    const submissionKey = String(submissionId);
+    if (disqualifiedSubmissionIds.has(submissionKey)) continue;
+    const moderation = getPanelModerationState(
+      evaluationMap.get(submissionKey)?.judgeScores,
+      moderationThreshold
+    );
+    if (moderation.required && !moderation.moderated) {
+      moderationPendingCount += 1;
+    }
+  }
+  if (moderationPendingCount > 0) {
+    blockers.push(`${moderationPendingCount} submission(s) need a moderating evaluation`);
+  }
 
   if (['Council', 'Regional'].includes(round.level)) {
     const uniqueJudgeIds = new Set();
 
+    // A submission is complete once a full panel of distinct judges has scored it
     for (const submissionId of submissionIds) {
       const submissionKey = String(submissionId);
       if (disqualifiedSubmissionIds.has(submissionKey)) {
         continue;
       }
       const details = evaluationMap.get(submissionKey);
-      if (!details || details.totalEvaluations <= 0) {
-        pendingCount += 1;
-        continue;
-      }
-      for (const judgeId of details.judgeIds) {
+      for (const judgeId of details?.judgeIds || []) {
         uniqueJudgeIds.add(judgeId);
       }
+      if (!details || details.judgeIds.size < panelSize) {
+        pendingCount += 1;
+      }
     }
 
     if (pendingCount > 0 && uniqueJudgeIds.size === 0) {
       blockers.push('No completed evaluations found for this area yet');
     }
+    if (panelSize > 1) {
+      const areaQuery = buildAreaQuery(round.level, areaId);
+      const areaJudgeCount = await User.countDocuments({
+        role: 'judge',
+        status: 'active',
+        isDeleted: { $ne: true },
+        assignedLevel: round.level,
+        ...(areaQuery.region ? { assignedRegion: areaQuery.region } : {}),
+        ...(areaQuery.council ? { assignedCouncil: areaQuery.council } : {})
+      });
+      if (areaJudgeCount < panelSize) {
+        blockers.push(`${round.level} area has ${areaJudgeCount} active judge(s); panels need ${panelSize}.`);
+      }
+    }
 
     return {
-      ready: pendingCount === 0,
+      ready: pendingCount === 0 && moderationPendingCount === 0,
       pendingCount,
+      moderationPendingCount,
       totalSubmissions: submissionIds.length,
       totalJudges: uniqueJudgeIds.size,
       blockers
@@ -2066,9 +2271,9 @@ const checkAreaJudgeCompletion = async (roundId, areaId, options = {}) => {
     };
   }
 
-  if (areaJudgeIds.size < NATIONAL_AREA_PANEL_SIZE) {
+  if (areaJudgeIds.size < panelSize) {
     blockers.push(
-      `National area panel has ${areaJudgeIds.size} judge(s); ${NATIONAL_AREA_PANEL_SIZE} are required.`
+      `National area panel has ${areaJudgeIds.size} judge(s); ${panelSize} are required.`
     );
   }
 
@@ -2078,7 +2283,7 @@ const checkAreaJudgeCompletion = async (roundId, areaId, options = {}) => {
       continue;
     }
     const requiredJudgeIds = assignedJudgeIdsBySubmission.get(submissionKey) || new Set();
-    if (requiredJudgeIds.size < NATIONAL_AREA_PANEL_SIZE) {
+    if (requiredJudgeIds.size < panelSize) {
       pendingCount += 1;
       continue;
     }
@@ -2093,8 +2298,9 @@ const checkAreaJudgeCompletion = async (roundId, areaId, options = {}) => {
   }
 
   return {
-    ready: pendingCount === 0,
+    ready: pendingCount === 0 && moderationPendingCount === 0,
     pendingCount,
+    moderationPendingCount,
     totalSubmissions: submissionIds.length,
     totalJudges: areaJudgeIds.size,
     blockers
@@ -2979,6 +3185,23 @@ const getAreaIdFromSubmission = (submission) => {
   return buildAreaId(submission.level, submission.region, submission.council);
 };
 
+/**
+ * The area leaderboard a submission's evaluations feed, when it is finalized
+ * or published. Evaluations in that area are locked until it is reopened.
+ * @param {Object} round - Round the evaluation belongs to
+ * @param {Object} submission - Submission with level, region, council
+ * @returns {Promise<Object|null>}
+ */
+const getLockedAreaLeaderboardForSubmission = async (round, submission) => {
+  return AreaLeaderboard.findOne({
+    year: round.year,
+    level: round.level,
+    areaType: getAreaTypeForLevel(round.level),
+    areaId: buildAreaId(round.level, submission.region, submission.council),
+    state: { $in: ['finalized', 'published'] }
+  }).select('_id state areaId finalizedAt');
+};
+
 const markRoundEndedIfComplete = async (roundId) => {
   const round = await CompetitionRound.findById(roundId);
   if (!round) return null;
@@ -3129,9 +3352,8 @@ const updateRoundSubmissionsFromScope = async (roundId, options = {}) => {
     }
   }
 
-  const maxEvaluationsForInclusion = round.level === 'National'
-    ? Math.max(NATIONAL_AREA_PANEL_SIZE - 1, 0)
-    : 0;
+  // Submissions stay in scope until their whole panel has scored them
+  const maxEvaluationsForInclusion = Math.max(resolvePanelSize(round) - 1, 0);
   const pendingScopedSubmissions = await filterSubmissionsPendingLevelEvaluation(
     round,
     scopedSubmissions,
@@ -3343,7 +3565,8 @@ const autoReassignUnassignedSubmissionsForRound = async (roundId, options = {})
   const assignments = await SubmissionAssignment.find({
     roundId: round._id,
     level: round.level,
-    submissionId: { $in: scopedSubmissionIds }
+    submissionId: { $in: scopedSubmissionIds },
+    isModeration: { $ne: true }
   }).select('submissionId judgeId');
 
   const assignedJudgeIdsBySubmission = new Map();
@@ -3355,13 +3578,11 @@ const autoReassignUnassignedSubmissionsForRound = async (roundId, options = {})
     assignedJudgeIdsBySubmission.get(submissionKey).add(String(assignment.judgeId));
   }
 
+  const panelSize = resolvePanelSize(round);
   const submissionsNeedingAssignment = scopedSubmissions.filter((submission) => {
     const submissionKey = String(submission._id);
     const assignedJudges = assignedJudgeIdsBySubmission.get(submissionKey) || new Set();
-    if (round.level === 'National') {
-      return assignedJudges.size < NATIONAL_AREA_PANEL_SIZE;
-    }
-    return assignedJudges.size === 0;
+    return assignedJudges.size < panelSize;
   });
 
   if (submissionsNeedingAssignment.length === 0) {
@@ -3395,10 +3616,7 @@ const autoReassignUnassignedSubmissionsForRound = async (roundId, options = {})
   const remainingUnassigned = submissionsNeedingAssignment.filter((submission) => {
     const submissionKey = String(submission._id);
     const assignedJudges = postAssignedJudgeIdsBySubmission.get(submissionKey) || new Set();
-    if (round.level === 'National') {
-      return assignedJudges.size < NATIONAL_AREA_PANEL_SIZE;
-    }
-    return assignedJudges.size === 0;
+    return assignedJudges.size < panelSize;
   }).length;
 
   return {
@@ -3409,6 +3627,7 @@ const autoReassignUnassignedSubmissionsForRound = async (roundId, options = {})
     eligibleForAssignment: submissionsNeedingAssignment.length,
     assigned: assignmentResult.assigned || 0,
     remainingUnassigned,
+    capacityExhausted: assignmentResult.capacityExhausted || 0,
     assignmentResult
   };
 };
@@ -3511,6 +3730,7 @@ module.exports = {
   resolveQuotaForArea,
   activateRoundWithSnapshot,
   activateDueChunksForRound,
+  assignRoundSubmissionsToJudges,
   getRoundBySubmissionForEvaluation,
   recalculateSubmissionAverageForRound,
   refreshSubmissionAndAreaLeaderboard,
@@ -3523,6 +3743,7 @@ module.exports = {
   listAvailableLocations,
   findAreaLeaderboardById,
   getAreaIdFromSubmission,
+  getLockedAreaLeaderboardForSubmission,
   markRoundEndedIfComplete,
   rebuildAreaLeaderboard,
   updateAreaStateByCompletion,
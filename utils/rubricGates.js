@@ -0,0 +1,139 @@
+const Evaluation = require('../models/Evaluation');
+const Submission = require('../models/Submission');
+const notificationService = require('../services/notificationService');
+const { resolvePanelSize } = require('./judgePanel');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('./logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+/**
+ * Gate criteria outcome of a submission's evaluations in a round. Nothing is
+ * decided until every panel seat has scored; then a gate fails when the
+ * evaluations (moderating ones and upheld appeal regrades included) average
+ * fewer points on it than its pass mark, as they do in the score.
+ * @param {Array} evaluations - { gates, isModeration, appealId }
+ * @param {number} panelSize
+ * @returns {{ decided: boolean, gates: Array, failedGates: string[] }}
+ */
+const summarizeSubmissionGates = (evaluations = [], panelSize = 1) => {
+  const panelEvaluations = evaluations.filter((evaluation) => !evaluation.isModeration && !evaluation.appealId);
+  if (panelEvaluations.length < panelSize) {
+    return { decided: false, gates: [], failedGates: [] };
+  }
+
+  const byKey = new Map();
+  for (const evaluation of evaluations) {
+    for (const gate of evaluation.gates || []) {
+      if (!byKey.has(gate.key)) byKey.set(gate.key, { key: gate.key, label: gate.label || gate.key, points: [], passMarks: [] });
+      byKey.get(gate.key).points.push(Number(gate.points) || 0);
+      byKey.get(gate.key).passMarks.push(Number(gate.passMark) || 0);
+    }
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const gates = [...byKey.values()].map((gate) => {
+    const points = Math.round(mean(gate.points) * 100) / 100;
+    const passMark = mean(gate.passMarks);
+    return { key: gate.key, label: gate.label, points, passMark, passed: points >= passMark - 1e-9 };
+  });
+  return {
+    decided: true,
+    gates,
+    failedGates: gates.filter((gate) => !gate.passed).map((gate) => gate.key)
+  };
+};
+
+/**
+ * Disqualify a submission whose panel scored it below a gate criterion's pass
+ * mark, or lift a gate disqualification once later evaluations (moderation, an
+ * upheld appeal) bring it up to the mark, restoring the status it had before.
+ * Submissions a judge disqualified are left alone. Call after saving an evaluation and before rebuilding the
+ * leaderboard.
+ * @param {ObjectId|string} submissionId
+ * @param {Object} round - Round with _id, level, year and panelSize
+ * @returns {Promise<Object>} Gate summary with status:
+ *   'pending', 'passed', 'disqualified', 'requalified' or 'unchanged'
+ */
+const applySubmissionGates = async (submissionId, round) => {
+  const [submission, evaluations] = await Promise.all([
+    Submission.findById(submissionId),
+    Evaluation.find({ roundId: round._id, submissionId }).select('gates isModeration appealId').lean()
+  ]);
+  const summary = summarizeSubmissionGates(evaluations, resolvePanelSize(round));
+  if (!submission || !summary.decided) return { ...summary, status: 'pending' };
+
+  const previousFailedGates = submission.failedGates || [];
+  const gateDisqualified = submission.disqualified === true && previousFailedGates.length > 0;
+  if (submission.disqualified === true && !gateDisqualified) {
+    return { ...summary, status: 'unchanged' };
+  }
+
+  if (summary.failedGates.length === 0) {
+    if (!gateDisqualified) return { ...summary, status: 'passed' };
+    submission.disqualified = false;
+    submission.status = submission.statusBeforeGates || 'evaluated';
+    submission.statusBeforeGates = null;
+    submission.disqualificationReason = undefined;
+    submission.disqualifiedAt = null;
+    submission.failedGates = [];
+    await submission.save();
+  } else {
+    if (gateDisqualified && previousFailedGates.join(',') === summary.failedGates.join(',')) {
+      return { ...summary, status: 'unchanged' };
+    }
+    const failedLabels = summary.gates.filter((gate) => !gate.passed).map((gate) => gate.label);
+    if (!gateDisqualified) submission.statusBeforeGates = submission.status;
+    submission.disqualified = true;
+    submission.status = 'disqualified';
+    submission.disqualificationReason = `Scored below the pass mark for: ${failedLabels.join(', ')}`;
+    submission.disqualifiedBy = null;
+    submission.disqualifiedAt = new Date();
+    submission.failedGates = summary.failedGates;
+    await submission.save();
+
+    if (!gateDisqualified && submission.teacherId) {
+      notificationService.emit('SUBMISSION_DISQUALIFIED', {
+        userId: submission.teacherId,
+        submissionId: submission._id,
+        roundName: `${round.level} ${round.year}`,
+        reason: submission.disqualificationReason,
+        subject: submission.subject,
+        category: submission.category,
+        areaOfFocus: submission.areaOfFocus
+      }).catch((notifyError) => {
+        console.error('Failed to send disqualification notification/email:', notifyError);
+      });
+    }
+  }
+
+  const status = summary.failedGates.length > 0 ? 'disqualified' : 'requalified';
+  logger.logSystemEvent(
+    status === 'disqualified'
+      ? 'Submission disqualified by rubric gate'
+      : 'Rubric gate disqualification lifted',
+    null,
+    {
+      roundId: String(round._id),
+      submissionId: String(submission._id),
+      gates: summary.gates,
+      previousFailedGates
+    },
+    'warning',
+    'update'
+  ).catch(() => {});
+
+  return { ...summary, status };
+};
+
+module.exports = {
+  summarizeSubmissionGates,
+  applySubmissionGates
+};
@@ -0,0 +1,323 @@
+const CompetitionRound = require('../models/CompetitionRound');
+const Evaluation = require('../models/Evaluation');
+const EvaluationRevision = require('../models/EvaluationRevision');
+const RubricVersion = require('../models/RubricVersion');
+const Submission = require('../models/Submission');
+const {
+  validateAndNormalizeEvaluationCriteria,
+  normalizeStoredCriteria,
+  diffEvaluationCriteria,
+  flattenLeafDescriptors,
+  validateScoresAgainstCriteria
+} = require('./evaluationCriteria');
+const {
+  buildAreaId,
+  rebuildAreaLeaderboard,
+  recalculateSubmissionAverageForRound
+} = require('./roundJudgementService');
+const { applySubmissionGates } = require('./rubricGates');
+
+// Safely import logger
+let logger = null;
+try {
+  const loggerModule = require('./logger');
+  logger = loggerModule.logger;
+} catch (error) {
+  logger = {
+    logSystemEvent: () => Promise.resolve()
+  };
+}
+
+const toAreaQuery = ({ year, category, classLevel, subject, areaOfFocus }) => ({
+  year: Number(year),
+  category,
+  class: classLevel,
+  subject,
+  areaOfFocus
+});
+
+const getAreaSubmissionIds = (area) => Submission.find(toAreaQuery(area)).distinct('_id');
+
+/**
+ * Evaluations scored in a competition area, across all rounds.
+ * @param {Object} area - { year, category, classLevel, subject, areaOfFocus }
+ * @returns {Promise<number>}
+ */
+const countAreaEvaluations = async (area) => {
+  const submissionIds = await getAreaSubmissionIds(area);
+  if (submissionIds.length === 0) return 0;
+  return Evaluation.countDocuments({ submissionId: { $in: submissionIds } });
+};
+
+/**
+ * Evaluations in a competition area still scored against an older rubric
+ * version than currentVersion. Their totals are on the old rubric's scale
+ * until they are re-scored or migrated.
+ * @param {Object} area - { year, category, classLevel, subject, areaOfFocus }
+ * @param {number|null} currentVersion
+ * @returns {Promise<Array<{ evaluationId: string, submissionId: string, roundId: string, judgeId: string, rubricVersion: number|null }>>}
+ */
+const listOutdatedEvaluations = async (area, currentVersion) => {
+  if (!currentVersion) return [];
+  const submissionIds = await getAreaSubmissionIds(area);
+  if (submissionIds.length === 0) return [];
+  const evaluations = await Evaluation.find({
+    submissionId: { $in: submissionIds },
+    rubricVersion: { $ne: currentVersion }
+  }).select('submissionId roundId judgeId rubricVersion').lean();
+  return evaluations.map((evaluation) => ({
+    evaluationId: String(evaluation._id),
+    submissionId: String(evaluation.submissionId),
+    roundId: String(evaluation.roundId),
+    judgeId: String(evaluation.judgeId),
+    rubricVersion: evaluation.rubricVersion ?? null
+  }));
+};
+
+/**
+ * All versions of a competition area's rubric, newest first.
+ * @param {Object} area - { year, category, classLevel, subject, areaOfFocus }
+ * @returns {Promise<Array>}
+ */
+const listRubricVersions = async (area) => RubricVersion.find(toAreaQuery(area))
+  .populate('changedBy', 'name email')
+  .sort({ version: -1 })
+  .lean();
+
+const toScoresObject = (scores) => (scores instanceof Map ? Object.fromEntries(scores) : { ...(scores || {}) });
+
+/**
+ * Carry one evaluation's scores over to a new rubric: points on removed keys
+ * are dropped and points on keys whose maximum changed are rescaled to it.
+ * @returns {{ ok: boolean, scores?: Object, verdict?: Object, missingKeys?: string[] }}
+ */
+const rescaleScoresToRubric = (scores, previousCriteria, nextCriteria) => {
+  const previousLeaves = new Map(flattenLeafDescriptors(previousCriteria).map((leaf) => [leaf.key, leaf]));
+  const nextScores = {};
+  const missingKeys = [];
+  for (const leaf of flattenLeafDescriptors(nextCriteria)) {
+    const previousLeaf = previousLeaves.get(leaf.key);
+    if (!previousLeaf || !Object.prototype.hasOwnProperty.call(scores, leaf.key)) {
+      missingKeys.push(leaf.key);
+      continue;
+    }
+    const points = Number(scores[leaf.key]) || 0;
+    nextScores[leaf.key] = Math.abs(previousLeaf.maxPoints - leaf.maxPoints) < 1e-9
+      ? points
+      : Math.min(leaf.maxPoints, Math.round((points * leaf.maxPoints / previousLeaf.maxPoints) * 100) / 100);
+  }
+  if (missingKeys.length > 0) return { ok: false, missingKeys };
+
+  const verdict = validateScoresAgainstCriteria(nextScores, nextCriteria);
+  return verdict.ok ? { ok: true, scores: nextScores, verdict } : { ok: false, missingKeys: [] };
+};
+
+/**
+ * Move an area's evaluations onto a new rubric version (see
+ * rescaleScoresToRubric), recording a revision for each, then recalculate the
+ * affected submissions and rebuild their area leaderboards, finalized or
+ * published ones included. Evaluations with no points for a key the new
+ * rubric added cannot be moved; they stay on their version.
+ * @param {Object} area - { year, category, classLevel, subject, areaOfFocus }
+ * @param {Object} version - The new RubricVersion
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<{ migrated: number }>}
+ */
+const migrateAreaEvaluations = async (area, version, { changedBy, reason }) => {
+  const submissionIds = await getAreaSubmissionIds(area);
+  if (submissionIds.length === 0) return { migrated: 0 };
+
+  const [evaluations, versions] = await Promise.all([
+    Evaluation.find({ submissionId: { $in: submissionIds }, rubricVersion: { $ne: version.version } }),
+    RubricVersion.find(toAreaQuery(area)).select('version evaluationCriteria').lean()
+  ]);
+  const criteriaByVersion = new Map(
+    versions.map((item) => [item.version, normalizeStoredCriteria(item.evaluationCriteria)])
+  );
+  const nextCriteria = criteriaByVersion.get(version.version);
+
+  const affected = new Map();
+  for (const evaluation of evaluations) {
+    // Unversioned evaluations were scored against the baseline, version 1
+    const previousCriteria = criteriaByVersion.get(evaluation.rubricVersion ?? 1);
+    if (!previousCriteria) continue;
+    const rescaled = rescaleScoresToRubric(toScoresObject(evaluation.scores), previousCriteria, nextCriteria);
+    if (!rescaled.ok) continue;
+
+    const previous = {
+      scores: toScoresObject(evaluation.scores),
+      totalScore: evaluation.totalScore || 0,
+      averageScore: evaluation.averageScore || 0,
+      comments: evaluation.comments || '',
+      rubricVersion: evaluation.rubricVersion ?? null
+    };
+    evaluation.scores = rescaled.scores;
+    evaluation.totalScore = rescaled.verdict.totalScore;
+    evaluation.averageScore = rescaled.verdict.averageScore;
+    evaluation.gates = rescaled.verdict.gates;
+    evaluation.rubricVersion = version.version;
+    await evaluation.save();
+    await EvaluationRevision.create({
+      evaluationId: evaluation._id,
+      roundId: evaluation.roundId,
+      submissionId: evaluation.submissionId,
+      judgeId: evaluation.judgeId,
+      changedBy,
+      action: 'updated',
+      previous,
+      next: {
+        scores: rescaled.scores,
+        totalScore: evaluation.totalScore,
+        averageScore: evaluation.averageScore,
+        comments: evaluation.comments || '',
+        rubricVersion: version.version
+      },
+      reason: `Rubric migrated to version ${version.version}: ${reason}`.slice(0, 1000)
+    });
+    affected.set(`${evaluation.roundId}:${evaluation.submissionId}`, {
+      roundId: String(evaluation.roundId),
+      submissionId: String(evaluation.submissionId)
+    });
+  }
+
+  const rounds = new Map();
+  const areasToRebuild = new Map();
+  for (const { roundId, submissionId } of affected.values()) {
+    if (!rounds.has(roundId)) {
+      rounds.set(roundId, await CompetitionRound.findById(roundId).select('_id year level panelSize'));
+    }
+    const round = rounds.get(roundId);
+    const submission = await Submission.findById(submissionId).select('region council');
+    if (!round || !submission) continue;
+
+    await applySubmissionGates(submissionId, round);
+    await recalculateSubmissionAverageForRound(submissionId, roundId);
+    const areaId = buildAreaId(round.level, submission.region, submission.council);
+    areasToRebuild.set(`${roundId}:${areaId}`, { roundId, areaId });
+  }
+  for (const { roundId, areaId } of areasToRebuild.values()) {
+    await rebuildAreaLeaderboard(roundId, areaId, { forceUnlocked: true });
+  }
+
+  logger.logSystemEvent(
+    'Migrated evaluations to new rubric version',
+    null,
+    {
+      ...toAreaQuery(area),
+      rubricVersion: version.version,
+      migrated: affected.size,
+      leaderboardsRebuilt: areasToRebuild.size
+    },
+    'warning',
+    'update'
+  ).catch(() => {});
+
+  return { migrated: affected.size };
+};
+
+/**
+ * Replace a competition area's evaluation criteria as a new rubric version.
+ * Unchanged criteria save nothing. A destructive change (a score key added or
+ * removed or its maximum changed, or a criterion's weight or pass mark
+ * changed) is refused once the area has evaluations, unless it is migrated
+ * with a reason: the evaluations are then moved to the new version
+ * (migrateAreaEvaluations) and the ones that could not be are returned in
+ * outdatedEvaluations, to be re-scored. The first versioned edit of an area
+ * that already had criteria records them as version 1. Saves the competition.
+ * @param {Object} competition - Competition document
+ * @param {Object} areaObj - The area's subdocument within competition
+ * @param {Object} area - { year, category, classLevel, subject, areaOfFocus }
+ * @param {Object} options - { evaluationCriteria, migrate, reason, changedBy }
+ * @returns {Promise<{ success: boolean, version?: Object|null, changes?: Object, migrated?: number, outdatedEvaluations?: Array, status?: number, message?: string }>}
+ */
+const updateAreaRubric = async (competition, areaObj, area, { evaluationCriteria, migrate = false, reason = '', changedBy }) => {
+  const check = validateAndNormalizeEvaluationCriteria(evaluationCriteria || []);
+  if (!check.ok) {
+    return { success: false, status: 400, message: check.message };
+  }
+
+  const previous = normalizeStoredCriteria(
+    (areaObj.evaluationCriteria || []).map((c) => (typeof c.toObject === 'function' ? c.toObject() : { ...c }))
+  );
+  const changes = diffEvaluationCriteria(previous, check.normalized);
+  if (!changes.changed) {
+    return { success: true, version: null, changes, migrated: 0, outdatedEvaluations: [] };
+  }
+
+  const evaluationCount = previous.length > 0 ? await countAreaEvaluations(area) : 0;
+  if (changes.destructive && evaluationCount > 0) {
+    if (!migrate) {
+      const listed = [
+        ['Added', changes.addedKeys],
+        ['Removed', changes.removedKeys],
+        ['Lower maximum', changes.loweredKeys],
+        ['Higher maximum', changes.raisedKeys],
+        ['Weight changed', changes.reweightedKeys],
+        ['Pass mark changed', changes.gateChangedKeys]
+      ]
+        .filter(([, keys]) => keys.length > 0)
+        .map(([label, keys]) => ` ${label}: ${keys.join(', ')}.`)
+        .join('');
+      return {
+        success: false,
+        status: 409,
+        message: `${evaluationCount} evaluation(s) were scored against this rubric.${listed} Resubmit with migrate and a reason to move them to the new version.`
+      };
+    }
+    if (!reason) {
+      return { success: false, status: 400, message: 'Please provide a reason for migrating this rubric' };
+    }
+  }
+
+  let currentVersion = areaObj.rubricVersion || 0;
+  if (currentVersion === 0 && previous.length > 0) {
+    await RubricVersion.create({
+      ...toAreaQuery(area),
+      version: 1,
+      evaluationCriteria: previous,
+      reason: 'Criteria in use before rubric versioning'
+    });
+    currentVersion = 1;
+  }
+
+  const migrated = changes.destructive && evaluationCount > 0;
+  const version = await RubricVersion.create({
+    ...toAreaQuery(area),
+    version: currentVersion + 1,
+    evaluationCriteria: check.normalized,
+    changes: {
+      addedKeys: changes.addedKeys,
+      removedKeys: changes.removedKeys,
+      loweredKeys: changes.loweredKeys,
+      raisedKeys: changes.raisedKeys,
+      reweightedKeys: changes.reweightedKeys,
+      gateChangedKeys: changes.gateChangedKeys,
+      destructive: changes.destructive
+    },
+    migrated,
+    evaluationCount,
+    reason,
+    changedBy
+  });
+
+  areaObj.evaluationCriteria = check.normalized;
+  areaObj.rubricVersion = version.version;
+  await competition.save();
+
+  const migration = migrated
+    ? await migrateAreaEvaluations(area, version, { changedBy, reason })
+    : { migrated: 0 };
+  const outdatedEvaluations = changes.destructive
+    ? await listOutdatedEvaluations(area, version.version)
+    : [];
+
+  return { success: true, version, changes, migrated: migration.migrated, outdatedEvaluations };
+};
+
+module.exports = {
+  countAreaEvaluations,
+  listOutdatedEvaluations,
+  listRubricVersions,
+  migrateAreaEvaluations,
+  updateAreaRubric
+};
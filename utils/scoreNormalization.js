@@ -0,0 +1,128 @@
+// How a round turns per-judge scores into the score used for ranking
+const SCORE_NORMALIZATION_MODES = ['none', 'zscore', 'trimmed_mean'];
+
+// A judge needs this many scored submissions before their leniency is corrected
+const MIN_JUDGE_SAMPLE_FOR_ZSCORE = 3;
+// Panels smaller than this are averaged as-is; trimming would discard most of the panel
+const MIN_PANEL_FOR_TRIMMING = 3;
+
+const SCORE_METRICS = ['averageScore', 'totalScore'];
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values, valuesMean = mean(values)) => Math.sqrt(
+  values.reduce((sum, value) => sum + ((value - valuesMean) ** 2), 0) / values.length
+);
+
+/**
+ * The round's normalization mode, defaulting to raw scores.
+ * @param {Object} round - Round with scoreNormalization
+ * @returns {string}
+ */
+const resolveScoreNormalization = (round) => (
+  SCORE_NORMALIZATION_MODES.includes(round?.scoreNormalization) ? round.scoreNormalization : 'none'
+);
+
+const buildJudgeStats = (evaluationMap, metric) => {
+  const scoresByJudge = new Map();
+  for (const scoreData of evaluationMap.values()) {
+    for (const judgeScore of scoreData.judgeScores || []) {
+      const value = Number(judgeScore[metric]);
+      if (!Number.isFinite(value)) continue;
+      if (!scoresByJudge.has(judgeScore.judgeId)) scoresByJudge.set(judgeScore.judgeId, []);
+      scoresByJudge.get(judgeScore.judgeId).push(value);
+    }
+  }
+
+  const allScores = [...scoresByJudge.values()].flat();
+  const poolMean = allScores.length > 0 ? mean(allScores) : 0;
+  const poolDeviation = allScores.length > 0 ? standardDeviation(allScores, poolMean) : 0;
+  const statsByJudge = new Map();
+  for (const [judgeId, values] of scoresByJudge.entries()) {
+    const judgeMean = mean(values);
+    statsByJudge.set(judgeId, {
+      count: values.length,
+      mean: judgeMean,
+      deviation: standardDeviation(values, judgeMean)
+    });
+  }
+  return { statsByJudge, poolMean, poolDeviation };
+};
+
+// Judge's score re-expressed on the pooled scale: poolMean + z * poolDeviation.
+// Judges with too few scores, or who gave every submission the same score, keep their raw score.
+const zScoreAdjust = (value, stats, poolMean, poolDeviation) => {
+  if (!stats || stats.count < MIN_JUDGE_SAMPLE_FOR_ZSCORE || stats.deviation === 0) {
+    return value;
+  }
+  return poolMean + ((value - stats.mean) / stats.deviation) * poolDeviation;
+};
+
+// Drops the single highest and lowest panel score before averaging
+const trimmedMean = (values) => {
+  if (values.length < MIN_PANEL_FOR_TRIMMING) return mean(values);
+  const sorted = [...values].sort((a, b) => a - b);
+  return mean(sorted.slice(1, -1));
+};
+
+/**
+ * Apply a round's normalization mode to per-submission scores. Each entry must
+ * carry `judgeScores` ({ judgeId, averageScore, totalScore } per judge). The
+ * returned entries keep the raw panel averages in rawAverageScore/rawTotalScore
+ * and put the normalized values in averageScore/totalScore, which drive ranking.
+ * Z-score statistics are taken over the judges' scores within the given map,
+ * so a leaderboard is normalized against its own area.
+ * @param {Map<string, Object>} evaluationMap - submissionId -> score data
+ * @param {string} mode - One of SCORE_NORMALIZATION_MODES
+ * @returns {Map<string, Object>}
+ */
+const applyScoreNormalization = (evaluationMap, mode) => {
+  const stats = mode === 'zscore'
+    ? Object.fromEntries(SCORE_METRICS.map((metric) => [metric, buildJudgeStats(evaluationMap, metric)]))
+    : null;
+
+  const normalizedMap = new Map();
+  for (const [submissionId, scoreData] of evaluationMap.entries()) {
+    const normalized = {
+      ...scoreData,
+      rawAverageScore: scoreData.averageScore,
+      rawTotalScore: scoreData.totalScore
+    };
+    const judgeScores = scoreData.judgeScores || [];
+
+    if (mode !== 'none' && judgeScores.length > 0) {
+      for (const metric of SCORE_METRICS) {
+        let values = judgeScores
+          .map((judgeScore) => Number(judgeScore[metric]))
+          .filter((value) => Number.isFinite(value));
+        if (values.length === 0) continue;
+
+        if (mode === 'zscore') {
+          const { statsByJudge, poolMean, poolDeviation } = stats[metric];
+          values = judgeScores
+            .filter((judgeScore) => Number.isFinite(Number(judgeScore[metric])))
+            .map((judgeScore) => zScoreAdjust(
+              Number(judgeScore[metric]),
+              statsByJudge.get(judgeScore.judgeId),
+              poolMean,
+              poolDeviation
+            ));
+          normalized[metric] = roundScore(mean(values));
+        } else if (mode === 'trimmed_mean') {
+          normalized[metric] = roundScore(trimmedMean(values));
+        }
+      }
+    }
+
+    normalizedMap.set(submissionId, normalized);
+  }
+  return normalizedMap;
+};
+
+module.exports = {
+  SCORE_NORMALIZATION_MODES,
+  resolveScoreNormalization,
+  applyScoreNormalization
+};
@@ -1,6 +1,7 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/sessionService');
 
 let io = null;
 
@@ -25,6 +26,11 @@ const initSocket = (server, corsOptions = {}) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = await findActiveSession(decoded.sid, decoded.id);
+      if (!session) {
+        return next(new Error('Session has been revoked'));
+      }
+
       const user = await User.findById(decoded.id).select('_id name role assignedLevel assignedRegion assignedCouncil');
       if (!user) {
         return next(new Error('User not found'));